@@ -1,27 +1,57 @@
-// API communication layer for MovieVault.
+// API communication layer for MovieVault. Public fetchers delegate to the
+// active data provider (see providers.js) and normalise its TMDB-shaped output.
 
-import { CONFIG, hasTmdbApiKey } from "./config.js";
 import {
-  CACHE_TTL,
+  CONFIG,
+  hasTmdbApiKey,
+  authorizeTmdbRequest,
+  detectCredentialType,
+} from "./config.js";
+import {
   ENDPOINTS,
-  BACKDROP_IMAGE_SIZE,
   MAX_RETRIES,
+  RETRY_BASE_DELAY,
+  MAX_RETRY_AFTER,
+  MAX_CONCURRENT_REQUESTS,
+  REQUEST_HISTORY_LIMIT,
+  API_ERROR_KINDS,
   MOVIE_PLACEHOLDER,
   GENRE_MAP,
-  POSTER_SIZES,
+  MEDIA_TYPES,
+  DATA_PROVIDERS,
 } from "./constants.js";
-import { getCache, setCache, showToast, buildCacheKey } from "./helpers.js";
+import {
+  getCacheEntry,
+  setCache,
+  buildCacheKey,
+  getSettings,
+  getImageSizes,
+  getCacheTtl,
+} from "./helpers.js";
+import { registerProvider, getActiveProvider } from "./providers.js";
+import { getCacheNamespace } from "./cache-store.js";
+import { fixtureProvider } from "./fixture-provider.js";
 
 const TMDB_BASE_URL = CONFIG.TMDB_BASE_URL;
 const TMDB_IMAGE_BASE = CONFIG.TMDB_IMAGE_BASE;
-const TMDB_POSTER_SMALL = `${TMDB_IMAGE_BASE}/${POSTER_SIZES.SMALL}`;
-const TMDB_POSTER_MEDIUM = `${TMDB_IMAGE_BASE}/${POSTER_SIZES.MEDIUM}`;
+
+// Build a TMDB image URL at the size the image-quality setting picks for `kind`
+// (POSTER_SMALL, POSTER_MEDIUM, POSTER_LARGE, BACKDROP, STILL or PROFILE).
+export const buildImageUrl = (path, kind = "POSTER_MEDIUM") =>
+  path ? `${TMDB_IMAGE_BASE}/${getImageSizes()[kind]}${path}` : null;
+
+// Translate a TMDB size token ("w342") into a srcset width descriptor.
+const toWidthDescriptor = (size) => {
+  const match = /^w(\d+)$/.exec(size);
+  return match ? `${match[1]}w` : "";
+};
 
 const createMissingKeyError = () => {
   const error = new Error(
-    "TMDB API key missing. Update scripts/config.js with your key."
+    "TMDB credential missing. Connect a TMDB API key to load live data."
   );
   error.code = "TMDB_KEY_MISSING";
+  error.kind = API_ERROR_KINDS.AUTH;
   return error;
 };
 
@@ -31,14 +61,60 @@ const ensureTmdbKey = () => {
   }
 };
 
-// Small utility promise to add backoff between retry attempts.
-const sleep = (ms) => new Promise((resolve) => window.setTimeout(resolve, ms));
+// Requests currently on the wire, keyed by cache key, so identical concurrent
+// calls (prefetch, runtime lookups, an open modal) share a single fetch.
+const inFlightRequests = new Map();
+
+// Latest-wins slots ("feed", "overlay-search", ...): starting a request in a
+// slot aborts whatever that slot was still waiting on.
+const requestSlots = new Map();
+
+const createAbortError = () =>
+  new DOMException("The request was cancelled.", "AbortError");
+
+// Callers use this to tell a superseded request apart from a real failure.
+export const isAbortError = (error) => error?.name === "AbortError";
+
+// Abort the previous request in `slot` and return a signal for the next one.
+export const supersedeRequest = (slot) => {
+  requestSlots.get(slot)?.abort();
+  const controller = new AbortController();
+  requestSlots.set(slot, controller);
+  return controller.signal;
+};
+
+// Abort the pending request in `slot` without starting another.
+export const cancelRequest = (slot) => {
+  requestSlots.get(slot)?.abort();
+  requestSlots.delete(slot);
+};
 
-// Compose a TMDB request URL with optional query params.
+// Small utility promise to add backoff between retry attempts; an abort ends
+// the wait early.
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      window.clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = window.setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Compose a TMDB request URL with optional query params. Language, region and
+// the adult filter come from runtime settings unless a caller overrides them.
 const buildTmdbUrl = (path, params = {}) => {
   ensureTmdbKey();
+  const { language, region, includeAdult } = getSettings();
   const url = new URL(path, TMDB_BASE_URL);
-  url.searchParams.set("language", "en-US");
+  url.searchParams.set("language", language);
+  url.searchParams.set("include_adult", includeAdult ? "true" : "false");
+  if (region) {
+    url.searchParams.set("region", region);
+  }
   Object.entries(params).forEach(([key, value]) => {
     if (value !== undefined && value !== null && value !== "") {
       url.searchParams.set(key, value);
@@ -47,52 +123,374 @@ const buildTmdbUrl = (path, params = {}) => {
   return url.toString();
 };
 
-// Fetch JSON payloads with retry + localStorage caching baked in.
-const fetchJsonWithCache = async (
-  url,
-  cacheKey,
-  { ttl = CACHE_TTL, skipCache = false } = {}
-) => {
-  if (!skipCache) {
-    const cached = getCache(cacheKey);
-    if (cached) return cached;
+// -------- ERRORS & RATE LIMITING --------------------------------------------
+
+const RETRYABLE_ERRORS = new Set([
+  API_ERROR_KINDS.RATE_LIMITED,
+  API_ERROR_KINDS.NETWORK,
+  API_ERROR_KINDS.SERVER,
+]);
+
+const API_ERROR_MESSAGES = {
+  [API_ERROR_KINDS.AUTH]:
+    "TMDB rejected the saved credential. Update it in Settings to keep browsing.",
+  [API_ERROR_KINDS.NOT_FOUND]: "That title could not be found.",
+  [API_ERROR_KINDS.RATE_LIMITED]:
+    "TMDB is limiting requests right now. Give it a few seconds and try again.",
+  [API_ERROR_KINDS.NETWORK]: "Could not reach TMDB. Check your connection and try again.",
+  [API_ERROR_KINDS.SERVER]: "TMDB is having trouble right now. Try again shortly.",
+};
+
+const createApiError = (kind, message, { status = null, retryAfter = null } = {}) => {
+  const error = new Error(message);
+  error.kind = kind;
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+const classifyStatus = (status) => {
+  if (status === 401 || status === 403) return API_ERROR_KINDS.AUTH;
+  if (status === 404) return API_ERROR_KINDS.NOT_FOUND;
+  if (status === 429) return API_ERROR_KINDS.RATE_LIMITED;
+  if (status >= 500) return API_ERROR_KINDS.SERVER;
+  return API_ERROR_KINDS.BAD_REQUEST;
+};
+
+// Retry-After is either a number of seconds or an HTTP date; returns ms.
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  if (!Number.isFinite(delay)) return null;
+  return Math.min(Math.max(delay, 0), MAX_RETRY_AFTER);
+};
+
+const createResponseError = (response) => {
+  const kind = classifyStatus(response.status);
+  return createApiError(kind, `Request failed with status ${response.status}`, {
+    status: response.status,
+    retryAfter:
+      kind === API_ERROR_KINDS.RATE_LIMITED
+        ? parseRetryAfter(response.headers.get("Retry-After"))
+        : null,
+  });
+};
+
+// fetch() rejects with a TypeError when the network is unreachable; anything
+// else thrown mid-request (e.g. a malformed body) is treated as a server fault.
+const toApiError = (error) => {
+  if (error?.kind) return error;
+  const kind =
+    error instanceof TypeError ? API_ERROR_KINDS.NETWORK : API_ERROR_KINDS.SERVER;
+  return createApiError(kind, error?.message || "Request failed");
+};
+
+// Error category for any error thrown by the fetchers (or null if unknown).
+// Provider errors without a kind are classified by their HTTP-style status.
+export const getApiErrorKind = (error) => {
+  if (!error || isAbortError(error)) return null;
+  if (error.kind) return error.kind;
+  return Number.isFinite(error.status) ? classifyStatus(error.status) : null;
+};
+
+// User-facing message for a failed request, or `fallback` when the error
+// does not fall into a known category.
+export const describeApiError = (error, fallback = "We hit a snag fetching fresh data.") =>
+  API_ERROR_MESSAGES[getApiErrorKind(error)] || fallback;
+
+// Global concurrency limiter shared by every TMDB request, so bulk actions
+// (queueing a whole collection, planner runtime lookups) queue up instead of
+// firing all at once.
+let activeRequests = 0;
+const pendingRequests = [];
+
+// Set from a 429 response: no request starts before this timestamp.
+let rateLimitedUntil = 0;
+
+const acquireRequestSlot = (signal) => {
+  if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+    activeRequests += 1;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const waiter = {};
+    const onAbort = () => {
+      const index = pendingRequests.indexOf(waiter);
+      if (index !== -1) pendingRequests.splice(index, 1);
+      reject(createAbortError());
+    };
+    waiter.start = () => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    pendingRequests.push(waiter);
+  });
+};
+
+// Hand the slot straight to the next queued request, or free it.
+const releaseRequestSlot = () => {
+  const next = pendingRequests.shift();
+  if (next) {
+    next.start();
+    return;
+  }
+  activeRequests -= 1;
+};
+
+const waitForRateLimit = async (signal) => {
+  const remaining = rateLimitedUntil - Date.now();
+  if (remaining > 0) {
+    await sleep(remaining, signal);
+  }
+};
+
+// -------- REQUEST DIAGNOSTICS -----------------------------------------------
+
+// Most recent first; read by the diagnostics panel.
+const requestHistory = [];
+
+const recordRequest = (entry) => {
+  requestHistory.unshift({ at: Date.now(), ...entry });
+  if (requestHistory.length > REQUEST_HISTORY_LIMIT) {
+    requestHistory.length = REQUEST_HISTORY_LIMIT;
   }
+};
+
+// Timing history for recent API calls: { at, key, namespace, source,
+// status, attempts, duration, outcome }. `source` is cache, stale or network.
+export const getRequestHistory = () => requestHistory.map((entry) => ({ ...entry }));
 
+export const clearRequestHistory = () => {
+  requestHistory.length = 0;
+};
+
+// Fetch a TMDB URL, retrying only failures that can succeed later (rate
+// limits, network and server errors). Auth, not-found and other 4xx errors
+// fail fast; aborts are never retried. `stats` collects attempts and the last
+// HTTP status for the request history.
+const requestWithRetry = async (url, signal, stats = {}) => {
   let attempt = 0;
-  let lastError = null;
 
-  while (attempt <= MAX_RETRIES) {
+  while (true) {
+    await waitForRateLimit(signal);
+    await acquireRequestSlot(signal);
+    let delay = 0;
     try {
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `Bearer ${CONFIG.TMDB_V4_TOKEN}`,
-        },
-      });
+      const request = authorizeTmdbRequest(url);
+      stats.attempts = attempt + 1;
+      const response = await fetch(request.url, { headers: request.headers, signal });
+      stats.status = response.status;
       if (!response.ok) {
-        throw new Error(`Request failed with status ${response.status}`);
-      }
-      const data = await response.json();
-      if (!skipCache) {
-        setCache(cacheKey, data, ttl);
+        throw createResponseError(response);
       }
-      return data;
+      return await response.json();
     } catch (error) {
-      lastError = error;
-      if (attempt === MAX_RETRIES) {
-        showToast("We hit a snag fetching fresh data.", "error");
-        throw error;
+      if (isAbortError(error)) throw error;
+      const apiError = toApiError(error);
+      if (!RETRYABLE_ERRORS.has(apiError.kind) || attempt >= MAX_RETRIES) {
+        throw apiError;
+      }
+      delay = apiError.retryAfter ?? RETRY_BASE_DELAY * (attempt + 1);
+      if (apiError.kind === API_ERROR_KINDS.RATE_LIMITED) {
+        // Pause every request, not just this one, until TMDB is ready again.
+        rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay);
       }
-      await sleep(450 * (attempt + 1));
     } finally {
-      attempt += 1;
+      releaseRequestSlot();
+    }
+    attempt += 1;
+    await sleep(delay, signal);
+  }
+};
+
+// Join (or start) the shared request for `key`. Each caller may abort on its
+// own; the underlying fetch is only cancelled once every caller has left.
+// Callers without a signal keep the request alive until it settles.
+const joinInFlight = (key, start, signal) => {
+  let entry = inFlightRequests.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, callers: 0, promise: null };
+    const current = entry;
+    entry.promise = start(controller.signal).finally(() => {
+      if (inFlightRequests.get(key) === current) {
+        inFlightRequests.delete(key);
+      }
+    });
+    inFlightRequests.set(key, entry);
+  }
+  entry.callers += 1;
+  if (!signal) return entry.promise;
+
+  const shared = entry;
+  return new Promise((resolve, reject) => {
+    const leave = () => {
+      shared.callers -= 1;
+      if (shared.callers === 0) {
+        if (inFlightRequests.get(key) === shared) {
+          inFlightRequests.delete(key);
+        }
+        shared.controller.abort();
+      }
+      reject(createAbortError());
+    };
+    signal.addEventListener("abort", leave, { once: true });
+    shared.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", leave));
+  });
+};
+
+// Network half of fetchJsonWithCache: fetch (with retries) then cache.
+const fetchAndStore = (url, cacheKey, { ttl, skipCache }) => async (sharedSignal) => {
+  const startedAt = performance.now();
+  const stats = { attempts: 0, status: null };
+  const record = (outcome) =>
+    recordRequest({
+      key: cacheKey,
+      namespace: getCacheNamespace(cacheKey),
+      source: "network",
+      status: stats.status,
+      attempts: stats.attempts,
+      duration: Math.round(performance.now() - startedAt),
+      outcome,
+    });
+  try {
+    const data = await requestWithRetry(url, sharedSignal, stats);
+    record("ok");
+    // The cache write finishes in the background; callers get data at once.
+    if (!skipCache) {
+      setCache(cacheKey, data, ttl);
+    }
+    return data;
+  } catch (error) {
+    record(isAbortError(error) ? "aborted" : getApiErrorKind(error) || "error");
+    throw error;
+  }
+};
+
+// Refresh a stale entry in the background and hand the fresh payload to
+// `onRevalidate` when it differs from what the caller already rendered.
+const revalidateInBackground = (url, cacheKey, options, stale, onRevalidate) => {
+  joinInFlight(cacheKey, fetchAndStore(url, cacheKey, options))
+    .then((fresh) => {
+      if (JSON.stringify(fresh) !== JSON.stringify(stale)) {
+        onRevalidate(fresh);
+      }
+    })
+    .catch((error) => {
+      if (!isAbortError(error)) {
+        console.warn("Background refresh failed", cacheKey, error);
+      }
+    });
+};
+
+// Fetch JSON payloads with retry, IndexedDB caching and in-flight sharing.
+// Failures reject with an error carrying `kind` (see API_ERROR_KINDS).
+// Passing `onRevalidate` opts into stale-while-revalidate (when enabled in
+// settings): an expired entry resolves immediately and the callback later
+// receives the refreshed payload.
+const fetchJsonWithCache = async (
+  url,
+  cacheKey,
+  { ttl = getCacheTtl(), skipCache = false, signal, onRevalidate } = {}
+) => {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+  if (ttl <= 0) {
+    skipCache = true;
+  }
+  if (!skipCache) {
+    const lookupStartedAt = performance.now();
+    const cached = await getCacheEntry(cacheKey);
+    const recordCacheHit = (source) =>
+      recordRequest({
+        key: cacheKey,
+        namespace: getCacheNamespace(cacheKey),
+        source,
+        status: null,
+        attempts: 0,
+        duration: Math.round(performance.now() - lookupStartedAt),
+        outcome: "ok",
+      });
+    if (cached && !cached.stale) {
+      recordCacheHit("cache");
+      return cached.data;
     }
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+    if (cached && typeof onRevalidate === "function" && getSettings().staleWhileRevalidate) {
+      recordCacheHit("stale");
+      revalidateInBackground(url, cacheKey, { ttl, skipCache }, cached.data, onRevalidate);
+      return cached.data;
+    }
+  }
+
+  return joinInFlight(cacheKey, fetchAndStore(url, cacheKey, { ttl, skipCache }), signal);
+};
+
+// Check a pasted credential against the lightweight `configuration` endpoint
+// before it is saved. Resolves to { ok, message }.
+export const validateTmdbCredential = async (value) => {
+  const trimmed = String(value || "").trim();
+  const type = detectCredentialType(trimmed);
+  if (!type) {
+    return {
+      ok: false,
+      message: "That doesn't look like a TMDB v4 read access token or v3 API key.",
+    };
+  }
+  const url = new URL(ENDPOINTS.CONFIGURATION, TMDB_BASE_URL).toString();
+  const request = authorizeTmdbRequest(url, { type, value: trimmed });
+  try {
+    const response = await fetch(request.url, { headers: request.headers });
+    if (response.ok) {
+      return { ok: true, type };
+    }
+    if (response.status === 401) {
+      return { ok: false, message: "TMDB rejected this credential. Double-check it and try again." };
+    }
+    return {
+      ok: false,
+      message: `TMDB could not verify the credential right now (status ${response.status}).`,
+    };
+  } catch (error) {
+    console.error("Credential validation failed", error);
+    return { ok: false, message: "Could not reach TMDB. Check your connection and try again." };
   }
-  throw lastError;
 };
 
 // Normalize TMDB movie payload into the structure used by MovieVault cards.
 const mapMovies = (results = []) => results.filter(Boolean).map(buildMovieCard);
 
+// Normalize TMDB TV payloads into the same card structure, tagged as series.
+const mapSeries = (results = []) =>
+  results
+    .filter(Boolean)
+    .map((series) => buildMovieCard({ ...series, media_type: MEDIA_TYPES.TV }));
+
+// Convert TMDB season episodes into lightweight rows for the series modal.
+const mapEpisodes = (episodes = []) =>
+  episodes
+    .filter((episode) => episode && episode.id)
+    .map((episode) => ({
+      id: episode.id,
+      seasonNumber: episode.season_number,
+      episodeNumber: episode.episode_number,
+      name: episode.name || `Episode ${episode.episode_number}`,
+      overview: episode.overview || "",
+      airDate: episode.air_date || "",
+      runtime: Number.isFinite(Number(episode.runtime)) ? Number(episode.runtime) : 0,
+      rating: Number.isFinite(Number(episode.vote_average))
+        ? Number(episode.vote_average).toFixed(1)
+        : "NR",
+      still: buildImageUrl(episode.still_path, "STILL"),
+    }));
+
 // Convert TMDB people search results into lightweight UI summaries.
 const mapPeople = (results = []) =>
   results
@@ -103,9 +501,7 @@ const mapPeople = (results = []) =>
       knownFor: (person.known_for_department || person.known_for?.[0]?.media_type || "")
         .toString()
         .replace(/_/g, " "),
-      profile: person.profile_path
-        ? `${TMDB_POSTER_SMALL}${person.profile_path}`
-        : MOVIE_PLACEHOLDER,
+      profile: buildImageUrl(person.profile_path, "POSTER_SMALL") || MOVIE_PLACEHOLDER,
       popularity: person.popularity,
     }));
 
@@ -117,103 +513,252 @@ const mapCollections = (results = []) =>
       id: collection.id,
       name: collection.name,
       overview: collection.overview,
-      poster: collection.poster_path
-        ? `${TMDB_POSTER_SMALL}${collection.poster_path}`
-        : MOVIE_PLACEHOLDER,
-      backdrop: collection.backdrop_path
-        ? `${TMDB_IMAGE_BASE}/${BACKDROP_IMAGE_SIZE}${collection.backdrop_path}`
-        : null,
+      poster: buildImageUrl(collection.poster_path, "POSTER_SMALL") || MOVIE_PLACEHOLDER,
+      backdrop: buildImageUrl(collection.backdrop_path, "BACKDROP"),
     }));
 
-// -------- PRIMARY MOVIE FEEDS ------------------------------------------------
+// -------- TMDB PROVIDER ------------------------------------------------------
 
-// Fetch the TMDB weekly trending feed and map it into MovieVault card data.
-export const fetchTrending = async (page = 1) => {
-  const url = buildTmdbUrl(ENDPOINTS.TRENDING, { page });
-  const cacheKey = buildCacheKey("trending", { page });
-  const data = await fetchJsonWithCache(url, cacheKey);
-  return {
-    ...data,
-    results: mapMovies(data.results),
-  };
+const TMDB_FEEDS = {
+  trending: { endpoint: ENDPOINTS.TRENDING, namespace: "trending" },
+  popular: { endpoint: ENDPOINTS.POPULAR, namespace: "popular" },
+  top_rated: { endpoint: ENDPOINTS.TOP_RATED, namespace: "top_rated" },
+  upcoming: { endpoint: ENDPOINTS.UPCOMING, namespace: "upcoming" },
+  tv: { endpoint: ENDPOINTS.TRENDING_TV, namespace: "trending_tv" },
+  tv_popular: { endpoint: ENDPOINTS.TV_POPULAR, namespace: "tv_popular" },
+  tv_top_rated: { endpoint: ENDPOINTS.TV_TOP_RATED, namespace: "tv_top_rated" },
 };
 
-// Fetch the TMDB popular feed.
-export const fetchPopular = async (page = 1) => {
-  const url = buildTmdbUrl(ENDPOINTS.POPULAR, { page });
-  const cacheKey = buildCacheKey("popular", { page });
-  const data = await fetchJsonWithCache(url, cacheKey);
-  return {
-    ...data,
-    results: mapMovies(data.results),
-  };
+const TMDB_SEARCHES = {
+  movie: { endpoint: ENDPOINTS.SEARCH, namespace: "search", shortLived: false },
+  tv: { endpoint: ENDPOINTS.SEARCH_TV, namespace: "search_tv", shortLived: true },
+  person: { endpoint: ENDPOINTS.SEARCH_PERSON, namespace: "search_people", shortLived: true },
+  collection: {
+    endpoint: ENDPOINTS.SEARCH_COLLECTION,
+    namespace: "search_collections",
+    shortLived: true,
+  },
 };
 
-// Fetch TMDB top-rated movies.
-export const fetchTopRated = async (page = 1) => {
-  const url = buildTmdbUrl(ENDPOINTS.TOP_RATED, { page });
-  const cacheKey = buildCacheKey("top_rated", { page });
-  const data = await fetchJsonWithCache(url, cacheKey);
-  return {
-    ...data,
-    results: mapMovies(data.results),
-  };
+const TMDB_DETAILS = {
+  movie: {
+    path: (id) => `${ENDPOINTS.MOVIE_DETAILS}/${id}`,
+    params: { append_to_response: "videos,images,recommendations,credits" },
+    namespace: "movie_details",
+    key: "movieId",
+  },
+  tv: {
+    path: (id) => `${ENDPOINTS.TV_DETAILS}/${id}`,
+    params: { append_to_response: "videos,credits" },
+    namespace: "tv_details",
+    key: "seriesId",
+  },
+  person: {
+    path: (id) => `person/${id}`,
+    params: {},
+    namespace: "person_details",
+    key: "personId",
+  },
+  collection: {
+    path: (id) => `collection/${id}`,
+    params: {},
+    namespace: "collection_details",
+    key: "collectionId",
+  },
 };
 
-// Fetch TMDB upcoming releases.
-export const fetchUpcoming = async (page = 1) => {
-  const url = buildTmdbUrl(ENDPOINTS.UPCOMING, { page });
-  const cacheKey = buildCacheKey("upcoming", { page });
-  const data = await fetchJsonWithCache(url, cacheKey);
-  return {
-    ...data,
-    results: mapMovies(data.results),
-  };
+// Live TMDB backend: the only provider that talks to the network and caches.
+const tmdbProvider = {
+  id: DATA_PROVIDERS.TMDB,
+  label: "TMDB (live)",
+  isReady: () => hasTmdbApiKey(),
+  getFeed: (feed, { page = 1, signal, onRevalidate } = {}) => {
+    const { endpoint, namespace } = TMDB_FEEDS[feed] || TMDB_FEEDS.trending;
+    const url = buildTmdbUrl(endpoint, { page });
+    return fetchJsonWithCache(url, buildCacheKey(namespace, { page }), {
+      signal,
+      onRevalidate,
+    });
+  },
+  search: (kind, { query, page = 1, year, signal } = {}) => {
+    const { endpoint, namespace, shortLived } = TMDB_SEARCHES[kind] || TMDB_SEARCHES.movie;
+    const byYear = kind === "movie" && year ? { year } : {};
+    const url = buildTmdbUrl(endpoint, {
+      query,
+      page,
+      primary_release_year: byYear.year,
+    });
+    const cacheKey = buildCacheKey(namespace, { query, page, ...byYear });
+    return fetchJsonWithCache(url, cacheKey, {
+      ttl: shortLived ? getCacheTtl() / 2 : getCacheTtl(),
+      signal,
+    });
+  },
+  discover: ({ genres = [], page = 1, signal, onRevalidate } = {}) => {
+    const withGenres = genres.join(",");
+    const url = buildTmdbUrl(ENDPOINTS.DISCOVER, {
+      with_genres: withGenres,
+      page,
+      sort_by: "popularity.desc",
+    });
+    const cacheKey = buildCacheKey("genre", {
+      genreId: withGenres || "all",
+      page,
+    });
+    return fetchJsonWithCache(url, cacheKey, { signal, onRevalidate });
+  },
+  getDetails: (kind, id, { signal, onRevalidate } = {}) => {
+    const { path, params, namespace, key } = TMDB_DETAILS[kind] || TMDB_DETAILS.movie;
+    const url = buildTmdbUrl(path(id), params);
+    return fetchJsonWithCache(url, buildCacheKey(namespace, { [key]: id }), {
+      signal,
+      onRevalidate,
+    });
+  },
+  getSeason: (seriesId, seasonNumber, { signal } = {}) => {
+    const url = buildTmdbUrl(
+      `${ENDPOINTS.TV_DETAILS}/${seriesId}/season/${seasonNumber}`,
+      {}
+    );
+    const cacheKey = buildCacheKey("tv_season", { seriesId, seasonNumber });
+    return fetchJsonWithCache(url, cacheKey, { signal });
+  },
+  getFilmography: (personId, { signal } = {}) => {
+    const url = buildTmdbUrl(`person/${personId}/movie_credits`, {});
+    const cacheKey = buildCacheKey("person_filmography", { personId });
+    return fetchJsonWithCache(url, cacheKey, { signal });
+  },
+  getRecommendations: (movieId, { page = 1, signal } = {}) => {
+    const url = buildTmdbUrl(
+      `${ENDPOINTS.MOVIE_DETAILS}/${movieId}/recommendations`,
+      { page }
+    );
+    const cacheKey = buildCacheKey("recommendations", { movieId, page });
+    return fetchJsonWithCache(url, cacheKey, { signal });
+  },
+  getGenres: ({ signal } = {}) => {
+    if (!hasTmdbApiKey()) return { genres: GENRE_MAP };
+    const url = buildTmdbUrl(ENDPOINTS.GENRES);
+    return fetchJsonWithCache(url, buildCacheKey("genres"), { signal });
+  },
 };
 
-// -------- SEARCH ENDPOINTS ---------------------------------------------------
+registerProvider(tmdbProvider);
+registerProvider(fixtureProvider);
+
+const provider = () => getActiveProvider();
+
+// Whether the active provider can serve data (TMDB needs a credential).
+export const isDataProviderReady = () => provider().isReady();
+
+export const getDataProviderId = () => provider().id;
+
+// -------- PRIMARY MOVIE FEEDS ------------------------------------------------
+
+// Map a raw feed page into card data.
+const toMovieFeed = (data) => ({
+  ...data,
+  results: mapMovies(data.results),
+});
+
+const toSeriesFeed = (data) => ({
+  ...data,
+  results: mapSeries(data.results),
+});
+
+// Wrap a caller's `onUpdate(mapped)` as a provider `onRevalidate(raw)`.
+const revalidateWith = (onUpdate, map) =>
+  typeof onUpdate === "function" ? (data) => onUpdate(map(data)) : undefined;
+
+// Feed fetchers accept `{ signal, onUpdate }`; `onUpdate` receives a fresher
+// page when a stale cached one was served first.
+const fetchMovieFeed = async (feed, page, { signal, onUpdate } = {}) => {
+  const data = await provider().getFeed(feed, {
+    page,
+    signal,
+    onRevalidate: revalidateWith(onUpdate, toMovieFeed),
+  });
+  return toMovieFeed(data);
+};
+
+// Fetch the weekly trending feed and map it into MovieVault card data.
+export const fetchTrending = (page = 1, options) =>
+  fetchMovieFeed("trending", page, options);
+
+// Fetch the popular feed.
+export const fetchPopular = (page = 1, options) =>
+  fetchMovieFeed("popular", page, options);
+
+// Fetch top-rated movies.
+export const fetchTopRated = (page = 1, options) =>
+  fetchMovieFeed("top_rated", page, options);
+
+// Fetch upcoming releases.
+export const fetchUpcoming = (page = 1, options) =>
+  fetchMovieFeed("upcoming", page, options);
 
-// Search TMDB movies, respecting pagination and adult content filtering.
-export const searchMovies = async (query, page = 1) => {
-  if (!query) return { results: [], total_pages: 0, page: 1 };
-  const url = buildTmdbUrl(ENDPOINTS.SEARCH, {
-    query,
+// -------- TV SERIES FEEDS ----------------------------------------------------
+
+const fetchSeriesFeed = async (feed, page, { signal, onUpdate } = {}) => {
+  const data = await provider().getFeed(feed, {
     page,
-    include_adult: false,
+    signal,
+    onRevalidate: revalidateWith(onUpdate, toSeriesFeed),
   });
-  const cacheKey = buildCacheKey("search", { query, page });
-  const data = await fetchJsonWithCache(url, cacheKey);
+  return toSeriesFeed(data);
+};
+
+// Fetch the weekly trending TV feed.
+export const fetchTrendingTv = (page = 1, options) =>
+  fetchSeriesFeed("tv", page, options);
+
+// Fetch the popular TV feed.
+export const fetchPopularTv = (page = 1, options) =>
+  fetchSeriesFeed("tv_popular", page, options);
+
+// Fetch top-rated TV series.
+export const fetchTopRatedTv = (page = 1, options) =>
+  fetchSeriesFeed("tv_top_rated", page, options);
+
+// -------- SEARCH ENDPOINTS ---------------------------------------------------
+
+const EMPTY_RESULTS = { results: [], total_pages: 0, page: 1 };
+
+// Search movies, respecting pagination and the adult content setting.
+// `year` narrows results to that primary release year.
+export const searchMovies = async (query, page = 1, { signal, year } = {}) => {
+  if (!query) return EMPTY_RESULTS;
+  const data = await provider().search("movie", { query, page, year, signal });
   return {
     ...data,
     results: mapMovies(data.results),
   };
 };
 
-// Search TMDB people to highlight notable cast/crew members.
-export const searchPeople = async (query, page = 1) => {
-  if (!query) return { results: [], total_pages: 0, page: 1 };
-  const url = buildTmdbUrl(ENDPOINTS.SEARCH_PERSON, {
-    query,
-    page,
-    include_adult: false,
-  });
-  const cacheKey = buildCacheKey("search_people", { query, page });
-  const data = await fetchJsonWithCache(url, cacheKey, { ttl: CACHE_TTL / 2 });
+// Search TV series for the overlay's series column.
+export const searchTv = async (query, page = 1, { signal } = {}) => {
+  if (!query) return EMPTY_RESULTS;
+  const data = await provider().search("tv", { query, page, signal });
+  return {
+    ...data,
+    results: mapSeries(data.results),
+  };
+};
+
+// Search people to highlight notable cast/crew members.
+export const searchPeople = async (query, page = 1, { signal } = {}) => {
+  if (!query) return EMPTY_RESULTS;
+  const data = await provider().search("person", { query, page, signal });
   return {
     ...data,
     results: mapPeople(data.results),
   };
 };
 
-// Search TMDB collections (franchises / grouped sets).
-export const searchCollections = async (query, page = 1) => {
-  if (!query) return { results: [], total_pages: 0, page: 1 };
-  const url = buildTmdbUrl(ENDPOINTS.SEARCH_COLLECTION, {
-    query,
-    page,
-  });
-  const cacheKey = buildCacheKey("search_collections", { query, page });
-  const data = await fetchJsonWithCache(url, cacheKey, { ttl: CACHE_TTL / 2 });
+// Search collections (franchises / grouped sets).
+export const searchCollections = async (query, page = 1, { signal } = {}) => {
+  if (!query) return EMPTY_RESULTS;
+  const data = await provider().search("collection", { query, page, signal });
   return {
     ...data,
     results: mapCollections(data.results),
@@ -222,8 +767,12 @@ export const searchCollections = async (query, page = 1) => {
 
 // -------- FILTERED DISCOVERY -------------------------------------------------
 
-// Fetch TMDB discover endpoint filtered by selected genres.
-export const fetchMoviesByGenre = async (genreIds, page = 1) => {
+// Discover movies filtered by the selected genres.
+export const fetchMoviesByGenre = async (
+  genreIds,
+  page = 1,
+  { signal, onUpdate } = {}
+) => {
   const normalizedList = Array.isArray(genreIds)
     ? genreIds
         .map((id) => String(id))
@@ -232,47 +781,59 @@ export const fetchMoviesByGenre = async (genreIds, page = 1) => {
         .split(",")
         .map((id) => id.trim())
         .filter(Boolean);
-  const uniqueIds = Array.from(new Set(normalizedList));
-  const withGenres = uniqueIds.join(",");
-  const url = buildTmdbUrl(ENDPOINTS.DISCOVER, {
-    with_genres: withGenres,
-    page,
-    sort_by: "popularity.desc",
-  });
-  const cacheKey = buildCacheKey("genre", {
-    genreId: withGenres || "all",
+  const genres = Array.from(new Set(normalizedList));
+  const data = await provider().discover({
+    genres,
     page,
+    signal,
+    onRevalidate: revalidateWith(onUpdate, toMovieFeed),
   });
-  const data = await fetchJsonWithCache(url, cacheKey);
-  return {
-    ...data,
-    results: mapMovies(data.results),
-  };
+  return toMovieFeed(data);
 };
 
 // Retrieve comprehensive movie detail payload (videos, recommendations, credits).
-export const fetchMovieDetails = async (movieId) => {
-  const url = buildTmdbUrl(`${ENDPOINTS.MOVIE_DETAILS}/${movieId}`, {
-    append_to_response: "videos,images,recommendations,credits",
+// `onUpdate` receives fresher details when a stale cached copy was served.
+export const fetchMovieDetails = async (movieId, { signal, onUpdate } = {}) =>
+  provider().getDetails("movie", movieId, {
+    signal,
+    onRevalidate: onUpdate,
   });
-  const cacheKey = buildCacheKey("movie_details", { movieId });
-  return fetchJsonWithCache(url, cacheKey);
+
+// Retrieve a TV series with videos and credits for the series modal.
+export const fetchSeriesDetails = async (seriesId, { signal, onUpdate } = {}) =>
+  provider().getDetails("tv", seriesId, {
+    signal,
+    onRevalidate: onUpdate,
+  });
+
+// Fetch one season's episode list for a series.
+export const fetchSeasonDetails = async (seriesId, seasonNumber, { signal } = {}) => {
+  if (!seriesId || !Number.isFinite(Number(seasonNumber))) {
+    return { episodes: [] };
+  }
+  const data = await provider().getSeason(seriesId, seasonNumber, { signal });
+  return {
+    ...data,
+    episodes: mapEpisodes(data.episodes),
+  };
 };
 
 // Pull a person's filmography for the modal cast explorer.
-export const fetchPersonFilmography = async (personId) => {
+export const fetchPersonFilmography = async (personId, { signal } = {}) => {
   if (!personId) return { cast: [] };
-  const url = buildTmdbUrl(`person/${personId}/movie_credits`, {});
-  const cacheKey = buildCacheKey("person_filmography", { personId });
-  return fetchJsonWithCache(url, cacheKey);
+  return provider().getFilmography(personId, { signal });
+};
+
+// Fetch a person's profile (used when a filmography is opened from a deep link).
+export const fetchPersonDetails = async (personId, { signal } = {}) => {
+  if (!personId) return null;
+  return provider().getDetails("person", personId, { signal });
 };
 
-// Fetch TMDB collection details (used for franchise expansions).
-export const fetchCollectionDetails = async (collectionId) => {
+// Fetch collection details (used for franchise expansions).
+export const fetchCollectionDetails = async (collectionId, { signal } = {}) => {
   if (!collectionId) return null;
-  const url = buildTmdbUrl(`collection/${collectionId}`, {});
-  const cacheKey = buildCacheKey("collection_details", { collectionId });
-  const data = await fetchJsonWithCache(url, cacheKey);
+  const data = await provider().getDetails("collection", collectionId, { signal });
   if (!data) {
     return null;
   }
@@ -282,15 +843,10 @@ export const fetchCollectionDetails = async (collectionId) => {
   };
 };
 
-// Fetch the official TMDB genre list with a static fallback when offline.
+// Fetch the official genre list with a static fallback when offline.
 export const fetchGenres = async () => {
-  if (!hasTmdbApiKey()) {
-    return GENRE_MAP;
-  }
   try {
-    const url = buildTmdbUrl(ENDPOINTS.GENRES);
-    const cacheKey = buildCacheKey("genres");
-    const data = await fetchJsonWithCache(url, cacheKey);
+    const data = await provider().getGenres();
     if (data && data.genres && data.genres.length) {
       return data.genres;
     }
@@ -301,14 +857,9 @@ export const fetchGenres = async () => {
 };
 
 // Fetch post-watch recommendations for a given movie.
-export const fetchRecommendations = async (movieId, page = 1) => {
-  if (!movieId) return { results: [], total_pages: 0, page: 1 };
-  const url = buildTmdbUrl(
-    `${ENDPOINTS.MOVIE_DETAILS}/${movieId}/recommendations`,
-    { page }
-  );
-  const cacheKey = buildCacheKey("recommendations", { movieId, page });
-  const data = await fetchJsonWithCache(url, cacheKey);
+export const fetchRecommendations = async (movieId, page = 1, { signal } = {}) => {
+  if (!movieId) return EMPTY_RESULTS;
+  const data = await provider().getRecommendations(movieId, { page, signal });
   return {
     ...data,
     results: mapMovies(data.results),
@@ -321,24 +872,27 @@ export const buildMovieCard = (movie = {}) => {
     ? Number(movie.vote_average).toFixed(1)
     : "NR";
   const posterPath = movie.poster_path || movie.posterPath || "";
-  const hasPoster = Boolean(posterPath);
-  const poster = hasPoster
-    ? `${TMDB_POSTER_MEDIUM}${posterPath}`
-    : MOVIE_PLACEHOLDER;
-  const posterSmall = hasPoster
-    ? `${TMDB_POSTER_SMALL}${posterPath}`
-    : MOVIE_PLACEHOLDER;
-  const posterSet = hasPoster
-    ? `${TMDB_POSTER_SMALL}${posterPath} 342w, ${TMDB_POSTER_MEDIUM}${posterPath} 500w`
-    : "";
+  const sizes = getImageSizes();
+  const poster = buildImageUrl(posterPath, "POSTER_MEDIUM") || MOVIE_PLACEHOLDER;
+  const posterSmall = buildImageUrl(posterPath, "POSTER_SMALL") || MOVIE_PLACEHOLDER;
+  const smallWidth = toWidthDescriptor(sizes.POSTER_SMALL);
+  const mediumWidth = toWidthDescriptor(sizes.POSTER_MEDIUM);
+  const posterSet =
+    posterPath && smallWidth && mediumWidth && smallWidth !== mediumWidth
+      ? `${posterSmall} ${smallWidth}, ${poster} ${mediumWidth}`
+      : "";
   const posterSizes =
     "(max-width: 600px) 62vw, (max-width: 1024px) 32vw, 220px";
-  const backdrop = movie.backdrop_path
-    ? `${TMDB_IMAGE_BASE}/${BACKDROP_IMAGE_SIZE}${movie.backdrop_path}`
-    : null;
+  const backdrop = buildImageUrl(movie.backdrop_path, "BACKDROP");
+
+  const mediaType =
+    movie.media_type === MEDIA_TYPES.TV || movie.mediaType === MEDIA_TYPES.TV
+      ? MEDIA_TYPES.TV
+      : MEDIA_TYPES.MOVIE;
 
   return {
     id: movie.id,
+    mediaType,
     title: movie.title || movie.name || "Untitled",
     rating,
     releaseDate: movie.release_date || movie.first_air_date || "Unknown",
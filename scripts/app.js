@@ -3,21 +3,42 @@
 // ============================================================================
 // Coordinates data fetching, UI wiring, and client-side state for MovieVault.
 
-import { CONFIG, hasTmdbApiKey } from "./config.js";
+import {
+  saveTmdbCredential,
+  clearTmdbCredential,
+  describeTmdbCredential,
+} from "./config.js";
 import {
   fetchTrending,
   fetchPopular,
   fetchTopRated,
   fetchUpcoming,
+  fetchTrendingTv,
+  fetchPopularTv,
+  fetchTopRatedTv,
   fetchMoviesByGenre,
   searchMovies,
+  searchTv,
   searchPeople,
   searchCollections,
   fetchMovieDetails,
+  fetchSeriesDetails,
+  fetchSeasonDetails,
   fetchGenres,
   fetchPersonFilmography,
+  fetchPersonDetails,
   fetchCollectionDetails,
   buildMovieCard,
+  buildImageUrl,
+  validateTmdbCredential,
+  isDataProviderReady,
+  supersedeRequest,
+  cancelRequest,
+  isAbortError,
+  describeApiError,
+  getApiErrorKind,
+  getRequestHistory,
+  clearRequestHistory,
 } from "./api.js";
 import {
   debounce,
@@ -27,13 +48,42 @@ import {
   toggleWatched,
   isFavorite,
   isWatched,
+  getPersonalRatings,
+  getPersonalRating,
+  setPersonalRating,
+  logViewing,
+  updateViewing,
+  deleteViewing,
+  getCustomLists,
+  createCustomList,
+  renameCustomList,
+  deleteCustomList,
+  moveCustomList,
+  toggleCustomListItem,
+  getTags,
+  setTitleTags,
+  getTitleTags,
+  getTagUsage,
+  normalizeTag,
+  renameTag,
+  deleteTag,
   getStoredTheme,
   setTheme,
   showToast,
   announceLive,
   saveSessionPlan,
   getSessionPlan,
-  clearSessionPlan,
+  getSessionPlans,
+  getActiveSessionPlan,
+  updateSessionPlanItems,
+  getSessionPlanSchedule,
+  saveSessionPlanSchedule,
+  createSessionPlan,
+  renameSessionPlan,
+  duplicateSessionPlan,
+  setActiveSessionPlan,
+  archiveSessionPlan,
+  deleteSessionPlan,
   loadStylesheetOnce,
   runIdle,
   extractDominantColor,
@@ -41,10 +91,52 @@ import {
   lazyLoadImage,
   formatRuntime,
   observeWhenVisible,
-  
+  getMediaType,
+  buildMediaKey,
+  isEpisodeWatched,
+  toggleEpisodeWatched,
+  setSeasonWatched,
+  getSeasonCompletion,
+  getSeriesProgress,
+  getNextEpisode,
+  formatEpisodeCode,
+  getContinueWatching,
+  getSettings,
+  clearAllCache,
+  purgeCacheNamespace,
+  getCacheDiagnostics,
+  saveSettings,
+  resetSettings,
+  downloadFile,
+  pickTextFile,
 } from "./helpers.js";
+import {
+  createBackup,
+  serializeBackup,
+  getBackupFilename,
+  parseBackup,
+  summarizeBackup,
+  applyBackup,
+} from "./backup.js";
+import {
+  parseHistoryCsv,
+  matchHistoryRows,
+  applyHistoryImport,
+} from "./history-import.js";
+import { buildHistoryCsv } from "./history-export.js";
+import { buildPlanIcs } from "./calendar-export.js";
+import { encodePlanShare, decodePlanShare } from "./plan-share.js";
+import { runStorageMigrations, repairSessionPlan } from "./storage-schema.js";
+import {
+  normalizePlanSchedule,
+  buildPlanTimeline,
+  formatTimelineTime,
+  formatPlanStart,
+} from "./planner-schedule.js";
 import {
   renderMovieGrid,
+  renderOfflineView,
+  syncCardStates,
   renderSuggestions,
   clearSuggestions,
   updateSectionTitle,
@@ -54,8 +146,26 @@ import {
   setGenreDropdownState,
   updateGenreTriggerSummary,
   openMovieModal,
+  openSeriesModal,
   openFavoritesModal,
   openWatchedModal,
+  openListPickerModal,
+  openCustomListsModal,
+  openCustomListModal,
+  renderTagFilter,
+  openTagManagerModal,
+  renderPlanPicker,
+  openSessionPlansModal,
+  openSharedPlanModal,
+  openSettingsModal,
+  openCredentialModal,
+  openDiagnosticsModal,
+  openBackupModal,
+  openBackupImportModal,
+  openHistoryImportModal,
+  openCsvExportModal,
+  createCredentialForm,
+  renderContinueWatching,
   bindBackToTop,
   setBackToTopVisibility,
   showLoader,
@@ -72,6 +182,11 @@ import {
   animateThrowWithTrail,
   startDragHint,
   stopDragHint,
+  closeAllModals,
+  revealModalRoute,
+  setTopModalRoute,
+  getOpenModalCount,
+  setModalDismissHandler,
 } from "./ui.js";
 import {
   DEFAULT_CATEGORY,
@@ -84,7 +199,22 @@ import {
   STORAGE_KEYS,
   DRAWER_ACTIONS,
   MOVIE_PLACEHOLDER,
+  MEDIA_TYPES,
+  DATA_PROVIDERS,
+  API_ERROR_KINDS,
+  APP_VERSION,
+  MAX_PLANNER_ITEMS,
+  PLANNER_INTERMISSION_OPTIONS,
 } from "./constants.js";
+import {
+  BROWSE_CATEGORIES,
+  buildRouteHash,
+  getCurrentRoute,
+  isModalRoute,
+  leaveModalRoute,
+  navigate,
+  startRouter,
+} from "./router.js";
 
 // ----------------------------------------------------------------------------
 // APPLICATION STATE
@@ -100,8 +230,17 @@ const state = {
   genres: [],
   favorites: [],
   watched: [],
+  // Personal ratings and notes keyed by media key (see getPersonalRatings).
+  ratings: {},
+  customLists: [],
+  // Tagged titles keyed by media key (see getTags); `activeTag` swaps the
+  // feed for the titles carrying that tag.
+  tags: {},
+  activeTag: "",
   prefetch: null,
   prefetchToken: null,
+  // Incremented per feed load so a superseded load leaves the UI alone.
+  feedLoadId: 0,
   lastScrollLoad: 0,
   loadedMovies: [],
   searchOverlay: {
@@ -110,6 +249,7 @@ const state = {
    activeIndex: 0,
    results: {
      movies: [],
+     tv: [],
      people: [],
      collections: [],
    },
@@ -117,13 +257,17 @@ const state = {
   planner: {
     queue: [],
     runtime: 0,
+    // Active plan's schedule; see scripts/planner-schedule.js.
+    schedule: normalizePlanSchedule(null),
   },
-  tmdbReady: hasTmdbApiKey(),
+  // True when the active data provider can serve data (TMDB needs a credential).
+  tmdbReady: isDataProviderReady(),
+  // Plan link payload kept until a data source is connected to load it.
+  pendingPlanShare: "",
 };
 
 let infiniteObserver = null;
 let scrollTicking = false;
-const MAX_PLANNER_ITEMS = 12;
 const runtimeCache = new Map();
 const DRAG_DATA_CARD_ID = "application/movievault-card-id";
 const DRAG_DATA_PLANNER_INDEX = "application/movievault-planner-index";
@@ -148,11 +292,24 @@ const getMovieRuntime = async (movieId) => {
     return runtime;
   } catch (error) {
     console.error("Runtime lookup failed", error);
-    runtimeCache.set(movieId, 0);
+    // Only a missing title is final; transient failures retry on next lookup.
+    if (getApiErrorKind(error) === API_ERROR_KINDS.NOT_FOUND) {
+      runtimeCache.set(movieId, 0);
+    }
     return 0;
   }
 };
 
+// Toast a failed fetch with a message matching the failure; auth failures
+// offer a shortcut to replace the TMDB credential.
+const notifyFetchError = (error, fallback) => {
+  const options =
+    getApiErrorKind(error) === API_ERROR_KINDS.AUTH
+      ? { actionText: "Update key", actionHandler: () => openCredentialManager() }
+      : {};
+  showToast(describeApiError(error, fallback), "error", options);
+};
+
 
 // ----------------------------------------------------------------------------
 // DOM SHORTCUTS
@@ -169,8 +326,16 @@ const plannerDrawerEl = () => document.getElementById("planner-drawer");
 const plannerListEl = () => document.getElementById("planner-list");
 const plannerCountEl = () => document.getElementById("planner-count");
 const plannerRuntimeEl = () => document.getElementById("planner-runtime");
+const plannerFinishEl = () => document.getElementById("planner-finish");
+const plannerScheduleSummaryEl = () => document.getElementById("planner-schedule-summary");
+const plannerStartInput = () => document.getElementById("planner-start");
+const plannerIntermissionSelect = () => document.getElementById("planner-intermission");
+const plannerBedtimeInput = () => document.getElementById("planner-bedtime");
 const plannerDropZoneEl = () => document.getElementById("planner-drop-zone");
-const plannerSaveButton = () => document.getElementById("planner-save");
+const plannerPlansButton = () => document.getElementById("planner-plans");
+const plannerCalendarButton = () => document.getElementById("planner-calendar");
+const plannerShareButton = () => document.getElementById("planner-share");
+const plannerPlanSelect = () => document.getElementById("planner-plan-select");
 const plannerClearButton = () => document.getElementById("planner-clear");
 const plannerTriggerButton = () => document.getElementById("planner-trigger");
 const plannerCloseButton = () => document.getElementById("planner-close");
@@ -276,8 +441,24 @@ const computePlannerRuntime = () =>
     0
   );
 
+// Save the queue into the active plan; the picker shows per-plan counts.
 const persistPlannerQueue = () => {
   saveSessionPlan(state.planner.queue);
+  renderSessionPlans();
+};
+
+// A scheduled plan totals its timeline, so titles without a runtime count at
+// the fallback length its finish time uses; otherwise they are listed apart.
+const describePlannerRuntime = (knownRuntime, timeline) => {
+  if (timeline) {
+    const titles = timeline.entries.filter((entry) => entry.type === "title");
+    const total = titles.reduce((sum, entry) => sum + entry.runtime, 0);
+    const estimated = titles.some((entry) => entry.estimated);
+    return `${formatRuntime(total)}${estimated ? " (est.)" : ""}`;
+  }
+  const unknown = state.planner.queue.filter((item) => !(Number(item.runtime) > 0)).length;
+  if (!unknown) return formatRuntime(knownRuntime);
+  return knownRuntime > 0 ? `${formatRuntime(knownRuntime)} + ${unknown} unknown` : "unknown";
 };
 
 const updatePlannerSummary = () => {
@@ -288,18 +469,37 @@ const updatePlannerSummary = () => {
     plannerCountEl().textContent =
       count === 1 ? "1 title" : `${count} titles`;
   }
+  const timeline = count ? getPlannerTimeline() : null;
   if (plannerRuntimeEl()) {
-    plannerRuntimeEl().textContent = `Total runtime: ${formatRuntime(runtime)}`;
+    plannerRuntimeEl().textContent = `Total runtime: ${describePlannerRuntime(runtime, timeline)}`;
   }
   const emptyMessage = plannerEmptyMessageEl();
   if (emptyMessage) {
     emptyMessage.classList.toggle("hidden", count > 0);
   }
+  const finish = plannerFinishEl();
+  if (finish) {
+    finish.classList.toggle("hidden", !timeline);
+    finish.classList.toggle("late", Boolean(timeline?.overrun));
+    if (timeline) {
+      const ends = `${formatTimelineTime(timeline.start)} → ${formatTimelineTime(
+        timeline.end,
+        timeline.start
+      )}`;
+      finish.textContent = timeline.overrun
+        ? `${ends} · ${formatRuntime(timeline.overrun)} past your ${formatTimelineTime(
+            timeline.bedtime
+          )} bedtime`
+        : ends;
+    }
+  }
 };
 
-const buildPlannerItem = (item, index) => {
+// `slot` is the item's timeline entry when the plan is scheduled and
+// `origin` the session start its clock times are shown against.
+const buildPlannerItem = (item, index, slot = null, origin = null) => {
   const li = document.createElement("li");
-  li.className = "planner-item";
+  li.className = slot?.late ? "planner-item late" : "planner-item";
   li.dataset.id = String(item.id);
   li.dataset.index = String(index);
   li.draggable = true;
@@ -332,6 +532,15 @@ const buildPlannerItem = (item, index) => {
   const runtimeLabel = formatRuntime(item.runtime);
   meta.textContent = `${year} • ★ ${rating} • ${runtimeLabel}`;
   info.append(title, meta);
+  if (slot) {
+    const time = document.createElement("span");
+    time.className = "planner-time";
+    time.textContent = `${formatTimelineTime(slot.start, origin)} – ${formatTimelineTime(
+      slot.end,
+      origin
+    )}${slot.estimated ? " (est.)" : ""}`;
+    info.appendChild(time);
+  }
 
   const controls = document.createElement("div");
   controls.className = "planner-controls";
@@ -366,8 +575,10 @@ const renderPlannerQueue = () => {
   if (!list) return;
   list.innerHTML = "";
   const fragment = document.createDocumentFragment();
+  const timeline = getPlannerTimeline();
+  const slots = timeline?.entries.filter((entry) => entry.type === "title") || [];
   state.planner.queue.forEach((item, index) => {
-    const element = buildPlannerItem(item, index);
+    const element = buildPlannerItem(item, index, slots[index], timeline?.start);
     fragment.appendChild(element);
   });
   list.appendChild(fragment);
@@ -375,37 +586,46 @@ const renderPlannerQueue = () => {
 };
 
 const hydrateSessionPlan = () => {
+  state.planner.schedule = normalizePlanSchedule(getSessionPlanSchedule());
+  renderPlannerSchedule();
   const stored = getSessionPlan();
   if (!Array.isArray(stored) || !stored.length) {
     updatePlannerSummary();
     return;
   }
-  state.planner.queue = stored.map((item) => ({
-    id: item.id,
-    title: item.title,
-    poster: item.poster || MOVIE_PLACEHOLDER,
-    posterSet: item.posterSet || "",
-    posterSizes: item.posterSizes || "(max-width: 600px) 62vw, 220px",
-    releaseDate: item.releaseDate || "",
-    rating: item.rating || "NR",
-    runtime: Number.isFinite(Number(item.runtime)) ? Number(item.runtime) : 0,
-  }));
+  state.planner.queue = repairSessionPlan(stored);
   renderPlannerQueue();
 };
 
+// Apply an undo to the plan it was offered in. The user may have switched
+// plans since, so only the active plan goes through the drawer's queue.
+const updatePlanItems = (planId, transform) => {
+  if (getActiveSessionPlan()?.id === planId) {
+    state.planner.queue = transform([...state.planner.queue]);
+    renderPlannerQueue();
+    persistPlannerQueue();
+    return;
+  }
+  updateSessionPlanItems(planId, transform);
+  renderSessionPlans();
+};
+
 const removePlannerItem = (movieId) => {
   const idx = state.planner.queue.findIndex((item) => Number(item.id) === Number(movieId));
   if (idx === -1) return;
   const [removed] = state.planner.queue.splice(idx, 1);
   renderPlannerQueue();
   persistPlannerQueue();
+  const planId = getActiveSessionPlan()?.id;
   // Offer an undo action to restore the removed item at the same index
   showToast(`Removed "${removed.title}" from Session Planner.`, "info", {
     actionText: "Undo",
     actionHandler: () => {
-      state.planner.queue.splice(Math.min(idx, state.planner.queue.length), 0, removed);
-      renderPlannerQueue();
-      persistPlannerQueue();
+      updatePlanItems(planId, (items) => {
+        if (items.some((item) => Number(item.id) === Number(removed.id))) return items;
+        items.splice(Math.min(idx, items.length), 0, removed);
+        return items;
+      });
       showToast(`Restored "${removed.title}".`, "success");
     },
   });
@@ -414,17 +634,15 @@ const removePlannerItem = (movieId) => {
 const clearPlannerQueue = () => {
   if (!state.planner.queue.length) return;
   const previous = [...state.planner.queue];
+  const planId = getActiveSessionPlan()?.id;
   state.planner.queue = [];
   state.planner.runtime = 0;
   renderPlannerQueue();
   persistPlannerQueue();
-  clearSessionPlan();
   showToast("Session Planner cleared.", "success", {
     actionText: "Undo",
     actionHandler: () => {
-      state.planner.queue = previous.slice();
-      renderPlannerQueue();
-      persistPlannerQueue();
+      updatePlanItems(planId, () => previous.slice());
       showToast("Restored your session plan.", "success");
     },
   });
@@ -486,12 +704,20 @@ const normalizePlannerMovie = (movie, runtime) => ({
   releaseDate: movie.releaseDate || "",
   rating: movie.rating || "NR",
   runtime: Number.isFinite(Number(runtime)) ? Number(runtime) : 0,
+  // Carried for the calendar export's event descriptions.
+  overview: movie.overview || "",
 });
 
 const queueMovie = async (movie, { silent = false, allowOpenPlanner = true } = {}) => {
   if (!movie || !movie.id) {
     return { added: false, reason: "invalid" };
   }
+  if (getMediaType(movie) === MEDIA_TYPES.TV) {
+    if (!silent) {
+      showToast("Series can't be added to the movie-night planner.", "info");
+    }
+    return { added: false, reason: "series" };
+  }
   if (
     state.planner.queue.some(
       (item) => Number(item.id) === Number(movie.id)
@@ -514,9 +740,19 @@ const queueMovie = async (movie, { silent = false, allowOpenPlanner = true } = {
   renderPlannerQueue();
   persistPlannerQueue();
   if (!silent) {
-    showToast(`Added to planner: "${movie.title}"`, "success", {
+    const plan = getActiveSessionPlan();
+    showToast(`Added to ${plan?.name || "planner"}: "${movie.title}"`, "success", {
       actionText: "Undo",
-      actionHandler: () => removePlannerItem(movie.id),
+      actionHandler: () => {
+        if (getActiveSessionPlan()?.id === plan?.id) {
+          removePlannerItem(movie.id);
+          return;
+        }
+        updatePlanItems(plan?.id, (items) =>
+          items.filter((item) => Number(item.id) !== Number(movie.id))
+        );
+        showToast(`Removed "${movie.title}" from ${plan?.name}.`, "info");
+      },
     });
   }
   if (allowOpenPlanner && !isPlannerOpen()) {
@@ -536,7 +772,7 @@ const queueMovieById = async (movieId, options = {}) => {
     ...state.favorites,
     ...state.watched,
     ...(state.searchOverlay.results.movies || []),
-  ];
+  ].filter((item) => getMediaType(item) !== MEDIA_TYPES.TV);
   let movie = pools.find((item) => Number(item.id) === numericId);
   if (!movie) {
     try {
@@ -544,7 +780,7 @@ const queueMovieById = async (movieId, options = {}) => {
       movie = buildMovieCard(details);
     } catch (error) {
       console.error("Unable to queue movie by id", error);
-      showToast("Could not add that movie right now.", "error");
+      notifyFetchError(error, "Could not add that movie right now.");
       return { added: false, reason: "fetch" };
     }
   }
@@ -596,7 +832,7 @@ const queuePersonHighlights = async (person) => {
     }
   } catch (error) {
     console.error("Failed to queue person highlights", error);
-    showToast("Unable to queue highlights right now.", "error");
+    notifyFetchError(error, "Unable to queue highlights right now.");
   }
 };
 
@@ -632,11 +868,15 @@ const queueCollection = async (collection) => {
     }
   } catch (error) {
     console.error("Unable to queue collection", error);
-    showToast("Collection is unavailable right now.", "error");
+    notifyFetchError(error, "Collection is unavailable right now.");
   }
 };
 
-const openCollectionExperience = async (collectionId, collectionName = "Collection") => {
+const openCollectionExperience = async (
+  collectionId,
+  collectionName = "Collection",
+  { updateRoute = true } = {}
+) => {
   if (!collectionId) return;
   showLoader();
   try {
@@ -644,12 +884,14 @@ const openCollectionExperience = async (collectionId, collectionName = "Collecti
     hideLoader();
     if (!collection) {
       showToast("Could not load that collection.", "error");
+      releaseModalRoute();
       return;
     }
     openCollectionModal(collection, {
       onQueueMovie: async (movie) => {
         await queueMovie(movie, { silent: true });
       },
+      onAddToList: openListPicker,
       onSelectMovie: async (movie) => {
         await openMovieDetails(movie.id);
       },
@@ -676,15 +918,18 @@ const openCollectionExperience = async (collectionId, collectionName = "Collecti
         }
       },
     });
+    showModalRoute({ name: "collection", id: collection.id || collectionId }, updateRoute);
   } catch (error) {
     hideLoader();
     console.error("Failed to open collection experience", error);
-    showToast(`"${collectionName}" is taking a break. Try again soon.`, "error");
+    notifyFetchError(error, `"${collectionName}" is taking a break. Try again soon.`);
+    releaseModalRoute();
   }
 };
 
 const handleCardDragStart = (event, movie) => {
   if (!event || !event.dataTransfer || !movie) return;
+  if (getMediaType(movie) === MEDIA_TYPES.TV) return;
   try {
     event.dataTransfer.setData(DRAG_DATA_CARD_ID, String(movie.id));
   } catch (error) {
@@ -863,7 +1108,7 @@ const bindPlannerInteractions = () => {
           }
         } catch (err) {
           console.error("Failed to queue via drop", err);
-          showToast("Could not add that movie right now.", "error");
+          notifyFetchError(err, "Could not add that movie right now.");
         }
       }
     });
@@ -928,7 +1173,7 @@ const bindThrowGestures = () => {
 
   const onPointerDown = (event) => {
     const card = event.target.closest('.movie-card');
-    if (!card) return;
+    if (!card || card.dataset.mediaType === MEDIA_TYPES.TV) return;
     // Only track primary pointers
     if (event.button && event.button !== 0) return;
     const id = event.pointerId;
@@ -1044,6 +1289,7 @@ const bindThrowGestures = () => {
 // Wire up session planner drawer interactions (drag, save, clear, etc.).
 const initPlannerDrawer = () => {
   hydrateSessionPlan();
+  renderSessionPlans();
   bindPlannerInteractions();
   // Tutorial overlay removed in favor of a hover-triggered demo (see ui.showHoverTutorial)
   const trigger = plannerTriggerButton();
@@ -1060,14 +1306,26 @@ const initPlannerDrawer = () => {
       triggerSoftHaptic(closeBtn);
     });
   }
-  const saveBtn = plannerSaveButton();
-  if (saveBtn) {
-    saveBtn.addEventListener("click", () => {
-      persistPlannerQueue();
-      showToast("Session plan saved locally.", "success");
-      triggerSoftHaptic(saveBtn);
+  const plansBtn = plannerPlansButton();
+  if (plansBtn) {
+    plansBtn.addEventListener("click", () => {
+      openSessionPlans();
+      triggerSoftHaptic(plansBtn);
     });
   }
+  const planSelect = plannerPlanSelect();
+  planSelect?.addEventListener("change", () => switchSessionPlan(planSelect.value));
+  initPlannerSchedule();
+  const calendarBtn = plannerCalendarButton();
+  calendarBtn?.addEventListener("click", () => {
+    exportPlannerCalendar();
+    triggerSoftHaptic(calendarBtn);
+  });
+  const shareBtn = plannerShareButton();
+  shareBtn?.addEventListener("click", () => {
+    sharePlannerLink();
+    triggerSoftHaptic(shareBtn);
+  });
   const clearBtn = plannerClearButton();
   if (clearBtn) {
     clearBtn.addEventListener("click", () => {
@@ -1106,7 +1364,7 @@ const updateLoadedMovies = (movies = [], { append = false } = {}) => {
   return state.loadedMovies;
 };
 
-const overlaySections = ["movies", "people", "collections"];
+const overlaySections = ["movies", "tv", "people", "collections"];
 const overlayMaxItems = 8;
 
 const getOverlayItems = (type) => {
@@ -1161,6 +1419,10 @@ const buildSearchResult = (type, item, index) => {
     const year = item.releaseDate ? item.releaseDate.split("-")[0] : "—";
     subtitle.textContent = `${year} • ★ ${item.rating || "NR"}`;
     li.dataset.mediaType = "movie";
+  } else if (type === "tv") {
+    const year = item.releaseDate ? item.releaseDate.split("-")[0] : "—";
+    subtitle.textContent = `Series • ${year} • ★ ${item.rating || "NR"}`;
+    li.dataset.mediaType = "tv";
   } else if (type === "people") {
     subtitle.textContent = `Known for: ${item.knownFor || "Acting"}`;
     li.dataset.mediaType = "person";
@@ -1193,7 +1455,20 @@ const buildSearchResult = (type, item, index) => {
       ? '<i class="fa-solid fa-users"></i>'
       : '<i class="fa-solid fa-list-check"></i>';
 
-  actions.append(openBtn, queueBtn);
+  const listBtn = document.createElement("button");
+  listBtn.type = "button";
+  listBtn.dataset.action = "add-to-list";
+  listBtn.title = "Add to list";
+  listBtn.innerHTML = '<i class="fa-regular fa-bookmark"></i>';
+
+  // Series can't be scheduled in the movie-night planner, so they only open.
+  actions.append(openBtn);
+  if (type !== "tv") {
+    actions.appendChild(queueBtn);
+  }
+  if (type === "movies" || type === "tv") {
+    actions.appendChild(listBtn);
+  }
   li.append(main, actions);
   return li;
 };
@@ -1273,27 +1548,33 @@ const performOverlaySearch = async (query) => {
   if (!query || !query.trim()) {
     state.searchOverlay.results = {
       movies: [],
+      tv: [],
       people: [],
       collections: [],
     };
+    cancelRequest("overlay-search");
     renderSearchOverlay();
     return;
   }
+  const signal = supersedeRequest("overlay-search");
   try {
-    const [moviesRes, peopleRes, collectionsRes] = await Promise.all([
-      searchMovies(query, 1),
-      searchPeople(query, 1),
-      searchCollections(query, 1),
+    const [moviesRes, tvRes, peopleRes, collectionsRes] = await Promise.all([
+      searchMovies(query, 1, { signal }),
+      searchTv(query, 1, { signal }),
+      searchPeople(query, 1, { signal }),
+      searchCollections(query, 1, { signal }),
     ]);
     state.searchOverlay.results = {
       movies: moviesRes.results || [],
+      tv: tvRes.results || [],
       people: peopleRes.results || [],
       collections: collectionsRes.results || [],
     };
     renderSearchOverlay();
   } catch (error) {
+    if (isAbortError(error)) return;
     console.error("Search overlay failed", error);
-    showToast("Search is taking a break. Try again shortly.", "error");
+    notifyFetchError(error, "Search is taking a break. Try again shortly.");
   }
 };
 
@@ -1304,6 +1585,9 @@ const handleOverlayItemSelect = async ({ column, data }) => {
   if (column === "movies") {
     closeSearchOverlay();
     await openMovieDetails(data.id);
+  } else if (column === "tv") {
+    closeSearchOverlay();
+    await openSeriesDetails(data.id);
   } else if (column === "people") {
     closeSearchOverlay();
     await openCastFilmography({
@@ -1334,6 +1618,9 @@ const handleOverlayButtonAction = (action, data, column) => {
     case "queue-collection":
       queueCollection(data);
       break;
+    case "add-to-list":
+      openListPicker(data);
+      break;
     default:
       break;
   }
@@ -1387,10 +1674,12 @@ const openSearchOverlay = () => {
 
 const closeSearchOverlay = () => {
   if (!state.searchOverlay.open) return;
+  cancelRequest("overlay-search");
   state.searchOverlay.open = false;
   setSearchOverlayVisibility(false);
   state.searchOverlay.results = {
     movies: [],
+    tv: [],
     people: [],
     collections: [],
   };
@@ -1402,6 +1691,9 @@ const categoryFetchers = {
   popular: fetchPopular,
   top_rated: fetchTopRated,
   upcoming: fetchUpcoming,
+  tv: fetchTrendingTv,
+  tv_popular: fetchPopularTv,
+  tv_top_rated: fetchTopRatedTv,
 };
 
 const searchInput = () => document.getElementById("search-input");
@@ -1420,10 +1712,11 @@ const getGenreSignature = () => {
 const getBrowseSignature = () => {
   const genre = getGenreSignature();
   const query = (state.searchQuery || "").trim().toLowerCase();
-  return `${state.category}|${genre}|${query}`;
+  return `${state.category}|${genre}|${query}|${state.activeTag}`;
 };
 
 const clearPrefetch = () => {
+  cancelRequest("prefetch");
   state.prefetch = null;
   state.prefetchToken = null;
 };
@@ -1444,8 +1737,10 @@ const schedulePrefetch = (signature) => {
 
   const token = `${signature}|${nextPage}|${Date.now()}`;
   state.prefetchToken = token;
+  const signal = supersedeRequest("prefetch");
 
   runIdle(async () => {
+    if (signal.aborted) return;
     try {
       let response;
       if (state.category === "search") {
@@ -1456,12 +1751,12 @@ const schedulePrefetch = (signature) => {
           state.prefetch = null;
           return;
         }
-        response = await searchMovies(state.searchQuery, nextPage);
+        response = await searchMovies(state.searchQuery, nextPage, { signal });
       } else if (state.category === "genre" && state.selectedGenres.length) {
-        response = await fetchMoviesByGenre(state.selectedGenres, nextPage);
+        response = await fetchMoviesByGenre(state.selectedGenres, nextPage, { signal });
       } else {
         const fetcher = categoryFetchers[state.category] || fetchTrending;
-        response = await fetcher(nextPage);
+        response = await fetcher(nextPage, { signal });
       }
 
       if (state.prefetchToken !== token) return;
@@ -1503,6 +1798,46 @@ const refreshWatched = () => {
   return state.watched;
 };
 
+const refreshRatings = () => {
+  state.ratings = getPersonalRatings();
+  return state.ratings;
+};
+
+// Save a personal rating/note edit from the movie modal and update cards.
+const handlePersonalChange = (movie, updates) => {
+  setPersonalRating(movie, updates);
+  refreshRatings();
+  syncListViews();
+};
+
+// Log a rewatch from the movie modal.
+const handleLogViewing = (movie) => {
+  const entry = logViewing(movie);
+  refreshWatched();
+  syncListViews();
+  const count = entry?.viewings.length || 1;
+  showToast(`Logged viewing #${count} of "${movie.title}".`, "success");
+};
+
+// Diary edits from the watched modal; return the list for it to re-render.
+const handleViewingChange = (movie, viewingId, updates) => {
+  updateViewing(movie, viewingId, updates);
+  return refreshWatched();
+};
+
+const handleViewingDelete = (movie, viewingId) => {
+  const entry = deleteViewing(movie, viewingId);
+  refreshWatched();
+  syncListViews();
+  showToast(
+    entry
+      ? `Removed a viewing of "${movie.title}".`
+      : `"${movie.title}" removed from your watched list.`,
+    "info"
+  );
+  return state.watched;
+};
+
 // Toggle favourite state and trigger follow-up UI updates.
 const handleFavoriteToggle = (movie) => {
   const nowFavorite = toggleFavorite(movie);
@@ -1541,33 +1876,137 @@ const buildMovieTitleForSection = () => {
       return "Top Rated";
     case "upcoming":
       return "Coming Soon";
+    case "tv":
+      return "Trending Series";
+    case "tv_popular":
+      return "Popular Series";
+    case "tv_top_rated":
+      return "Top Rated Series";
     default:
       return DEFAULT_SECTION_TITLE;
   }
 };
 
+const isHomeFeed = () =>
+  state.tmdbReady &&
+  !state.activeTag &&
+  state.category === DEFAULT_CATEGORY &&
+  !state.searchQuery &&
+  !state.selectedGenres.length;
+
+// Tick off the "next up" episode straight from the home row.
+const markNextEpisodeWatched = (item) => {
+  const { seasonNumber, episodeNumber } = item.nextEpisode;
+  toggleEpisodeWatched(item, seasonNumber, episodeNumber);
+  refreshContinueWatching();
+  showToast(`Marked ${formatEpisodeCode(item.nextEpisode)} of "${item.title}" as watched.`, "success", {
+    actionText: "Undo",
+    actionHandler: () => {
+      toggleEpisodeWatched(item, seasonNumber, episodeNumber);
+      refreshContinueWatching();
+    },
+  });
+};
+
+// Rebuild the "Continue watching" row from stored episode progress.
+const refreshContinueWatching = () => {
+  renderContinueWatching(getContinueWatching(), {
+    visible: isHomeFeed(),
+    onSelect: async (item) => {
+      await openSeriesDetails(item.id);
+    },
+    onMarkNext: markNextEpisodeWatched,
+  });
+};
+
 // Render a batch of movie cards into the grid (append or replace).
-const renderMovies = (results, { append = false } = {}) => {
+const renderMovies = (results, { append = false, update = false } = {}) => {
+  if (!append && !update) {
+    refreshContinueWatching();
+  }
   renderMovieGrid(results, {
     append,
+    update,
     favorites: state.favorites,
     watched: state.watched,
+    ratings: state.ratings,
+    customLists: state.customLists,
+    tags: state.tags,
     context: {
       category: state.category,
       hasGenreFilters: state.selectedGenres.length > 0,
       searchQuery: state.searchQuery,
       isDefaultCategory: state.category === DEFAULT_CATEGORY,
+      activeTag: state.activeTag,
     },
     onCardClick: async (movie) => {
-      await openMovieDetails(movie.id);
+      await openMediaDetails(movie);
     },
     onFavoriteToggle: handleFavoriteToggle,
     onWatchedToggle: handleWatchedToggle,
+    onAddToList: openListPicker,
     onPlannerDragStart: handleCardDragStart,
     onPlannerDragEnd: handleCardDragEnd,
   });
 };
 
+// ---- OFFLINE FALLBACK ----
+
+let offlineViewActive = false;
+
+// Replace the feed with locally saved lists when the network is unreachable.
+const showOfflineView = () => {
+  offlineViewActive = true;
+  clearPrefetch();
+  updateSectionTitle("Offline library");
+  const rerender = () => {
+    if (offlineViewActive) showOfflineView();
+  };
+  renderOfflineView(
+    {
+      favorites: state.favorites,
+      watched: state.watched,
+      plan: state.planner.queue,
+      ratings: state.ratings,
+      customLists: state.customLists,
+      tags: state.tags,
+    },
+    {
+      onRetry: () => {
+        resetPagination();
+        loadMovies({ append: false });
+      },
+      onCardClick: async (movie) => {
+        await openMediaDetails(movie);
+      },
+      onFavoriteToggle: (movie) => {
+        const nowFavorite = handleFavoriteToggle(movie);
+        rerender();
+        return nowFavorite;
+      },
+      onWatchedToggle: (movie) => {
+        const nowWatched = handleWatchedToggle(movie);
+        rerender();
+        return nowWatched;
+      },
+      onAddToList: openListPicker,
+    }
+  );
+};
+
+// Reload the live feed once connectivity returns.
+const bindConnectivityEvents = () => {
+  window.addEventListener("online", () => {
+    if (!offlineViewActive || !state.tmdbReady) return;
+    showToast("Back online. Refreshing the feed.", "info");
+    resetPagination();
+    loadMovies({ append: false });
+  });
+  window.addEventListener("offline", () => {
+    showToast("You're offline. Saved lists and cached posters still work.", "info");
+  });
+};
+
 const disableElements = (selectors = []) => {
   selectors.forEach((selector) => {
     document.querySelectorAll(selector).forEach((element) => {
@@ -1582,6 +2021,37 @@ const disableElements = (selectors = []) => {
   });
 };
 
+// Controls that need live TMDB data; disabled until a credential is connected.
+const LIVE_DATA_CONTROLS = [
+  ".nav-link",
+  "#genre-dropdown-trigger",
+  "#genre-clear",
+  ".genre-chip",
+  ".search-column-action",
+  "#favorites-trigger",
+  "#watched-trigger",
+  "#planner-trigger",
+  "#planner-plans",
+  "#planner-clear",
+  "#tag-filter-select",
+  "#tag-manage",
+];
+
+const enableElements = (selectors = []) => {
+  selectors.forEach((selector) => {
+    document.querySelectorAll(selector).forEach((element) => {
+      if (!element) return;
+      if ("disabled" in element) {
+        element.disabled = false;
+      }
+      element.removeAttribute("aria-disabled");
+      element.removeAttribute("tabindex");
+      element.style.pointerEvents = "";
+    });
+  });
+};
+
+// Onboarding screen shown in place of the grid until a credential is connected.
 const renderMissingApiKeyState = () => {
   const grid = document.getElementById("movies-grid");
   if (!grid || grid.dataset.missingKey === "true") return;
@@ -1589,16 +2059,20 @@ const renderMissingApiKeyState = () => {
   const wrapper = document.createElement("div");
   wrapper.className = "empty-state missing-api-key";
   const heading = document.createElement("h3");
-  heading.textContent = "TMDB API key required";
+  heading.textContent = "Connect your TMDB account";
   const message = document.createElement("p");
   message.textContent =
-    "MovieVault needs a TMDB API key before it can load live data.";
-  const instructions = document.createElement("p");
-  instructions.textContent =
-    'Update scripts/config.js with your TMDB API key, then reload the page.';
-  const reassurance = document.createElement("p");
-  reassurance.textContent = "Your key stays on this device only.";
-  wrapper.append(heading, message, instructions, reassurance);
+    "MovieVault loads live data from TMDB. Paste your own v4 read access token or v3 API key to get started.";
+  const { form } = createCredentialForm({ onSubmit: connectTmdbCredential });
+  const demoButton = document.createElement("button");
+  demoButton.type = "button";
+  demoButton.className = "ghost-button";
+  demoButton.textContent = "Explore offline demo data instead";
+  demoButton.addEventListener("click", async () => {
+    saveSettings({ dataProvider: DATA_PROVIDERS.FIXTURES });
+    await applyProviderChange();
+  });
+  wrapper.append(heading, message, form, demoButton);
   grid.appendChild(wrapper);
   grid.dataset.missingKey = "true";
 };
@@ -1611,6 +2085,7 @@ const handleMissingApiKey = () => {
   state.page = 1;
   state.totalPages = 0;
   clearPrefetch();
+  refreshContinueWatching();
   renderMissingApiKeyState();
   hideLoader();
   const loader = document.getElementById("loader");
@@ -1622,45 +2097,124 @@ const handleMissingApiKey = () => {
   if (input) {
     input.disabled = true;
     input.value = "";
-    input.placeholder = "Add your TMDB API key to enable search";
+    input.placeholder = "Connect TMDB to enable search";
     input.setAttribute("aria-disabled", "true");
   }
-  disableElements([
-    ".nav-link",
-    "#genre-dropdown-trigger",
-    "#genre-clear",
-    ".genre-chip",
-    ".search-column-action",
-    "#favorites-trigger",
-    "#watched-trigger",
-    "#planner-trigger",
-    "#planner-save",
-    "#planner-clear",
-  ]);
+  disableElements(LIVE_DATA_CONTROLS);
   if (document?.body) {
     document.body.classList.add("missing-api-key");
   }
-  updateSectionTitle("Add your TMDB API key");
-  showToast(
-    "Add your TMDB API key in scripts/config.js to browse movies.",
-    "warning"
-  );
+  updateSectionTitle("Connect TMDB to start browsing");
   announceLive(
-    "TMDB API key missing. Update scripts/config.js with your key and reload to browse movies."
+    "TMDB credential missing. Paste a TMDB API key in the form below to browse movies."
+  );
+};
+
+// Undo the onboarding lockout once a credential has been verified.
+const restoreLiveDataUi = () => {
+  missingApiKeyHandled = false;
+  state.tmdbReady = true;
+  const grid = document.getElementById("movies-grid");
+  if (grid) {
+    grid.innerHTML = "";
+    delete grid.dataset.missingKey;
+  }
+  const input = searchInput();
+  if (input) {
+    input.disabled = false;
+    input.placeholder = "Search for a movie...";
+    input.removeAttribute("aria-disabled");
+  }
+  enableElements(LIVE_DATA_CONTROLS);
+  if (document?.body) {
+    document.body.classList.remove("missing-api-key");
+  }
+  updateSectionTitle(buildMovieTitleForSection());
+};
+
+// Validate a pasted credential, store it, and bring live data online.
+const connectTmdbCredential = async (value, remember = true) => {
+  const result = await validateTmdbCredential(value);
+  if (!result.ok) return result;
+  saveTmdbCredential(value, { remember });
+  if (state.tmdbReady) {
+    showToast("TMDB credential updated.", "success");
+    return result;
+  }
+  restoreLiveDataUi();
+  showToast("Connected to TMDB.", "success");
+  announceLive("Connected to TMDB. Loading movies.");
+  await startLiveData(getCurrentRoute());
+  return result;
+};
+
+const disconnectTmdbCredential = () => {
+  clearTmdbCredential();
+  closeAllModals();
+  closeSearchOverlay();
+  handleMissingApiKey();
+  showToast("TMDB credential removed from this device.", "info");
+};
+
+const openCredentialManager = () => {
+  openCredentialModal({
+    currentLabel: describeTmdbCredential(),
+    onSubmit: connectTmdbCredential,
+    onClear: disconnectTmdbCredential,
+  });
+};
+
+// Stale-while-revalidate: fold a refreshed feed page into the grid. Cards
+// already on screen are swapped in place; if the first (and only) page came
+// back in a different order, it is re-rendered instead.
+const applyRevalidatedFeed = (signature, page, fresh) => {
+  if (signature !== getBrowseSignature() || page > state.page) return;
+  const results = fresh.results || [];
+  state.totalPages = fresh.total_pages || state.totalPages;
+  const sameOrder =
+    state.loadedMovies.map((movie) => movie.id).join(",") ===
+    results.map((movie) => movie.id).join(",");
+  if (page === 1 && state.page === 1 && !sameOrder) {
+    clearPrefetch();
+    updateLoadedMovies(results);
+    renderMovies(results);
+    return;
+  }
+  const freshByKey = new Map(
+    results.map((movie) => [buildMediaKey(movie.id, getMediaType(movie)), movie])
+  );
+  state.loadedMovies = state.loadedMovies.map(
+    (movie) => freshByKey.get(buildMediaKey(movie.id, getMediaType(movie))) || movie
   );
+  renderMovies(results, { update: true });
 };
 
 // Fetch movies for the current view and render the grid.
 // Core data loader: fetch current feed (category/genre/search) and render.
+// A fresh (non-append) load supersedes and aborts any load still in flight,
+// so rapid category or genre switches always render the latest choice.
 const loadMovies = async ({ append = false } = {}) => {
   if (!state.tmdbReady) {
     handleMissingApiKey();
     return;
   }
-  if (state.loading) return;
+  if (!append && state.activeTag) {
+    state.activeTag = "";
+    renderTagFilter(getTagUsage(state.tags), "");
+    syncBrowseRoute();
+  }
+  if (state.loading && append) return;
   if (state.page > state.totalPages) return;
+  if (state.loading) {
+    hideLoader();
+  }
   state.loading = true;
+  state.feedLoadId += 1;
+  const loadId = state.feedLoadId;
+  const signal = supersedeRequest("feed");
   const signature = getBrowseSignature();
+  const page = state.page;
+  const onUpdate = (fresh) => applyRevalidatedFeed(signature, page, fresh);
   let response;
   const prefetchMatch =
     state.prefetch &&
@@ -1677,14 +2231,19 @@ const loadMovies = async ({ append = false } = {}) => {
       state.prefetchToken = null;
     } else {
       if (state.category === "search") {
-        response = await searchMovies(state.searchQuery, state.page);
+        response = await searchMovies(state.searchQuery, state.page, { signal });
       } else if (state.category === "genre" && state.selectedGenres.length) {
-        response = await fetchMoviesByGenre(state.selectedGenres, state.page);
+        response = await fetchMoviesByGenre(state.selectedGenres, state.page, {
+          signal,
+          onUpdate,
+        });
       } else {
         const fetcher = categoryFetchers[state.category] || fetchTrending;
-        response = await fetcher(state.page);
+        response = await fetcher(state.page, { signal, onUpdate });
       }
     }
+    if (loadId !== state.feedLoadId) return;
+    offlineViewActive = false;
     state.totalPages = response.total_pages || state.totalPages;
     const results = response.results || [];
    const appendMode = append || state.page > 1;
@@ -1693,28 +2252,53 @@ const loadMovies = async ({ append = false } = {}) => {
     updateSectionTitle(buildMovieTitleForSection());
     schedulePrefetch(signature);
   } catch (error) {
+    if (isAbortError(error) || loadId !== state.feedLoadId) return;
     console.error("Failed to load movies", error);
+    if (!append && getApiErrorKind(error) === API_ERROR_KINDS.NETWORK) {
+      showOfflineView();
+      showToast("Can't reach TMDB. Showing your saved library.", "info");
+    } else {
+      notifyFetchError(error);
+    }
     if (!append) {
       clearPrefetch();
     }
   } finally {
-    if (shouldShowLoader) {
-      hideLoader();
+    if (loadId === state.feedLoadId) {
+      if (shouldShowLoader) {
+        hideLoader();
+      }
+      state.loading = false;
     }
-    state.loading = false;
   }
 };
 
+// Shape a TMDB detail payload for the movie modal.
+const toModalMovie = (details) => ({
+  id: details.id,
+  title: details.title || details.name,
+  rating: Number.isFinite(Number(details.vote_average))
+    ? Number(details.vote_average).toFixed(1)
+    : "NR",
+  releaseDate: details.release_date || details.first_air_date || "Unknown date",
+  poster: buildImageUrl(details.poster_path, "POSTER_LARGE") || MOVIE_PLACEHOLDER,
+  overview: details.overview || "Synopsis unavailable for this title.",
+  voteCount: details.vote_count,
+});
+
 // Load full details and trailer for the chosen movie.
 // Open the movie modal with full detail payload and supporting metadata.
-const openMovieDetails = async (movieId) => {
+const openMovieDetails = async (movieId, { updateRoute = true } = {}) => {
   if (!state.tmdbReady) {
     handleMissingApiKey();
     return;
   }
   showLoader();
+  let modalHandle = null;
   try {
-    const details = await fetchMovieDetails(movieId);
+    const details = await fetchMovieDetails(movieId, {
+      onUpdate: (fresh) => modalHandle?.update(toModalMovie(fresh)),
+    });
     const videos = (details?.videos?.results || []).filter(Boolean);
     const trailerCandidate =
       videos.find(
@@ -1740,28 +2324,15 @@ const openMovieDetails = async (movieId) => {
         id: member.id,
         name: member.name,
         character: member.character,
-        profile: member.profile_path
-          ? `${CONFIG.TMDB_IMAGE_BASE}/w185${member.profile_path}`
-          : "assets/placeholders/poster-fallback.png",
+        profile:
+          buildImageUrl(member.profile_path, "PROFILE") ||
+          "assets/placeholders/poster-fallback.png",
       }));
 
-    const movie = {
-      id: details.id,
-      title: details.title || details.name,
-      rating: Number.isFinite(Number(details.vote_average))
-        ? Number(details.vote_average).toFixed(1)
-        : "NR",
-      releaseDate:
-        details.release_date || details.first_air_date || "Unknown date",
-      poster: details.poster_path
-        ? `https://image.tmdb.org/t/p/w500${details.poster_path}`
-        : MOVIE_PLACEHOLDER,
-      overview: details.overview || "Synopsis unavailable for this title.",
-      voteCount: details.vote_count,
-    };
+    const movie = toModalMovie(details);
     const favorite = isFavorite(movieId);
     const watched = isWatched(movieId);
-    openMovieModal(movie, {
+    modalHandle = openMovieModal(movie, {
       trailerUrl,
       cast: castMembers,
       onFavoriteToggle: handleFavoriteToggle,
@@ -1769,17 +2340,139 @@ const openMovieDetails = async (movieId) => {
       onCastSelect: async (member) => {
         await openCastFilmography(member);
       },
+      onPersonalChange: handlePersonalChange,
+      onLogViewing: handleLogViewing,
+      onAddToList: openListPicker,
+      onTagsChange: handleTagsChange,
       isFavorite: favorite,
       isWatched: watched,
+      personal: getPersonalRating(movie.id),
+      tags: getTitleTags(movie.id),
+      tagSuggestions: getTagUsage(refreshTags()).map(({ tag }) => tag),
     });
+    showModalRoute({ name: "movie", id: movie.id }, updateRoute);
   } catch (error) {
     console.error("Unable to open movie details", error);
-    showToast("We could not load that movie. Please try another.", "error");
+    notifyFetchError(error, "We could not load that movie. Please try another.");
+    releaseModalRoute();
+  } finally {
+    hideLoader();
+  }
+};
+
+// Shape a TMDB series payload for the series modal.
+const toModalSeries = (details) => {
+  const firstYear = (details.first_air_date || "").split("-")[0];
+  const lastYear = (details.last_air_date || "").split("-")[0];
+  const years =
+    firstYear && lastYear && firstYear !== lastYear && !details.in_production
+      ? `${firstYear}–${lastYear}`
+      : firstYear
+      ? `${firstYear}${details.in_production ? "–" : ""}`
+      : "";
+  return {
+    id: details.id,
+    mediaType: MEDIA_TYPES.TV,
+    title: details.name || details.original_name || "Untitled",
+    rating: Number.isFinite(Number(details.vote_average))
+      ? Number(details.vote_average).toFixed(1)
+      : "NR",
+    releaseDate: details.first_air_date || "Unknown date",
+    poster: buildImageUrl(details.poster_path, "POSTER_LARGE") || MOVIE_PLACEHOLDER,
+    overview: details.overview || "Synopsis unavailable for this title.",
+    voteCount: details.vote_count,
+    status: details.status || "",
+    years,
+    networks: (details.networks || [])
+      .map((network) => network?.name)
+      .filter(Boolean)
+      .slice(0, 2)
+      .join(", "),
+  };
+};
+
+// Load a series with its season list and open the series modal.
+const openSeriesDetails = async (seriesId, { updateRoute = true } = {}) => {
+  if (!state.tmdbReady) {
+    handleMissingApiKey();
+    return;
+  }
+  showLoader();
+  let modalHandle = null;
+  try {
+    const details = await fetchSeriesDetails(seriesId, {
+      onUpdate: (fresh) => modalHandle?.update(toModalSeries(fresh)),
+    });
+    const series = toModalSeries(details);
+    const seasons = (details.seasons || [])
+      .filter((season) => season && Number.isFinite(Number(season.season_number)))
+      .map((season) => ({
+        id: season.id,
+        number: Number(season.season_number),
+        name: season.name || `Season ${season.season_number}`,
+        episodeCount: Number(season.episode_count) || 0,
+        airDate: season.air_date || "",
+      }))
+      // Regular seasons first, specials (season 0) trail the list.
+      .sort((a, b) => (a.number || Infinity) - (b.number || Infinity));
+    // Episode progress needs the season layout to work out "next up".
+    series.seasons = seasons.map(({ number, episodeCount }) => ({ number, episodeCount }));
+    modalHandle = openSeriesModal(series, {
+      seasons,
+      onSeasonSelect: async (season) => {
+        const data = await fetchSeasonDetails(series.id, season.number);
+        return data.episodes || [];
+      },
+      onFavoriteToggle: handleFavoriteToggle,
+      onWatchedToggle: handleWatchedToggle,
+      isFavorite: isFavorite(series.id, MEDIA_TYPES.TV),
+      isWatched: isWatched(series.id, MEDIA_TYPES.TV),
+      progress: {
+        isEpisodeWatched: (seasonNumber, episodeNumber) =>
+          isEpisodeWatched(series.id, seasonNumber, episodeNumber),
+        onEpisodeToggle: (episode) => {
+          const nowWatched = toggleEpisodeWatched(
+            series,
+            episode.seasonNumber,
+            episode.episodeNumber
+          );
+          refreshContinueWatching();
+          return nowWatched;
+        },
+        onSeasonToggle: (season, episodes, watched) => {
+          setSeasonWatched(
+            series,
+            season.number,
+            episodes.map((episode) => episode.episodeNumber),
+            watched
+          );
+          refreshContinueWatching();
+        },
+        getSeasonCompletion: (season) =>
+          getSeasonCompletion(series.id, season.number, season.episodeCount),
+        getNextEpisode: () => getNextEpisode(getSeriesProgress(series.id)),
+      },
+    });
+    showModalRoute({ name: "series", id: series.id }, updateRoute);
+  } catch (error) {
+    console.error("Unable to open series details", error);
+    notifyFetchError(error, "We could not load that series. Please try another.");
+    releaseModalRoute();
   } finally {
     hideLoader();
   }
 };
 
+// Route a card or saved item to the modal matching its media type.
+const openMediaDetails = async (item, options = {}) => {
+  if (!item || !item.id) return;
+  if (getMediaType(item) === MEDIA_TYPES.TV) {
+    await openSeriesDetails(item.id, options);
+    return;
+  }
+  await openMovieDetails(item.id, options);
+};
+
 const handleSearchSelection = (item) => {
   state.searchQuery = item.title;
   state.category = "search";
@@ -1796,17 +2489,20 @@ const handleSearchSelection = (item) => {
   closeGenreDropdown();
   clearSuggestions();
   closeDrawer();
+  syncBrowseRoute();
   loadMovies();
 };
 
 const performSearch = async (query) => {
   const trimmed = query.trim();
   if (!trimmed) {
+    cancelRequest("suggestions");
     clearSuggestions();
     return;
   }
+  const signal = supersedeRequest("suggestions");
   try {
-    const response = await searchMovies(trimmed, 1);
+    const response = await searchMovies(trimmed, 1, { signal });
     const suggestions = (response.results || []).slice(0, MAX_SUGGESTIONS);
     renderSuggestions(
       suggestions.map((movie) => ({
@@ -1816,6 +2512,7 @@ const performSearch = async (query) => {
       handleSearchSelection
     );
   } catch (error) {
+    if (isAbortError(error)) return;
     console.error("Search suggestions failed", error);
   }
 };
@@ -1986,6 +2683,7 @@ const attachGenreFilter = async () => {
       setActiveNav(state.category);
     }
 
+    syncBrowseRoute();
     loadMovies({ append: false });
   };
 
@@ -2050,6 +2748,8 @@ const attachEmptyStateActions = () => {
       state.category = DEFAULT_CATEGORY;
       document.dispatchEvent(new Event("movievault:clear-filters"));
       closeGenreDropdown();
+    } else if (action === "clear-tag") {
+      setTagFilter("");
     }
   });
 };
@@ -2151,6 +2851,7 @@ const attachNav = () => {
       updateGenreTriggerSummary(state.selectedGenres, state.genres);
       syncGenreClearButtonState();
       closeGenreDropdown();
+      syncBrowseRoute();
       loadMovies({ append: false });
     });
   });
@@ -2180,7 +2881,7 @@ const attachScrollListener = () => {
 
 // IntersectionObserver callback: fetch next page when sentinel appears.
 const maybeLoadMore = () => {
-  if (state.loading) return;
+  if (state.loading || state.activeTag) return;
   if (state.page >= state.totalPages) return;
   const now = Date.now();
   if (now - state.lastScrollLoad < INFINITE_SCROLL_COOLDOWN) return;
@@ -2234,9 +2935,13 @@ const openFavorites = () => {
     return;
   }
   refreshFavorites();
-  openFavoritesModal(state.favorites, async (fav) => {
-    await openMovieDetails(fav.id);
-  });
+  openFavoritesModal(
+    state.favorites,
+    async (fav) => {
+      await openMediaDetails(fav);
+    },
+    { ratings: refreshRatings(), tags: refreshTags() }
+  );
 };
 
 const openWatched = () => {
@@ -2245,94 +2950,1133 @@ const openWatched = () => {
     return;
   }
   refreshWatched();
-  openWatchedModal(state.watched, async (item) => {
-    await openMovieDetails(item.id);
+  openWatchedModal(
+    state.watched,
+    async (item) => {
+      await openMediaDetails(item);
+    },
+    {
+      ratings: refreshRatings(),
+      tags: refreshTags(),
+      onViewingChange: handleViewingChange,
+      onViewingDelete: handleViewingDelete,
+    }
+  );
+};
+
+// ---- CUSTOM LISTS ----
+
+const refreshCustomLists = () => {
+  state.customLists = getCustomLists();
+  return state.customLists;
+};
+
+// Handle of the open list manager, kept current when lists change elsewhere.
+let customListsModal = null;
+
+// Re-read the lists after any change and update cards and the manager.
+const afterCustomListChange = () => {
+  refreshCustomLists();
+  syncListViews();
+  customListsModal?.setLists(state.customLists);
+  return state.customLists;
+};
+
+// "Add to list" picker for cards, the movie modal, search and collections.
+const openListPicker = (movie) => {
+  if (!movie || !movie.id) return;
+  openListPickerModal(movie, {
+    lists: refreshCustomLists(),
+    onToggle: (listId, item) => {
+      const nowListed = toggleCustomListItem(listId, item);
+      afterCustomListChange();
+      return nowListed;
+    },
+    onCreate: (name, item) => {
+      const list = createCustomList(name);
+      if (!list) return null;
+      toggleCustomListItem(list.id, item);
+      return afterCustomListChange();
+    },
   });
 };
 
-// Give focus to the primary header search input.
-const focusSearch = () => {
-  const input = searchInput();
-  if (input) {
-    input.focus();
-  }
+const openCustomList = (list) => {
+  openCustomListModal(list, {
+    ratings: refreshRatings(),
+    tags: refreshTags(),
+    onSelectMovie: async (item) => {
+      await openMediaDetails(item);
+    },
+    onRemove: (item) => {
+      toggleCustomListItem(list.id, item);
+      return afterCustomListChange().find((entry) => entry.id === list.id)?.items || [];
+    },
+  });
 };
 
-const openCastFilmography = async (member) => {
+const openCustomLists = () => {
   if (!state.tmdbReady) {
     handleMissingApiKey();
     return;
   }
-  if (!member || !member.id) return;
-  showLoader();
-  let loaderVisible = true;
-  try {
-    const response = await fetchPersonFilmography(member.id);
-    const movies = (response.cast || [])
-      .filter((movie) => movie && movie.id)
-      .map((movie) => buildMovieCard(movie))
-      .slice(0, 30);
-    hideLoader();
-    loaderVisible = false;
-    openCastFilmographyModal(member, movies, {
-      favorites: state.favorites,
-      watched: state.watched,
-      onFavoriteToggle: handleFavoriteToggle,
-      onWatchedToggle: handleWatchedToggle,
-      onMovieSelect: async (movie) => {
-        await openMovieDetails(movie.id);
-      },
-    });
-  } catch (error) {
-    console.error("Unable to load cast filmography", error);
-    showToast("Unable to load this actor's filmography right now.", "error");
-  } finally {
-    if (loaderVisible) {
-      hideLoader();
-    }
+  customListsModal = openCustomListsModal({
+    lists: refreshCustomLists(),
+    onOpen: openCustomList,
+    onCreate: (name) => (createCustomList(name) ? afterCustomListChange() : null),
+    onRename: (listId, name) => {
+      renameCustomList(listId, name);
+      return afterCustomListChange();
+    },
+    onMove: (listId, delta) => {
+      moveCustomList(listId, delta);
+      return afterCustomListChange();
+    },
+    onDelete: (listId) => {
+      const list = state.customLists.find((entry) => entry.id === listId);
+      deleteCustomList(listId);
+      if (list) showToast(`Deleted the list "${list.name}".`, "info");
+      return afterCustomListChange();
+    },
+    onClose: () => {
+      customListsModal = null;
+    },
+  });
+};
+
+// ---- PLANNER SCHEDULE ----
+
+const getPlannerTimeline = () =>
+  buildPlanTimeline(state.planner.queue, state.planner.schedule);
+
+// Show the active plan's schedule in the drawer's schedule fields.
+const renderPlannerSchedule = () => {
+  const { startAt, intermission, bedtime } = state.planner.schedule;
+  if (plannerStartInput()) plannerStartInput().value = startAt;
+  if (plannerIntermissionSelect()) plannerIntermissionSelect().value = String(intermission);
+  if (plannerBedtimeInput()) plannerBedtimeInput().value = bedtime;
+  const summary = plannerScheduleSummaryEl();
+  if (!summary) return;
+  if (!startAt) {
+    summary.textContent = "Schedule this plan";
+    return;
   }
+  const start = formatPlanStart(startAt);
+  summary.textContent = intermission
+    ? `Starts ${start} · ${intermission} min breaks`
+    : `Starts ${start} · no breaks`;
 };
 
-const initFavoritesButton = () => {
-  const btn = document.getElementById("favorites-trigger");
-  if (!btn) return;
-  btn.addEventListener("click", openFavorites);
+// Merge `changes` into the active plan's schedule and redraw the timeline.
+const updatePlannerSchedule = (changes) => {
+  state.planner.schedule = normalizePlanSchedule({ ...state.planner.schedule, ...changes });
+  saveSessionPlanSchedule(state.planner.schedule);
+  renderSessionPlans();
+  renderPlannerSchedule();
+  renderPlannerQueue();
 };
 
-const initWatchedButton = () => {
-  const btn = document.getElementById("watched-trigger");
-  if (!btn) return;
-  btn.addEventListener("click", openWatched);
+const initPlannerSchedule = () => {
+  const intermissionSelect = plannerIntermissionSelect();
+  if (intermissionSelect) {
+    intermissionSelect.replaceChildren(
+      ...PLANNER_INTERMISSION_OPTIONS.map((minutes) => {
+        const option = document.createElement("option");
+        option.value = String(minutes);
+        option.textContent = minutes ? `${minutes} min` : "No break";
+        return option;
+      })
+    );
+    intermissionSelect.addEventListener("change", () =>
+      updatePlannerSchedule({ intermission: Number(intermissionSelect.value) })
+    );
+  }
+  plannerStartInput()?.addEventListener("change", (event) =>
+    updatePlannerSchedule({ startAt: event.target.value })
+  );
+  plannerBedtimeInput()?.addEventListener("change", (event) =>
+    updatePlannerSchedule({ bedtime: event.target.value })
+  );
+  renderPlannerSchedule();
 };
 
-// Initialise the mobile drawer with action routing.
-const initDrawer = () => {
-  configureDrawer({
-    [DRAWER_ACTIONS.SEARCH]: focusSearch,
-    [DRAWER_ACTIONS.FAVORITES]: openFavorites,
-    [DRAWER_ACTIONS.WATCHED]: openWatched,
-    [DRAWER_ACTIONS.THEME]: toggleTheme,
-    [DRAWER_ACTIONS.CLOSE]: closeDrawer,
-  });
+// Download the active plan as an .ics file, one event per title and break.
+const exportPlannerCalendar = () => {
+  if (!state.planner.queue.length) {
+    showToast("Add a movie to the plan before exporting it.", "info");
+    return;
+  }
+  const exported = buildPlanIcs(
+    getActiveSessionPlan(),
+    state.planner.queue,
+    state.planner.schedule
+  );
+  if (!exported) {
+    const schedule = document.getElementById("planner-schedule");
+    if (schedule) schedule.open = true;
+    plannerStartInput()?.focus();
+    showToast("Set a start time to add this plan to your calendar.", "info");
+    return;
+  }
+  downloadFile(exported.filename, exported.contents, "text/calendar");
+  showToast(
+    `Exported ${exported.count} title${exported.count === 1 ? "" : "s"} to a calendar file.`,
+    "success"
+  );
 };
 
-// Lazy-load non-critical UI effects to keep initial load crisp.
-const hydrateOptionalUI = () => {
-  runIdle(() => {
-    try {
-      bindRippleEffect();
-      bindThrowGestures();
-    } catch (error) {
-      console.debug("Optional UI hydration failed", error);
+// ---- SESSION PLANS ----
+
+// Handle of the open plan manager, kept current when plans change elsewhere.
+let sessionPlansModal = null;
+
+// Refresh the drawer's plan picker and the manager from storage.
+const renderSessionPlans = () => {
+  const store = getSessionPlans();
+  renderPlanPicker(store.plans, store.activeId);
+  sessionPlansModal?.setPlans(store);
+  return store;
+};
+
+// Load whichever plan is now active into the drawer and return the store.
+const afterSessionPlanChange = () => {
+  reloadSessionPlan();
+  return getSessionPlans();
+};
+
+const switchSessionPlan = (planId) => {
+  if (!setActiveSessionPlan(planId)) return null;
+  return afterSessionPlanChange();
+};
+
+const openSessionPlans = () => {
+  sessionPlansModal = openSessionPlansModal({
+    ...getSessionPlans(),
+    onSwitch: switchSessionPlan,
+    onCreate: (name) => (createSessionPlan(name) ? afterSessionPlanChange() : null),
+    onRename: (planId, name) => {
+      renameSessionPlan(planId, name);
+      return afterSessionPlanChange();
+    },
+    onDuplicate: (planId) => {
+      if (!duplicateSessionPlan(planId)) return null;
+      showToast(`Now planning "${getActiveSessionPlan()?.name}".`, "success");
+      return afterSessionPlanChange();
+    },
+    onArchive: (planId) => {
+      const plan = getSessionPlans().plans.find((entry) => entry.id === planId);
+      archiveSessionPlan(planId);
+      if (plan) showToast(`Archived "${plan.name}".`, "info");
+      return afterSessionPlanChange();
+    },
+    // Restoring an archived plan also switches the drawer to it.
+    onRestore: switchSessionPlan,
+    onDelete: (planId) => {
+      const plan = getSessionPlans().plans.find((entry) => entry.id === planId);
+      deleteSessionPlan(planId);
+      if (plan) showToast(`Deleted the plan "${plan.name}".`, "info");
+      return afterSessionPlanChange();
+    },
+    onClose: () => {
+      sessionPlansModal = null;
+    },
+  });
+};
+
+// ---- SHARED PLANS ----
+
+// Copy a link carrying the active plan's movie ids, order and start time.
+const sharePlannerLink = async () => {
+  if (!state.planner.queue.length) {
+    showToast("Add a movie to the plan before sharing it.", "info");
+    return;
+  }
+  const share = encodePlanShare({
+    name: getActiveSessionPlan()?.name,
+    items: state.planner.queue,
+    schedule: state.planner.schedule,
+  });
+  const url = new URL(buildRouteHash({ name: "plan", share }), window.location.href).href;
+  try {
+    await navigator.clipboard.writeText(url);
+    showToast("Plan link copied. Anyone with MovieVault can import it.", "success");
+  } catch (error) {
+    console.warn("Clipboard unavailable", error);
+    window.prompt("Copy this link to share the plan:", url);
+  }
+};
+
+// Save a shared plan as a new plan and switch the drawer to it.
+const importSharedPlan = ({ name, schedule }, movies) => {
+  const plan = createSessionPlan(name || "Shared plan", movies.slice(0, MAX_PLANNER_ITEMS));
+  if (!plan) return;
+  if (schedule) {
+    saveSessionPlanSchedule(schedule);
+  }
+  reloadSessionPlan();
+  showToast(
+    `Imported "${plan.name}" with ${movies.length} title${movies.length === 1 ? "" : "s"}.`,
+    "success"
+  );
+  if (!isPlannerOpen()) openPlannerDrawer();
+};
+
+// Append the shared titles missing from the active plan, up to its capacity.
+const mergeSharedPlan = (movies) => {
+  const queued = new Set(state.planner.queue.map((item) => Number(item.id)));
+  const room = Math.max(0, MAX_PLANNER_ITEMS - state.planner.queue.length);
+  const added = movies.filter((movie) => !queued.has(Number(movie.id))).slice(0, room);
+  if (!added.length) return;
+  state.planner.queue.push(...added);
+  renderPlannerQueue();
+  persistPlannerQueue();
+  const planName = getActiveSessionPlan()?.name || "planner";
+  showToast(`Added ${added.length} title${added.length === 1 ? "" : "s"} to ${planName}.`, "success");
+  if (!isPlannerOpen()) openPlannerDrawer();
+};
+
+// A plan link is a one-off prompt, not a place to come back to. It stays in
+// the URL until its preview is on screen so a failed load can be retried.
+const releasePlanRoute = () => {
+  if (getCurrentRoute().name === "plan") {
+    syncBrowseRoute({ replace: true });
+  }
+};
+
+// Fetch the titles of a plan link (see plan-share.js) and offer to import it.
+const openSharedPlan = async (payload) => {
+  const shared = decodePlanShare(payload);
+  if (!shared) {
+    showToast("That plan link is incomplete.", "error");
+    releasePlanRoute();
+    return;
+  }
+  if (!state.tmdbReady) {
+    // startLiveData picks the link up again once a credential is connected.
+    state.pendingPlanShare = payload;
+    handleMissingApiKey();
+    return;
+  }
+  state.pendingPlanShare = "";
+  showLoader();
+  const results = await Promise.allSettled(shared.ids.map((id) => fetchMovieDetails(id)));
+  hideLoader();
+  const movies = results
+    .filter((result) => result.status === "fulfilled" && result.value?.id)
+    .map(({ value: details }) => {
+      const runtime = Number.isFinite(Number(details.runtime)) ? Number(details.runtime) : 0;
+      runtimeCache.set(details.id, runtime);
+      return normalizePlannerMovie(buildMovieCard(details), runtime);
+    });
+  if (!movies.length) {
+    const failure = results.find((result) => result.status === "rejected");
+    notifyFetchError(failure?.reason, "Could not load the titles in that plan link.");
+    return;
+  }
+  openSharedPlanModal({
+    ...shared,
+    movies,
+    missing: shared.ids.length - movies.length,
+    current: {
+      name: getActiveSessionPlan()?.name || "",
+      ids: state.planner.queue.map((item) => item.id),
+      room: MAX_PLANNER_ITEMS - state.planner.queue.length,
+    },
+    onImport: () => importSharedPlan(shared, movies),
+    onMerge: () => mergeSharedPlan(movies),
+  });
+  releasePlanRoute();
+};
+
+// ---- TAGS ----
+
+const refreshTags = () => {
+  state.tags = getTags();
+  return state.tags;
+};
+
+// Handle of the open tag manager, kept current when tags change elsewhere.
+let tagManagerModal = null;
+
+// Replace the feed with every title carrying the active tag. The titles come
+// from the tag store, so nothing is fetched and there is no next page.
+const showTaggedView = () => {
+  offlineViewActive = false;
+  // A feed load still in flight must not render over this view.
+  state.feedLoadId += 1;
+  cancelRequest("feed");
+  clearPrefetch();
+  if (state.loading) {
+    state.loading = false;
+    hideLoader();
+  }
+  const items = Object.values(state.tags)
+    .filter((entry) => entry.tags.includes(state.activeTag))
+    .sort((a, b) => a.title.localeCompare(b.title));
+  updateLoadedMovies(items);
+  renderMovies(items);
+  updateSectionTitle(`Tagged • ${state.activeTag}`);
+};
+
+// Show one tag's titles in the grid, or "" to return to the feed.
+const setTagFilter = (tag) => {
+  if (tag && !state.tmdbReady) {
+    handleMissingApiKey();
+    return;
+  }
+  state.activeTag = normalizeTag(tag);
+  renderTagFilter(getTagUsage(state.tags), state.activeTag);
+  syncBrowseRoute();
+  closeGenreDropdown();
+  if (state.activeTag) {
+    showTaggedView();
+    return;
+  }
+  resetPagination();
+  loadMovies({ append: false });
+};
+
+// Re-read tags after any change and update cards, the toolbar filter and the
+// manager. The tag view falls back to the feed once its tag is gone.
+const afterTagChange = () => {
+  refreshTags();
+  const usage = getTagUsage(state.tags);
+  tagManagerModal?.setUsage(usage);
+  if (state.activeTag && !usage.some(({ tag }) => tag === state.activeTag)) {
+    setTagFilter("");
+  } else if (state.activeTag) {
+    renderTagFilter(usage, state.activeTag);
+    // A rename moves the active tag; keep the URL on it.
+    syncBrowseRoute({ replace: true });
+    showTaggedView();
+  } else {
+    renderTagFilter(usage, "");
+    syncListViews();
+  }
+  return usage;
+};
+
+// Save tag edits from the movie modal; returns the tags as stored.
+const handleTagsChange = (movie, tags) => {
+  const saved = setTitleTags(movie, tags);
+  afterTagChange();
+  return saved;
+};
+
+const openTagManager = () => {
+  if (!state.tmdbReady) {
+    handleMissingApiKey();
+    return;
+  }
+  tagManagerModal = openTagManagerModal({
+    usage: getTagUsage(refreshTags()),
+    onShow: setTagFilter,
+    onRename: (from, to) => {
+      const target = normalizeTag(to);
+      if (!target || target === from) return getTagUsage(state.tags);
+      const merged = getTagUsage(state.tags).some(({ tag }) => tag === target);
+      renameTag(from, target);
+      if (state.activeTag === from) state.activeTag = target;
+      showToast(
+        merged ? `Merged "${from}" into "${target}".` : `Renamed "${from}" to "${target}".`,
+        "success"
+      );
+      return afterTagChange();
+    },
+    onDelete: (tag) => {
+      const count = deleteTag(tag);
+      showToast(`Removed "${tag}" from ${count} title${count === 1 ? "" : "s"}.`, "info");
+      return afterTagChange();
+    },
+    onClose: () => {
+      tagManagerModal = null;
+    },
+  });
+};
+
+const initTagFilter = () => {
+  const select = document.getElementById("tag-filter-select");
+  select?.addEventListener("change", () => setTagFilter(select.value));
+  document.getElementById("tag-manage")?.addEventListener("click", openTagManager);
+  renderTagFilter(getTagUsage(state.tags), state.activeTag);
+};
+
+// Give focus to the primary header search input.
+const focusSearch = () => {
+  const input = searchInput();
+  if (input) {
+    input.focus();
+  }
+};
+
+const openCastFilmography = async (member, { updateRoute = true } = {}) => {
+  if (!state.tmdbReady) {
+    handleMissingApiKey();
+    return;
+  }
+  if (!member || !member.id) return;
+  showLoader();
+  let loaderVisible = true;
+  try {
+    const [response, profile] = await Promise.all([
+      fetchPersonFilmography(member.id),
+      // Deep links only carry the id, so resolve the display name separately.
+      member.name ? Promise.resolve(null) : fetchPersonDetails(member.id),
+    ]);
+    const person = profile
+      ? {
+          id: member.id,
+          name: profile.name || "Unknown",
+          character: profile.known_for_department || "",
+          profile: buildImageUrl(profile.profile_path, "PROFILE") || MOVIE_PLACEHOLDER,
+        }
+      : member;
+    const movies = (response.cast || [])
+      .filter((movie) => movie && movie.id)
+      .map((movie) => buildMovieCard(movie))
+      .slice(0, 30);
+    hideLoader();
+    loaderVisible = false;
+    openCastFilmographyModal(person, movies, {
+      favorites: state.favorites,
+      watched: state.watched,
+      ratings: state.ratings,
+      customLists: state.customLists,
+      tags: state.tags,
+      onFavoriteToggle: handleFavoriteToggle,
+      onWatchedToggle: handleWatchedToggle,
+      onAddToList: openListPicker,
+      onMovieSelect: async (movie) => {
+        await openMovieDetails(movie.id);
+      },
+    });
+    showModalRoute({ name: "person", id: member.id }, updateRoute);
+  } catch (error) {
+    console.error("Unable to load cast filmography", error);
+    notifyFetchError(error, "Unable to load this actor's filmography right now.");
+    releaseModalRoute();
+  } finally {
+    if (loaderVisible) {
+      hideLoader();
+    }
+  }
+};
+
+const initFavoritesButton = () => {
+  const btn = document.getElementById("favorites-trigger");
+  if (!btn) return;
+  btn.addEventListener("click", openFavorites);
+};
+
+const initWatchedButton = () => {
+  const btn = document.getElementById("watched-trigger");
+  if (!btn) return;
+  btn.addEventListener("click", openWatched);
+};
+
+const initListsButton = () => {
+  const btn = document.getElementById("lists-trigger");
+  if (!btn) return;
+  btn.addEventListener("click", openCustomLists);
+};
+
+// Settings that change TMDB payloads (or their image URLs) need a fresh feed.
+// Switching data providers may lock (TMDB without a credential) or unlock the UI.
+const applyProviderChange = async () => {
+  if (!isDataProviderReady()) {
+    handleMissingApiKey();
+    return;
+  }
+  if (!state.tmdbReady) {
+    restoreLiveDataUi();
+    await startLiveData(getCurrentRoute());
+    return;
+  }
+  try {
+    state.genres = await fetchGenres();
+  } catch (error) {
+    console.error("Unable to reload genres for new provider", error);
+  }
+  renderGenreOptions(state.genres, state.selectedGenres);
+  setActiveGenreChip(state.selectedGenres);
+  updateGenreTriggerSummary(state.selectedGenres, state.genres);
+  resetPagination();
+  await loadMovies({ append: false });
+};
+
+const applySettings = async (previous, next) => {
+  if (previous.dataProvider !== next.dataProvider) {
+    await applyProviderChange();
+    return;
+  }
+  const contentChanged =
+    previous.language !== next.language ||
+    previous.region !== next.region ||
+    previous.includeAdult !== next.includeAdult;
+  const imagesChanged = previous.imageQuality !== next.imageQuality;
+  if (!state.tmdbReady || (!contentChanged && !imagesChanged)) return;
+  if (contentChanged) {
+    try {
+      state.genres = await fetchGenres();
+    } catch (error) {
+      console.error("Unable to reload genres for new settings", error);
+    }
+    renderGenreOptions(state.genres, state.selectedGenres);
+    setActiveGenreChip(state.selectedGenres);
+    updateGenreTriggerSummary(state.selectedGenres, state.genres);
+    updateSectionTitle(buildMovieTitleForSection());
+  }
+  resetPagination();
+  await loadMovies({ append: false });
+};
+
+// Cache inspector reached from the settings panel.
+const openDiagnostics = () => {
+  openDiagnosticsModal({
+    loadDiagnostics: async () => ({
+      ...(await getCacheDiagnostics()),
+      requests: getRequestHistory(),
+    }),
+    onPurgeNamespace: async (namespace) => {
+      await purgeCacheNamespace(namespace);
+      if (namespace === "movie_details") {
+        runtimeCache.clear();
+      }
+      clearPrefetch();
+      showToast(`Cleared cached "${namespace}" responses.`, "success");
+    },
+    onPurgeAll: async () => {
+      await clearAllCache();
+      runtimeCache.clear();
+      clearPrefetch();
+      showToast("All cached API responses cleared.", "success");
+    },
+    onClearHistory: clearRequestHistory,
+  });
+};
+
+// ---- CROSS-TAB SYNC ----
+
+// Bring every visible card's favorite/watched/rating state in line with state.
+const syncListViews = () => {
+  if (offlineViewActive) {
+    showOfflineView();
+    return;
+  }
+  syncCardStates({
+    favorites: state.favorites,
+    watched: state.watched,
+    ratings: state.ratings,
+    customLists: state.customLists,
+    tags: state.tags,
+  });
+};
+
+const reloadSessionPlan = () => {
+  state.planner.queue = [];
+  hydrateSessionPlan();
+  renderPlannerQueue();
+  renderSessionPlans();
+};
+
+// Re-read everything stored about the user and refresh the visible UI.
+const reloadPersonalData = () => {
+  refreshFavorites();
+  refreshWatched();
+  refreshRatings();
+  refreshCustomLists();
+  reloadSessionPlan();
+  refreshContinueWatching();
+  afterTagChange();
+};
+
+// `storage` events fire in every other tab sharing this origin whenever one
+// tab writes localStorage, so each tab re-reads only the list that changed.
+const bindCrossTabSync = () => {
+  window.addEventListener("storage", (event) => {
+    if (event.storageArea !== window.localStorage) return;
+    switch (event.key) {
+      case STORAGE_KEYS.FAVORITES:
+        refreshFavorites();
+        syncListViews();
+        break;
+      case STORAGE_KEYS.WATCHED:
+        refreshWatched();
+        syncListViews();
+        break;
+      case STORAGE_KEYS.SESSION_PLANS:
+        reloadSessionPlan();
+        break;
+      case STORAGE_KEYS.EPISODE_PROGRESS:
+        refreshContinueWatching();
+        break;
+      case STORAGE_KEYS.RATINGS:
+        refreshRatings();
+        syncListViews();
+        break;
+      case STORAGE_KEYS.CUSTOM_LISTS:
+        afterCustomListChange();
+        break;
+      case STORAGE_KEYS.TAGS:
+        afterTagChange();
+        break;
+      // localStorage.clear() in another tab.
+      case null:
+        reloadPersonalData();
+        break;
+      default:
+        break;
+    }
+  });
+};
+
+// ---- BACKUP & RESTORE ----
+
+const exportBackup = () => {
+  try {
+    downloadFile(getBackupFilename(), serializeBackup(createBackup()), "application/json");
+    showToast("Backup downloaded.", "success");
+  } catch (error) {
+    console.error("Backup export failed", error);
+    showToast("Could not create the backup file.", "error");
+  }
+};
+
+const importBackup = async () => {
+  let backup;
+  try {
+    const file = await pickTextFile("application/json,.json");
+    if (!file) return;
+    backup = parseBackup(file.text);
+  } catch (error) {
+    console.error("Backup import failed", error);
+    showToast(
+      error.name === "BackupError" ? error.message : "Could not read that file.",
+      "error"
+    );
+    return;
+  }
+  openBackupImportModal(summarizeBackup(backup), {
+    onConfirm: async (options) => {
+      const previousSettings = getSettings();
+      const result = applyBackup(backup, options);
+      reloadPersonalData();
+      if (result.theme) {
+        updateThemeButton(setTheme(result.theme, { silent: true }));
+      }
+      const overflow = result.plannerOverflow
+        ? ` ${result.plannerOverflow} planner title${result.plannerOverflow === 1 ? "" : "s"} did not fit.`
+        : "";
+      showToast(
+        `${options.mode === "replace" ? "Backup restored." : "Backup merged."}${overflow}`,
+        "success"
+      );
+      if (result.settings) {
+        await applySettings(previousSettings, result.settings);
+      }
+    },
+  });
+};
+
+// Letterboxd/IMDb CSV import: parse, match rows against TMDB, then let the
+// user settle ambiguous titles before anything is saved.
+const importHistory = async () => {
+  if (!state.tmdbReady) {
+    handleMissingApiKey();
+    return;
+  }
+  let parsed;
+  try {
+    const file = await pickTextFile(".csv,text/csv");
+    if (!file) return;
+    parsed = parseHistoryCsv(file.text, file.name);
+  } catch (error) {
+    console.error("History import failed", error);
+    showToast(
+      error.name === "HistoryImportError" ? error.message : "Could not read that file.",
+      "error"
+    );
+    return;
+  }
+  const { source, rows, skipped } = parsed;
+  const modal = openHistoryImportModal({
+    sourceLabel: source.label,
+    total: rows.length,
+    skipped,
+    favoritesDefault: source.favorites,
+    favoritesOnly: Boolean(source.favoritesOnly),
+    onConfirm: ({ resolved, watched, favorites }) => {
+      const summary = applyHistoryImport(resolved, {
+        watched: watched && !source.favoritesOnly,
+        favorites,
+      });
+      reloadPersonalData();
+      const parts = [
+        summary.watchedAdded && `${summary.watchedAdded} added to watched`,
+        summary.favoritesAdded && `${summary.favoritesAdded} added to favorites`,
+        summary.updated && `${summary.updated} updated`,
+        summary.rated && `${summary.rated} rated`,
+      ].filter(Boolean);
+      showToast(
+        parts.length
+          ? `Import complete: ${parts.join(", ")}.`
+          : "Everything was already in your lists.",
+        "success"
+      );
+    },
+  });
+  const signal = supersedeRequest("history-import");
+  try {
+    const matches = await matchHistoryRows(rows, {
+      signal,
+      onProgress: (done, total) => {
+        if (!modal.isOpen()) {
+          cancelRequest("history-import");
+          return;
+        }
+        modal.setProgress(done, total);
+      },
+    });
+    if (modal.isOpen()) {
+      modal.showMatches(matches);
+    }
+  } catch (error) {
+    if (isAbortError(error)) return;
+    console.error("History matching failed", error);
+    notifyFetchError(error, "Could not match that export with TMDB.");
+  }
+};
+
+const exportHistoryCsv = () => {
+  openCsvExportModal({
+    counts: { watched: getWatched().length, favorites: getFavorites().length },
+    onExport: (options) => {
+      const { filename, contents, count } = buildHistoryCsv(options);
+      if (!count) {
+        showToast("Nothing to export for that selection.", "info");
+        return;
+      }
+      downloadFile(filename, contents, "text/csv");
+      showToast(`Exported ${count} title${count === 1 ? "" : "s"} to CSV.`, "success");
+    },
+  });
+};
+
+const openBackup = () => {
+  openBackupModal({
+    onExport: exportBackup,
+    onImport: importBackup,
+    onImportHistory: importHistory,
+    onExportCsv: exportHistoryCsv,
+  });
+};
+
+const openSettings = () => {
+  openSettingsModal(getSettings(), {
+    credentialLabel: describeTmdbCredential(),
+    onManageCredential: openCredentialManager,
+    onOpenDiagnostics: openDiagnostics,
+    onExportBackup: exportBackup,
+    onImportBackup: importBackup,
+    onImportHistory: importHistory,
+    onExportCsv: exportHistoryCsv,
+    onSave: async (values) => {
+      const previous = getSettings();
+      const next = saveSettings(values);
+      showToast("Settings saved.", "success");
+      await applySettings(previous, next);
+    },
+    onReset: async () => {
+      const previous = getSettings();
+      const next = resetSettings();
+      showToast("Settings restored to defaults.", "info");
+      await applySettings(previous, next);
+    },
+  });
+};
+
+const initSettingsButton = () => {
+  const btn = document.getElementById("settings-trigger");
+  if (!btn) return;
+  btn.addEventListener("click", openSettings);
+};
+
+// Initialise the mobile drawer with action routing.
+const initDrawer = () => {
+  configureDrawer({
+    [DRAWER_ACTIONS.SEARCH]: focusSearch,
+    [DRAWER_ACTIONS.FAVORITES]: openFavorites,
+    [DRAWER_ACTIONS.WATCHED]: openWatched,
+    [DRAWER_ACTIONS.LISTS]: openCustomLists,
+    [DRAWER_ACTIONS.TAGS]: openTagManager,
+    [DRAWER_ACTIONS.THEME]: toggleTheme,
+    [DRAWER_ACTIONS.SETTINGS]: openSettings,
+    [DRAWER_ACTIONS.BACKUP]: openBackup,
+    [DRAWER_ACTIONS.CLOSE]: closeDrawer,
+  });
+};
+
+// ----------------------------------------------------------------------------
+// ROUTING
+// ----------------------------------------------------------------------------
+
+// Describe the current browse view (tag, category, genre stack, or search) as a route.
+const buildBrowseRoute = () => {
+  if (state.activeTag) {
+    return { name: "tag", tag: state.activeTag };
+  }
+  const query = (state.searchQuery || "").trim();
+  if (state.category === "search" && query) {
+    return { name: "search", query };
+  }
+  if (state.category === "genre" && state.selectedGenres.length) {
+    return { name: "genre", genres: state.selectedGenres.slice() };
+  }
+  return {
+    name: "category",
+    category: BROWSE_CATEGORIES.includes(state.category)
+      ? state.category
+      : DEFAULT_CATEGORY,
+  };
+};
+
+const syncBrowseRoute = ({ replace = false } = {}) => {
+  navigate(buildBrowseRoute(), { replace });
+};
+
+// Copy a browse route into state without touching the DOM or network. A tag
+// route keeps the feed underneath it as it was.
+const restoreBrowseState = (route) => {
+  state.activeTag = route.name === "tag" ? normalizeTag(route.tag) : "";
+  if (route.name === "tag") return;
+  if (route.name === "search") {
+    state.category = "search";
+    state.searchQuery = route.query;
+    state.selectedGenres = [];
+  } else if (route.name === "genre") {
+    state.category = "genre";
+    state.searchQuery = "";
+    state.selectedGenres = route.genres.map((id) => String(id));
+  } else {
+    state.category = route.category || DEFAULT_CATEGORY;
+    state.searchQuery = "";
+    state.selectedGenres = [];
+  }
+};
+
+// Sync header controls (nav chips, genre toolbar, tag filter, search field) with state.
+const syncBrowseControls = () => {
+  const input = searchInput();
+  if (input) {
+    input.value = state.category === "search" ? state.searchQuery : "";
+  }
+  setActiveNav(BROWSE_CATEGORIES.includes(state.category) ? state.category : "");
+  setActiveGenreChip(state.selectedGenres);
+  updateGenreTriggerSummary(state.selectedGenres, state.genres);
+  syncGenreClearButtonState();
+  renderTagFilter(getTagUsage(state.tags), state.activeTag);
+};
+
+// Apply a browse route from history, reloading the grid only when it changed.
+const applyBrowseRoute = (route) => {
+  const previousSignature = getBrowseSignature();
+  restoreBrowseState(route);
+  syncBrowseControls();
+  closeGenreDropdown();
+  clearSuggestions();
+  if (getBrowseSignature() === previousSignature) return;
+  if (state.activeTag) {
+    showTaggedView();
+    return;
+  }
+  resetPagination();
+  loadMovies({ append: false });
+};
+
+const openRouteModal = async (route) => {
+  if (route.name === "movie") {
+    await openMovieDetails(route.id, { updateRoute: false });
+  } else if (route.name === "series") {
+    await openSeriesDetails(route.id, { updateRoute: false });
+  } else if (route.name === "collection") {
+    await openCollectionExperience(route.id, undefined, { updateRoute: false });
+  } else if (route.name === "person") {
+    await openCastFilmography({ id: route.id }, { updateRoute: false });
+  }
+};
+
+// Label the modal just opened with its route (so back/forward can return to it
+// without a refetch) and, unless the router opened it, push that route.
+const showModalRoute = (route, updateRoute) => {
+  setTopModalRoute(buildRouteHash(route));
+  if (updateRoute) {
+    navigate(route);
+  }
+};
+
+// Drop a dangling modal route once no modal is left on screen.
+const releaseModalRoute = () => {
+  if (getOpenModalCount() > 0) return;
+  if (!isModalRoute(getCurrentRoute())) return;
+  leaveModalRoute(buildBrowseRoute());
+};
+
+// Back/forward (or a hand-edited hash): uncover the modal for the route when it
+// is still open underneath, otherwise swap modals or restore the browse view.
+const handleRouteChange = async (route) => {
+  closeSearchOverlay();
+  if (isModalRoute(route) && revealModalRoute(buildRouteHash(route))) return;
+  closeAllModals();
+  if (route.name === "plan") {
+    await openSharedPlan(route.share);
+    return;
+  }
+  if (isModalRoute(route)) {
+    await openRouteModal(route);
+    return;
+  }
+  applyBrowseRoute(route);
+};
+
+const initRouter = async (initialRoute) => {
+  setModalDismissHandler((remaining) => {
+    if (!remaining) {
+      releaseModalRoute();
+    }
+  });
+  // Seed a browse entry beneath deep-linked modals so dismissing them (or
+  // pressing back) lands in the app instead of leaving it. Plan links swap
+  // themselves out once their preview opens.
+  if (initialRoute.name !== "plan") {
+    syncBrowseRoute({ replace: true });
+  }
+  startRouter(handleRouteChange);
+  if (initialRoute.name === "plan") {
+    await openSharedPlan(initialRoute.share);
+  } else if (isModalRoute(initialRoute)) {
+    await openRouteModal(initialRoute);
+    if (getOpenModalCount() > 0) {
+      navigate(initialRoute);
+    }
+  }
+};
+
+// Lazy-load non-critical UI effects to keep initial load crisp.
+const hydrateOptionalUI = () => {
+  runIdle(() => {
+    try {
+      bindRippleEffect();
+      bindThrowGestures();
+    } catch (error) {
+      console.debug("Optional UI hydration failed", error);
     }
   }, 300);
 };
 
+// ---- SERVICE WORKER ----
+
+let reloadOnControllerChange = false;
+
+// Offer a reload once a new version's worker has installed behind this page.
+const promptForUpdate = (worker) => {
+  if (!worker) return;
+  showToast("A new version of MovieVault is ready.", "info", {
+    actionText: "Reload",
+    actionHandler: () => {
+      reloadOnControllerChange = true;
+      worker.postMessage({ type: "SKIP_WAITING" });
+    },
+    duration: 15000,
+  });
+};
+
+// Register sw.js keyed by APP_VERSION; needs https or localhost.
+const registerServiceWorker = async () => {
+  if (!("serviceWorker" in navigator) || !/^https?:$/.test(window.location.protocol)) {
+    return;
+  }
+  try {
+    const registration = await navigator.serviceWorker.register(
+      `sw.js?v=${encodeURIComponent(APP_VERSION)}`
+    );
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      promptForUpdate(registration.waiting);
+    }
+    registration.addEventListener("updatefound", () => {
+      const worker = registration.installing;
+      worker?.addEventListener("statechange", () => {
+        if (worker.state === "installed" && navigator.serviceWorker.controller) {
+          promptForUpdate(worker);
+        }
+      });
+    });
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (reloadOnControllerChange) {
+        window.location.reload();
+      }
+    });
+  } catch (error) {
+    console.warn("Service worker registration failed", error);
+  }
+};
+
 // Entry point: hydrate storage, bind UI, fetch initial data, start observers.
+let liveDataStarted = false;
+
+// Everything that needs TMDB: genres, the first feed page, scroll paging, and
+// deep links. Runs at boot, or after onboarding connects a credential.
+const startLiveData = async (initialRoute) => {
+  if (liveDataStarted) {
+    resetPagination();
+    await loadMovies({ append: false });
+  } else {
+    liveDataStarted = true;
+    await attachGenreFilter();
+    if (state.activeTag) {
+      showTaggedView();
+    } else {
+      await loadMovies();
+    }
+    initInfiniteScrollObserver();
+    hydrateOptionalUI();
+    await initRouter(initialRoute);
+  }
+  // A plan link opened while no credential was connected.
+  if (state.pendingPlanShare) {
+    await openSharedPlan(state.pendingPlanShare);
+  }
+};
+
+// Migrate and validate persisted lists before anything reads them.
+const prepareStorage = () => {
+  try {
+    const { from, to, applied, repairs } = runStorageMigrations();
+    if (applied.length) {
+      console.info(`Storage schema v${from} → v${to}: ${applied.join(", ")}`);
+    }
+    if (repairs.length) {
+      console.info(`Repaired stored data: ${repairs.join(", ")}`);
+    }
+  } catch (error) {
+    console.error("Storage migration failed", error);
+  }
+};
+
 const initializeApp = async () => {
-  state.tmdbReady = hasTmdbApiKey();
+  prepareStorage();
+  registerServiceWorker();
+  bindConnectivityEvents();
+  bindCrossTabSync();
+  state.tmdbReady = isDataProviderReady();
+  const initialRoute = getCurrentRoute();
+  if (!isModalRoute(initialRoute)) {
+    restoreBrowseState(initialRoute);
+  }
   refreshFavorites();
   refreshWatched();
+  refreshRatings();
+  refreshCustomLists();
+  refreshTags();
   initializeTheme();
   bindBackToTop();
   updateScrollProgress(0);
@@ -2346,19 +4090,19 @@ const initializeApp = async () => {
   attachEmptyStateActions();
   initFavoritesButton();
   initWatchedButton();
+  initListsButton();
+  initTagFilter();
+  initSettingsButton();
   initPlannerDrawer();
   initDrawer();
-  setActiveNav(DEFAULT_CATEGORY);
+  syncBrowseControls();
   // demo speed control removed; hover tutorial always uses slowest tempo per preference
   updateSectionTitle(DEFAULT_SECTION_TITLE);
   if (!state.tmdbReady) {
     handleMissingApiKey();
     return;
   }
-  await attachGenreFilter();
-  await loadMovies();
-  initInfiniteScrollObserver();
-  hydrateOptionalUI();
+  await startLiveData(initialRoute);
 };
 
 document.addEventListener("DOMContentLoaded", initializeApp);
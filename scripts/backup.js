@@ -0,0 +1,327 @@
+// Versioned JSON backups of everything MovieVault keeps about the user.
+//
+// A backup bundles favorites, watched, custom lists, tags, session plans,
+// episode progress, personal ratings and notes, settings, theme and flags
+// under one schema version:
+//
+//   { format, schemaVersion, appVersion, exportedAt, data: { ... } }
+//
+// TMDB credentials are deliberately left out. Imports either replace local
+// data or merge into it; when both sides hold the same title (matched by
+// media id), custom list (matched by list id) or session plan (matched by
+// plan id) the caller chooses whether the local or the backup copy wins.
+
+import {
+  APP_VERSION,
+  BACKUP_FORMAT,
+  BACKUP_SCHEMA_VERSION,
+  MAX_PLANNER_ITEMS,
+  DEFAULT_PLAN_NAME,
+  STORAGE_KEYS,
+  THEMES,
+} from "./constants.js";
+import {
+  getFavorites,
+  saveFavorites,
+  getWatched,
+  saveWatched,
+  getSessionPlans,
+  saveSessionPlans,
+  getEpisodeProgress,
+  saveEpisodeProgress,
+  getPersonalRatings,
+  savePersonalRatings,
+  getCustomLists,
+  saveCustomLists,
+  getTags,
+  saveTags,
+  getSettings,
+  saveSettings,
+  getStoredTheme,
+  getFlag,
+  setFlag,
+  buildMediaKey,
+  getMediaType,
+} from "./helpers.js";
+import {
+  repairListEntries,
+  repairWatchedEntries,
+  repairSessionPlans,
+  repairEpisodeProgress,
+  repairPersonalRatings,
+  repairCustomLists,
+  repairTags,
+  liftListRatings,
+} from "./storage-schema.js";
+
+// Flags worth carrying between browsers; keyed by their backup name.
+const BACKUP_FLAGS = {
+  tutorialSeen: STORAGE_KEYS.TUTORIAL_SEEN,
+};
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const listKey = (item) => buildMediaKey(item.id, getMediaType(item));
+const customListKey = (list) => list.id;
+// Custom lists and session plans share the `{ id, name, items }` shape.
+const planIdKey = customListKey;
+// Episode progress only holds series, so its entries are matched by id alone.
+const seriesKey = (item) => String(Number(item.id));
+
+// Schema 4 and earlier backups carried one planner queue as `sessionPlan`;
+// it comes back as a plan with a fixed id so re-importing does not repeat it.
+const LEGACY_PLAN_ID = "plan-backup";
+
+const toSessionPlanStore = (data) => {
+  if (data.sessionPlans !== undefined || !Array.isArray(data.sessionPlan)) {
+    return data.sessionPlans;
+  }
+  if (!data.sessionPlan.length) return null;
+  return {
+    activeId: LEGACY_PLAN_ID,
+    plans: [{ id: LEGACY_PLAN_ID, name: DEFAULT_PLAN_NAME, items: data.sessionPlan }],
+  };
+};
+
+const createBackupError = (message) => {
+  const error = new Error(message);
+  error.name = "BackupError";
+  return error;
+};
+
+// Snapshot all personal data into a backup object.
+export const createBackup = () => ({
+  format: BACKUP_FORMAT,
+  schemaVersion: BACKUP_SCHEMA_VERSION,
+  appVersion: APP_VERSION,
+  exportedAt: new Date().toISOString(),
+  data: {
+    favorites: getFavorites(),
+    watched: getWatched(),
+    customLists: getCustomLists(),
+    tags: getTags(),
+    sessionPlans: getSessionPlans(),
+    episodeProgress: getEpisodeProgress(),
+    ratings: getPersonalRatings(),
+    settings: getSettings(),
+    theme: getStoredTheme().key,
+    flags: Object.fromEntries(
+      Object.entries(BACKUP_FLAGS).map(([name, key]) => [name, getFlag(key)])
+    ),
+  },
+});
+
+export const serializeBackup = (backup = createBackup()) =>
+  JSON.stringify(backup, null, 2);
+
+// e.g. "movievault-backup-2024-05-01.json"
+export const getBackupFilename = (date = new Date()) =>
+  `${BACKUP_FORMAT}-${date.toISOString().slice(0, 10)}.json`;
+
+// Parse and validate backup text. Throws a BackupError with a user-facing
+// message for anything that is not a readable backup from this or an older
+// schema; list entries go through the storage-schema repair helpers, so
+// malformed ones are fixed or dropped rather than rejected.
+export const parseBackup = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw createBackupError("That file is not valid JSON.");
+  }
+  if (!isPlainObject(parsed) || parsed.format !== BACKUP_FORMAT) {
+    throw createBackupError("That file is not a MovieVault backup.");
+  }
+  const version = Number(parsed.schemaVersion);
+  if (!Number.isInteger(version) || version < 1) {
+    throw createBackupError("The backup has no readable schema version.");
+  }
+  if (version > BACKUP_SCHEMA_VERSION) {
+    throw createBackupError(
+      "This backup was made by a newer version of MovieVault. Update the app and try again."
+    );
+  }
+  const data = isPlainObject(parsed.data) ? parsed.data : {};
+  // Schema 1 carried imported ratings on the watched/favorites entries.
+  const {
+    lists: [watched, favorites],
+    ratings,
+  } = liftListRatings([data.watched, data.favorites], repairPersonalRatings(data.ratings));
+  return {
+    schemaVersion: version,
+    appVersion: typeof parsed.appVersion === "string" ? parsed.appVersion : "",
+    exportedAt: typeof parsed.exportedAt === "string" ? parsed.exportedAt : "",
+    data: {
+      favorites: repairListEntries(favorites),
+      watched: repairWatchedEntries(watched),
+      customLists: repairCustomLists(data.customLists),
+      tags: repairTags(data.tags),
+      // Not capped here so the preview can report what will not fit.
+      sessionPlans: repairSessionPlans(toSessionPlanStore(data), { limit: Infinity }),
+      episodeProgress: repairEpisodeProgress(data.episodeProgress),
+      ratings: repairPersonalRatings(ratings),
+      settings: isPlainObject(data.settings) ? data.settings : null,
+      theme: THEMES[data.theme] ? data.theme : null,
+      flags: isPlainObject(data.flags) ? data.flags : {},
+    },
+  };
+};
+
+const countOverlap = (local, incoming, toKey) => {
+  const localKeys = new Set(local.map(toKey));
+  return incoming.filter((item) => localKeys.has(toKey(item))).length;
+};
+
+// Counts shown in the import preview: per section, how many entries the
+// backup holds, how many exist locally and how many share an id.
+export const summarizeBackup = (backup) => {
+  const { data } = backup;
+  const localProgress = Object.values(getEpisodeProgress());
+  const incomingProgress = Object.values(data.episodeProgress);
+  const localRatings = Object.values(getPersonalRatings());
+  const incomingRatings = Object.values(data.ratings);
+  const localTags = Object.values(getTags());
+  const incomingTags = Object.values(data.tags);
+  const localPlans = getSessionPlans().plans;
+  return {
+    exportedAt: backup.exportedAt,
+    appVersion: backup.appVersion,
+    sections: [
+      {
+        id: "favorites",
+        label: "Favorites",
+        incoming: data.favorites.length,
+        local: getFavorites().length,
+        conflicts: countOverlap(getFavorites(), data.favorites, listKey),
+      },
+      {
+        id: "watched",
+        label: "Watched",
+        incoming: data.watched.length,
+        local: getWatched().length,
+        conflicts: countOverlap(getWatched(), data.watched, listKey),
+      },
+      {
+        id: "customLists",
+        label: "Custom lists",
+        incoming: data.customLists.length,
+        local: getCustomLists().length,
+        conflicts: countOverlap(getCustomLists(), data.customLists, customListKey),
+      },
+      {
+        id: "tags",
+        label: "Tagged titles",
+        incoming: incomingTags.length,
+        local: localTags.length,
+        conflicts: countOverlap(localTags, incomingTags, listKey),
+      },
+      {
+        id: "sessionPlans",
+        label: "Session plans",
+        incoming: data.sessionPlans.plans.length,
+        local: localPlans.length,
+        conflicts: countOverlap(localPlans, data.sessionPlans.plans, planIdKey),
+      },
+      {
+        id: "episodeProgress",
+        label: "Series progress",
+        incoming: incomingProgress.length,
+        local: localProgress.length,
+        conflicts: countOverlap(localProgress, incomingProgress, seriesKey),
+      },
+      {
+        id: "ratings",
+        label: "Ratings & notes",
+        incoming: incomingRatings.length,
+        local: localRatings.length,
+        conflicts: countOverlap(localRatings, incomingRatings, listKey),
+      },
+    ],
+    hasPreferences: Boolean(data.settings || data.theme),
+  };
+};
+
+// Merge two lists keyed by `toKey`, keeping local order and appending new
+// backup entries. Shared keys keep the local copy unless `preferBackup`.
+const mergeByKey = (local, incoming, toKey, preferBackup) => {
+  const incomingByKey = new Map(incoming.map((item) => [toKey(item), item]));
+  const merged = local.map((item) => {
+    const key = toKey(item);
+    if (!incomingByKey.has(key)) return item;
+    const replacement = preferBackup ? incomingByKey.get(key) : item;
+    incomingByKey.delete(key);
+    return replacement;
+  });
+  return [...merged, ...incomingByKey.values()];
+};
+
+// Write a parsed backup to storage.
+//   mode          "merge" or "replace"
+//   preferBackup  on merge, let backup entries win over local ones with the same id
+//   preferences   also restore settings, theme and flags
+// Returns { settings, theme, plannerOverflow } so the app can re-apply
+// preferences; plannerOverflow counts plan entries dropped by the per-plan cap.
+export const applyBackup = (
+  backup,
+  { mode = "merge", preferBackup = false, preferences = true } = {}
+) => {
+  const { data } = backup;
+  const replace = mode === "replace";
+  const combine = (local, incoming, toKey) =>
+    replace ? incoming : mergeByKey(local, incoming, toKey, preferBackup);
+
+  saveFavorites(combine(getFavorites(), data.favorites, listKey));
+  saveWatched(combine(getWatched(), data.watched, listKey));
+  saveCustomLists(combine(getCustomLists(), data.customLists, customListKey));
+
+  const localPlans = getSessionPlans();
+  const plans = combine(localPlans.plans, data.sessionPlans.plans, planIdKey);
+  const plannerOverflow = plans.reduce(
+    (total, plan) => total + Math.max(0, plan.items.length - MAX_PLANNER_ITEMS),
+    0
+  );
+  // A merge keeps the plan the drawer is on; a replace takes the backup's.
+  saveSessionPlans(
+    repairSessionPlans({
+      activeId: replace ? data.sessionPlans.activeId : localPlans.activeId,
+      plans,
+    })
+  );
+
+  const progress = combine(
+    Object.values(getEpisodeProgress()),
+    Object.values(data.episodeProgress),
+    seriesKey
+  );
+  saveEpisodeProgress(Object.fromEntries(progress.map((entry) => [entry.id, entry])));
+
+  const ratings = combine(
+    Object.values(getPersonalRatings()),
+    Object.values(data.ratings),
+    listKey
+  );
+  savePersonalRatings(Object.fromEntries(ratings.map((entry) => [listKey(entry), entry])));
+
+  const tags = combine(Object.values(getTags()), Object.values(data.tags), listKey);
+  saveTags(Object.fromEntries(tags.map((entry) => [listKey(entry), entry])));
+
+  const result = {
+    settings: null,
+    theme: null,
+    plannerOverflow,
+  };
+  if (!preferences) return result;
+  if (data.settings) {
+    result.settings = saveSettings(data.settings);
+  }
+  if (data.theme) {
+    result.theme = THEMES[data.theme];
+  }
+  Object.entries(BACKUP_FLAGS).forEach(([name, key]) => {
+    if (data.flags[name] !== undefined && data.flags[name] !== null) {
+      setFlag(key, data.flags[name]);
+    }
+  });
+  return result;
+};
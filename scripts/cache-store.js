@@ -0,0 +1,309 @@
+// Persistent response cache for MovieVault, backed by IndexedDB.
+//
+// Payloads and their metadata live in separate object stores: the small
+// metadata records (size, timestamps, TTL) are loaded into memory on startup
+// for size accounting and LRU eviction without reading any payload. When
+// IndexedDB is missing or refuses to open, the cache degrades to an in-memory
+// Map for the session. Entries left in localStorage by earlier versions
+// (`movievault_cache_*`) are discarded the first time the store opens.
+//
+// Expiry against the user's TTL setting is decided by helpers.js; this module
+// only stores, evicts and reports.
+
+import {
+  CACHE_PREFIX,
+  CACHE_DB_NAME,
+  CACHE_DB_VERSION,
+  CACHE_MAX_BYTES,
+  CACHE_MIN_BYTES,
+  CACHE_STALE_WINDOW,
+  STORAGE_KEYS,
+} from "./constants.js";
+
+const PAYLOAD_STORE = "payloads";
+const META_STORE = "entries";
+
+// key -> { key, namespace, size, timestamp, ttl, lastAccess }
+const entries = new Map();
+// Payloads for the in-memory fallback when IndexedDB is unavailable.
+const memoryPayloads = new Map();
+
+let db = null;
+let readyPromise = null;
+let totalBytes = 0;
+let byteBudget = CACHE_MAX_BYTES;
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(transaction.error || new Error("Cache transaction aborted"));
+  });
+
+const isQuotaError = (error) =>
+  error?.name === "QuotaExceededError" || error?.code === 22;
+
+// Cache keys look like `namespace@scope::params` (see buildCacheKey).
+export const getCacheNamespace = (key) => String(key).split("@")[0];
+
+// Approximate in-storage size: UTF-16 length of the serialised payload.
+const measure = (data) => {
+  try {
+    return JSON.stringify(data).length * 2;
+  } catch {
+    return 0;
+  }
+};
+
+// Records outlive their TTL by CACHE_STALE_WINDOW so stale-while-revalidate
+// can still show them; past that they are dropped.
+const isRecordExpired = (meta, now = Date.now()) =>
+  Number.isFinite(meta.timestamp) && now - meta.timestamp > meta.ttl + CACHE_STALE_WINDOW;
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB unavailable"));
+      return;
+    }
+    const request = window.indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains(PAYLOAD_STORE)) {
+        database.createObjectStore(PAYLOAD_STORE);
+      }
+      if (!database.objectStoreNames.contains(META_STORE)) {
+        database.createObjectStore(META_STORE, { keyPath: "key" });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("Cache database upgrade blocked"));
+  });
+
+const forget = (key) => {
+  const meta = entries.get(key);
+  if (!meta) return;
+  totalBytes -= meta.size || 0;
+  entries.delete(key);
+  memoryPayloads.delete(key);
+};
+
+const deleteRecords = async (keys) => {
+  keys.forEach(forget);
+  if (!db || !keys.length) return;
+  const transaction = db.transaction([PAYLOAD_STORE, META_STORE], "readwrite");
+  keys.forEach((key) => {
+    transaction.objectStore(PAYLOAD_STORE).delete(key);
+    transaction.objectStore(META_STORE).delete(key);
+  });
+  await transactionDone(transaction);
+};
+
+const writeRecord = async (meta, data) => {
+  if (!db) {
+    memoryPayloads.set(meta.key, data);
+    return;
+  }
+  const transaction = db.transaction([PAYLOAD_STORE, META_STORE], "readwrite");
+  transaction.objectStore(PAYLOAD_STORE).put(data, meta.key);
+  transaction.objectStore(META_STORE).put(meta);
+  await transactionDone(transaction);
+};
+
+// Evict least-recently-used entries until `incoming` more bytes fit the budget.
+const evictToFit = async (incoming, keep = null) => {
+  if (totalBytes + incoming <= byteBudget) return;
+  const victims = [];
+  let projected = totalBytes;
+  Array.from(entries.values())
+    .filter((meta) => meta.key !== keep)
+    .sort((a, b) => a.lastAccess - b.lastAccess)
+    .some((meta) => {
+      if (projected + incoming <= byteBudget) return true;
+      victims.push(meta.key);
+      projected -= meta.size || 0;
+      return false;
+    });
+  await deleteRecords(victims);
+};
+
+// Store one payload, evicting as needed. On a quota error the budget shrinks
+// below current usage, older entries are evicted and the write is retried once.
+const storeRecord = async (key, data, { ttl, timestamp = Date.now() }) => {
+  const size = measure(data);
+  if (!size || size > byteBudget) return false;
+  const previous = entries.get(key);
+  const incoming = size - (previous?.size || 0);
+  const meta = {
+    key,
+    namespace: getCacheNamespace(key),
+    size,
+    timestamp,
+    ttl,
+    lastAccess: Date.now(),
+  };
+
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      await evictToFit(incoming, key);
+      await writeRecord(meta, data);
+      totalBytes += incoming;
+      entries.set(key, meta);
+      return true;
+    } catch (error) {
+      if (!isQuotaError(error) || attempt > 0) {
+        console.warn("Cache write failed:", error);
+        return false;
+      }
+      byteBudget = Math.max(CACHE_MIN_BYTES, Math.floor(totalBytes * 0.75));
+      console.warn(
+        `Storage quota reached; cache budget lowered to ${Math.round(byteBudget / 1024)} KB.`
+      );
+    }
+  }
+  return false;
+};
+
+// Drop entries cached in localStorage by earlier versions. Their keys predate
+// the `@scope` segment, so copying them over would only leave entries no
+// lookup can reach; the next fetch refills the cache instead.
+const clearLegacyEntries = () => {
+  let legacyKeys = [];
+  try {
+    legacyKeys = Object.keys(window.localStorage).filter(
+      (key) => key.startsWith(CACHE_PREFIX) && key !== STORAGE_KEYS.CACHE_INDEX
+    );
+  } catch {
+    return;
+  }
+  for (const storageKey of legacyKeys) {
+    try {
+      window.localStorage.removeItem(storageKey);
+    } catch {
+      // Storage became unavailable mid-cleanup; try again next launch.
+    }
+  }
+  try {
+    window.localStorage.removeItem(STORAGE_KEYS.CACHE_INDEX);
+  } catch {
+    // Nothing to remove when storage is unavailable.
+  }
+};
+
+const loadMetadata = async () => {
+  const records = await requestToPromise(
+    db.transaction(META_STORE).objectStore(META_STORE).getAll()
+  );
+  records.forEach((meta) => {
+    entries.set(meta.key, meta);
+    totalBytes += meta.size || 0;
+  });
+};
+
+// Open the database once, load metadata, drop expired records and migrate.
+const ready = () => {
+  if (!readyPromise) {
+    readyPromise = (async () => {
+      try {
+        db = await openDatabase();
+        // Let a newer tab upgrade the schema instead of blocking it.
+        db.onversionchange = () => {
+          db.close();
+          db = null;
+        };
+        await loadMetadata();
+      } catch (error) {
+        console.warn("IndexedDB cache unavailable; caching in memory instead.", error);
+        db = null;
+      }
+      try {
+        const now = Date.now();
+        await deleteRecords(
+          Array.from(entries.values())
+            .filter((meta) => isRecordExpired(meta, now))
+            .map((meta) => meta.key)
+        );
+        clearLegacyEntries();
+      } catch (error) {
+        console.warn("Cache housekeeping failed", error);
+      }
+    })();
+  }
+  return readyPromise;
+};
+
+// Read a cached payload with its metadata, or null. Marks the entry as used.
+export const readCacheEntry = async (key) => {
+  await ready();
+  const meta = entries.get(key);
+  if (!meta) return null;
+  try {
+    const data = db
+      ? await requestToPromise(
+          db.transaction(PAYLOAD_STORE).objectStore(PAYLOAD_STORE).get(key)
+        )
+      : memoryPayloads.get(key);
+    if (data === undefined) {
+      await deleteRecords([key]);
+      return null;
+    }
+    meta.lastAccess = Date.now();
+    if (db) {
+      db.transaction(META_STORE, "readwrite").objectStore(META_STORE).put(meta);
+    }
+    return { data, timestamp: meta.timestamp, ttl: meta.ttl };
+  } catch (error) {
+    console.warn("Cache read failed:", error);
+    return null;
+  }
+};
+
+// Persist a payload; resolves to false when it could not be stored.
+export const writeCacheEntry = async (key, data, ttl) => {
+  await ready();
+  return storeRecord(key, data, { ttl });
+};
+
+export const removeCacheEntries = async (keys = []) => {
+  await ready();
+  try {
+    await deleteRecords(keys.filter((key) => entries.has(key)));
+  } catch (error) {
+    console.warn("Cache delete failed:", error);
+  }
+};
+
+export const clearCacheEntries = async () => {
+  await ready();
+  try {
+    await deleteRecords(Array.from(entries.keys()));
+  } catch (error) {
+    console.warn("Cache clear failed:", error);
+  }
+  totalBytes = 0;
+  byteBudget = CACHE_MAX_BYTES;
+};
+
+// Metadata for every cached entry (no payloads).
+export const listCacheEntries = async () => {
+  await ready();
+  return Array.from(entries.values(), (meta) => ({ ...meta }));
+};
+
+export const getCacheUsage = async () => {
+  await ready();
+  return {
+    bytes: totalBytes,
+    budget: byteBudget,
+    count: entries.size,
+    backend: db ? "indexeddb" : "memory",
+  };
+};
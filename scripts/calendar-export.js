@@ -0,0 +1,112 @@
+// iCalendar (.ics, RFC 5545) export of a scheduled session plan.
+//
+// Every title becomes one VEVENT timed by the plan's timeline (see
+// scripts/planner-schedule.js), with its runtime as the duration and the TMDB
+// link and overview in the description; each intermission gets its own event.
+// Times are written in UTC so calendars place them correctly in any zone, and
+// UIDs derive from the plan and title ids (an intermission from the title
+// before it) so re-importing an export updates the events even after the
+// queue was reordered.
+
+import { buildPlanTimeline, normalizePlanSchedule } from "./planner-schedule.js";
+import { CONFIG } from "./config.js";
+import { APP_VERSION } from "./constants.js";
+
+const PRODUCT_ID = `-//MovieVault//Session Planner ${APP_VERSION}//EN`;
+// Content lines are limited to 75 octets, excluding the line break.
+const LINE_LIMIT = 75;
+const encoder = new TextEncoder();
+
+// e.g. "20261023T180000Z"
+const toIcsDate = (date) =>
+  date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Escape a TEXT value: backslashes, semicolons, commas and line breaks.
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Fold a long content line; continuation lines start with a single space.
+// Splits between characters so multi-byte UTF-8 sequences stay whole.
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    if (size + charSize > LINE_LIMIT) {
+      parts.push(current);
+      current = " ";
+      size = 1;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n");
+};
+
+const toFilenamePart = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "plan";
+
+const describeTitle = (entry, link) => {
+  const estimate = entry.estimated
+    ? `Runtime unknown; scheduled as an estimated ${entry.runtime} min.`
+    : "";
+  return [link, estimate, entry.item.overview].filter(Boolean).join("\n\n");
+};
+
+const toEvent = (entry, previous, { id, name }, stamp) => {
+  const isTitle = entry.type === "title";
+  const link = isTitle ? `${CONFIG.TMDB_WEB_BASE}/movie/${entry.item.id}` : "";
+  const minutes = isTitle ? entry.runtime : entry.minutes;
+  const uid = isTitle ? `${id}-${entry.item.id}` : `${id}-break-after-${previous?.item?.id}`;
+  return [
+    "BEGIN:VEVENT",
+    `UID:${uid}@movievault`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${toIcsDate(entry.start)}`,
+    `DURATION:PT${minutes}M`,
+    `SUMMARY:${escapeText(isTitle ? entry.item.title : `Intermission (${minutes} min)`)}`,
+    `DESCRIPTION:${escapeText(
+      isTitle ? describeTitle(entry, link) : `Break during ${name}.`
+    )}`,
+    ...(isTitle ? [`URL:${link}`] : ["TRANSP:TRANSPARENT"]),
+    `CATEGORIES:${escapeText(name)}`,
+    "END:VEVENT",
+  ];
+};
+
+// Build { filename, contents, count } for a plan ({ id, name }), its queue
+// and schedule. Returns null when there is nothing to export: no titles or
+// no start time.
+export const buildPlanIcs = (plan, items = [], schedule = null) => {
+  const timeline = items.length ? buildPlanTimeline(items, schedule) : null;
+  if (!timeline) return null;
+  const details = { id: plan?.id || "plan", name: plan?.name || "Session plan" };
+  const stamp = toIcsDate(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(details.name)}`,
+    ...timeline.entries.flatMap((entry, index, entries) =>
+      toEvent(entry, entries[index - 1], details, stamp)
+    ),
+    "END:VCALENDAR",
+  ];
+  const day = normalizePlanSchedule(schedule).startAt.slice(0, 10);
+  return {
+    filename: `movievault-${toFilenamePart(details.name)}-${day}.ics`,
+    contents: `${lines.map(foldLine).join("\r\n")}\r\n`,
+    count: items.length,
+  };
+};
@@ -2,10 +2,18 @@
 
 export const CACHE_TTL = 10 * 60 * 1000; // 10 minutes
 export const MAX_RETRIES = 2;
+export const RETRY_BASE_DELAY = 450;
+// Upper bound on how long a Retry-After header may pause outgoing requests.
+export const MAX_RETRY_AFTER = 30 * 1000;
+// Network requests allowed in flight at once; the rest queue in order.
+export const MAX_CONCURRENT_REQUESTS = 4;
+// Recent API calls kept for the diagnostics panel.
+export const REQUEST_HISTORY_LIMIT = 50;
 export const SEARCH_DEBOUNCE = 400;
 export const MAX_SUGGESTIONS = 5;
 export const TOAST_DURATION = 3000;
 export const BACKDROP_IMAGE_SIZE = "w1280";
+export const STILL_IMAGE_SIZE = "w300";
 // NOTE: the Lottie loader was removed. Use the JS show/hide loader helpers
 // which now render a simple inline fallback spinner instead of loading
 // an external Lottie JSON file.
@@ -14,21 +22,66 @@ export const BACKDROP_IMAGE_SIZE = "w1280";
 // override this with the CSS custom property `--motion-demo-multiplier`.
 export const TUTORIAL_ANIMATION_MULTIPLIER = 2.5;
 
+// Prefix of response-cache entries written to localStorage by older versions;
+// they are discarded on first run (see cache-store.js).
 export const CACHE_PREFIX = "movievault_cache_";
+export const CACHE_DB_NAME = "movievault_cache";
+export const CACHE_DB_VERSION = 1;
+// Byte budget for cached API responses before least-recently-used eviction.
+export const CACHE_MAX_BYTES = 25 * 1024 * 1024;
+// Floor for the budget after the browser reports its storage quota exhausted.
+export const CACHE_MIN_BYTES = 1024 * 1024;
+// How long past its TTL an entry may still be shown while it revalidates.
+export const CACHE_STALE_WINDOW = 7 * 24 * 60 * 60 * 1000;
 
-// Application version used for simple cache-busting of static assets. Bump when
-// deploying new asset sets so clients pick up fresh images/CSS/JS.
-export const APP_VERSION = "1.0.0";
+// Application version used for simple cache-busting of static assets. It also
+// keys the service worker's app-shell cache, which triggers the update prompt,
+// so bump it with every change to a file the shell caches (see sw.js).
+export const APP_VERSION = "1.1.22";
+
+// Failure categories attached to API errors as `error.kind`.
+export const API_ERROR_KINDS = {
+  AUTH: "auth",
+  NOT_FOUND: "not_found",
+  RATE_LIMITED: "rate_limited",
+  NETWORK: "network",
+  SERVER: "server",
+  BAD_REQUEST: "bad_request",
+};
 
 export const STORAGE_KEYS = {
   FAVORITES: "movievault_favorites",
   WATCHED: "movievault_watched",
   THEME: "movievault_theme",
+  // Single planner queue from before named plans; moved by the v4 migration.
   SESSION_PLAN: "movievault_session_plan",
+  // Named session plans and which one the planner drawer is editing.
+  SESSION_PLANS: "movievault_session_plans",
   TUTORIAL_SEEN: "movievault_tutorial_seen",
+  // Legacy localStorage cache registry, removed during cache migration.
   CACHE_INDEX: "movievault_cache_index",
+  EPISODE_PROGRESS: "movievault_episode_progress",
+  SETTINGS: "movievault_settings",
+  // Personal star ratings and notes, keyed by media key (`movie:550`).
+  RATINGS: "movievault_ratings",
+  // User-defined named lists, in the order the user arranged them.
+  CUSTOM_LISTS: "movievault_lists",
+  // Free-form tags per title, keyed by media key.
+  TAGS: "movievault_tags",
+  // Schema version and applied migrations for the keys above.
+  SCHEMA: "movievault_schema",
 };
 
+// Shape version of persisted lists; see scripts/storage-schema.js.
+export const STORAGE_SCHEMA_VERSION = 4;
+
+// Personal notes are plain text, capped to keep localStorage lean.
+export const NOTE_MAX_LENGTH = 2000;
+
+export const LIST_NAME_MAX_LENGTH = 60;
+
+export const TAG_MAX_LENGTH = 30;
+
 export const DEFAULT_CATEGORY = "trending";
 export const DEFAULT_SECTION_TITLE = "Trending Now";
 
@@ -44,6 +97,18 @@ export const ENDPOINTS = {
   GENRES: "genre/movie/list",
   DISCOVER: "discover/movie",
   CONFIGURATION: "configuration",
+  TRENDING_TV: "trending/tv/week",
+  TV_POPULAR: "tv/popular",
+  TV_TOP_RATED: "tv/top_rated",
+  SEARCH_TV: "search/tv",
+  TV_DETAILS: "tv", // append /{id} or /{id}/season/{n}
+};
+
+// Media types persisted alongside favorites/watched so TMDB movie and TV ids
+// (which share a numeric space) never collide.
+export const MEDIA_TYPES = {
+  MOVIE: "movie",
+  TV: "tv",
 };
 
 export const GENRE_MAP = [
@@ -107,6 +172,10 @@ export const DRAWER_ACTIONS = {
   WATCHED: "watched",
   THEME: "theme",
   SEARCH: "search",
+  SETTINGS: "settings",
+  BACKUP: "backup",
+  LISTS: "lists",
+  TAGS: "tags",
   CLOSE: "close",
 };
 
@@ -115,3 +184,115 @@ export const POSTER_SIZES = {
   SMALL: "w342",
   MEDIUM: "w500",
 };
+
+// Image size sets selectable from the settings panel. "standard" mirrors the
+// fixed POSTER_SIZES/BACKDROP_IMAGE_SIZE values used before settings existed.
+export const IMAGE_QUALITY_PRESETS = {
+  low: {
+    label: "Data saver",
+    POSTER_SMALL: "w185",
+    POSTER_MEDIUM: "w342",
+    POSTER_LARGE: "w342",
+    BACKDROP: "w780",
+    STILL: "w185",
+    PROFILE: "w185",
+  },
+  standard: {
+    label: "Standard",
+    POSTER_SMALL: POSTER_SIZES.SMALL,
+    POSTER_MEDIUM: POSTER_SIZES.MEDIUM,
+    POSTER_LARGE: "w500",
+    BACKDROP: BACKDROP_IMAGE_SIZE,
+    STILL: STILL_IMAGE_SIZE,
+    PROFILE: "w185",
+  },
+  high: {
+    label: "High",
+    POSTER_SMALL: "w500",
+    POSTER_MEDIUM: "w780",
+    POSTER_LARGE: "w780",
+    BACKDROP: "original",
+    STILL: "original",
+    PROFILE: "h632",
+  },
+};
+
+export const LANGUAGE_OPTIONS = [
+  { value: "en-US", label: "English (US)" },
+  { value: "en-GB", label: "English (UK)" },
+  { value: "es-ES", label: "Español" },
+  { value: "fr-FR", label: "Français" },
+  { value: "de-DE", label: "Deutsch" },
+  { value: "it-IT", label: "Italiano" },
+  { value: "pt-BR", label: "Português (Brasil)" },
+  { value: "ar-SA", label: "العربية" },
+  { value: "ja-JP", label: "日本語" },
+  { value: "ko-KR", label: "한국어" },
+];
+
+// Empty region means TMDB's worldwide defaults.
+export const REGION_OPTIONS = [
+  { value: "", label: "Worldwide" },
+  { value: "US", label: "United States" },
+  { value: "GB", label: "United Kingdom" },
+  { value: "CA", label: "Canada" },
+  { value: "AU", label: "Australia" },
+  { value: "DE", label: "Germany" },
+  { value: "FR", label: "France" },
+  { value: "ES", label: "Spain" },
+  { value: "IT", label: "Italy" },
+  { value: "BR", label: "Brazil" },
+  { value: "JP", label: "Japan" },
+  { value: "KR", label: "South Korea" },
+  { value: "AE", label: "United Arab Emirates" },
+];
+
+// Cache lifetimes in minutes; 0 disables response caching entirely.
+export const CACHE_TTL_OPTIONS = [0, 5, 10, 30, 60, 24 * 60];
+
+// Registered data providers (see scripts/providers.js).
+export const DATA_PROVIDERS = {
+  TMDB: "tmdb",
+  FIXTURES: "fixtures",
+};
+
+export const DATA_PROVIDER_OPTIONS = [
+  { value: DATA_PROVIDERS.TMDB, label: "TMDB (live)" },
+  { value: DATA_PROVIDERS.FIXTURES, label: "Offline demo data" },
+];
+
+// Bundled JSON served by the fixture provider.
+export const FIXTURE_BASE_PATH = "fixtures/";
+
+export const DEFAULT_SETTINGS = {
+  dataProvider: DATA_PROVIDERS.TMDB,
+  language: "en-US",
+  region: "",
+  includeAdult: false,
+  imageQuality: "standard",
+  cacheTtlMinutes: CACHE_TTL / 60000,
+  staleWhileRevalidate: true,
+};
+
+// Session planner capacity per plan, shared by the planner UI and backup import.
+export const MAX_PLANNER_ITEMS = 12;
+
+// Name of the plan started when a movie is queued with no plan active.
+export const DEFAULT_PLAN_NAME = "Movie night";
+
+// Marathon timeline (see scripts/planner-schedule.js): breaks offered between
+// titles, in minutes, and the runtime assumed when TMDB has none.
+export const PLANNER_INTERMISSION_OPTIONS = [0, 5, 10, 15, 20, 30, 45, 60];
+export const DEFAULT_PLANNER_INTERMISSION = 15;
+export const PLANNER_FALLBACK_RUNTIME = 120;
+
+// Personal-data backup files (see scripts/backup.js). Bump the schema version
+// whenever the `data` shape changes and teach parseBackup to upgrade old files.
+export const BACKUP_FORMAT = "movievault-backup";
+export const BACKUP_SCHEMA_VERSION = 5;
+
+// CSV export layouts (see scripts/history-export.js).
+export const CSV_EXPORT_LAYOUTS = {
+  LETTERBOXD: "letterboxd",
+  GENERIC: "generic",
+};
@@ -0,0 +1,68 @@
+// Minimal RFC 4180 CSV reader and writer used by the history import/export.
+//
+// Handles quoted fields with embedded commas, quotes and line breaks, CRLF or
+// LF line endings and a leading byte-order mark. Rows are returned as objects
+// keyed by the (trimmed) header row; blank lines are skipped.
+
+// Split CSV text into an array of string arrays.
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[index + 1] === "\n") index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+};
+
+// Parse CSV text into { headers, records }, where each record maps a header
+// to its cell value.
+export const parseCsv = (text) => {
+  const [headerRow = [], ...rows] = parseCsvRows(text);
+  const headers = headerRow.map((header) => header.trim());
+  const records = rows.map((cells) =>
+    Object.fromEntries(headers.map((header, index) => [header, (cells[index] || "").trim()]))
+  );
+  return { headers, records };
+};
+
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize records into CSV with the given header order (CRLF line endings).
+export const toCsv = (headers, records) =>
+  [headers, ...records.map((record) => headers.map((header) => record[header]))]
+    .map((cells) => cells.map(escapeCell).join(","))
+    .join("\r\n");
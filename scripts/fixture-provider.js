@@ -0,0 +1,190 @@
+// Offline data provider backed by the JSON files bundled in /fixtures.
+//
+// Returns the same TMDB-shaped payloads as the live provider so demos, offline
+// development and automated tests run the real UI without network access or a
+// TMDB credential. Fixture files:
+//   movies.json       movie details (credits, videos, belongs_to_collection)
+//   series.json       series details with `seasons` and optional `episodes`
+//   people.json       people with `movie_credits` [{ id, character }]
+//   collections.json  collections with `parts` (movie ids)
+//   feeds.json        feed name -> ordered list of ids
+//   genres.json       { genres }
+
+import { DATA_PROVIDERS, FIXTURE_BASE_PATH } from "./constants.js";
+
+const PAGE_SIZE = 20;
+const fixtureRequests = new Map();
+
+// Load a fixture file once per session; failed loads are retried next time.
+const loadFixture = (name) => {
+  if (!fixtureRequests.has(name)) {
+    const request = fetch(`${FIXTURE_BASE_PATH}${name}.json`)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Fixture "${name}" failed to load (${response.status})`);
+        }
+        return response.json();
+      })
+      .catch((error) => {
+        fixtureRequests.delete(name);
+        throw error;
+      });
+    fixtureRequests.set(name, request);
+  }
+  return fixtureRequests.get(name);
+};
+
+// Fixture files are shared across callers, so an abort only stops the caller
+// from using the result; the underlying load still completes for the cache.
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw new DOMException("The request was cancelled.", "AbortError");
+  }
+};
+
+const createNotFoundError = (kind, id) => {
+  const error = new Error(`No ${kind} fixture with id ${id}`);
+  error.status = 404;
+  return error;
+};
+
+const paginate = (items, page = 1) => {
+  const totalPages = Math.max(1, Math.ceil(items.length / PAGE_SIZE));
+  const current = Math.min(Math.max(1, Number(page) || 1), totalPages);
+  return {
+    page: current,
+    total_pages: totalPages,
+    total_results: items.length,
+    results: items.slice((current - 1) * PAGE_SIZE, current * PAGE_SIZE),
+  };
+};
+
+const byId = (items, id) => items.find((item) => Number(item.id) === Number(id));
+
+const matchesQuery = (text, query) =>
+  String(text || "").toLowerCase().includes(String(query || "").trim().toLowerCase());
+
+const isSeriesFeed = (feed) => feed === "tv" || feed.startsWith("tv_");
+
+// Episodes are optional in series.json; fill the rest with numbered stubs.
+const buildSeasonEpisodes = (series, season) => {
+  const listed = series.episodes?.[String(season.season_number)] || [];
+  return Array.from({ length: season.episode_count || listed.length }, (_, index) => {
+    const episodeNumber = index + 1;
+    const fixture = listed.find((episode) => episode.episode_number === episodeNumber) || {};
+    return {
+      id: series.id * 10000 + season.season_number * 100 + episodeNumber,
+      season_number: season.season_number,
+      episode_number: episodeNumber,
+      name: `Episode ${episodeNumber}`,
+      overview: "",
+      air_date: "",
+      runtime: null,
+      vote_average: null,
+      still_path: null,
+      ...fixture,
+    };
+  });
+};
+
+export const fixtureProvider = {
+  id: DATA_PROVIDERS.FIXTURES,
+  label: "Offline demo data",
+  isReady: () => true,
+  getFeed: async (feed, { page = 1, signal } = {}) => {
+    const series = isSeriesFeed(feed);
+    const [feeds, items] = await Promise.all([
+      loadFixture("feeds"),
+      loadFixture(series ? "series" : "movies"),
+    ]);
+    throwIfAborted(signal);
+    const ids = feeds[feed] || feeds.trending || [];
+    const results = ids.map((id) => byId(items, id)).filter(Boolean);
+    return paginate(results, page);
+  },
+  search: async (kind, { query, page = 1, year, signal } = {}) => {
+    const files = { movie: "movies", tv: "series", person: "people", collection: "collections" };
+    const items = await loadFixture(files[kind] || "movies");
+    throwIfAborted(signal);
+    const inYear = (item) =>
+      kind !== "movie" || !year || String(item.release_date || "").startsWith(`${year}-`);
+    const results = items.filter(
+      (item) => matchesQuery(item.title || item.name, query) && inYear(item)
+    );
+    return paginate(results, page);
+  },
+  discover: async ({ genres = [], page = 1, signal } = {}) => {
+    const movies = await loadFixture("movies");
+    throwIfAborted(signal);
+    const wanted = genres.map(Number);
+    const results = movies
+      .filter((movie) => wanted.every((id) => (movie.genre_ids || []).includes(id)))
+      .sort((a, b) => (b.popularity || 0) - (a.popularity || 0));
+    return paginate(results, page);
+  },
+  getDetails: async (kind, id, { signal } = {}) => {
+    if (kind === "collection") {
+      const [collections, movies] = await Promise.all([
+        loadFixture("collections"),
+        loadFixture("movies"),
+      ]);
+      throwIfAborted(signal);
+      const collection = byId(collections, id);
+      if (!collection) throw createNotFoundError(kind, id);
+      return {
+        ...collection,
+        parts: collection.parts.map((partId) => byId(movies, partId)).filter(Boolean),
+      };
+    }
+    const files = { movie: "movies", tv: "series", person: "people" };
+    const item = byId(await loadFixture(files[kind] || "movies"), id);
+    throwIfAborted(signal);
+    if (!item) throw createNotFoundError(kind, id);
+    return item;
+  },
+  getSeason: async (seriesId, seasonNumber, { signal } = {}) => {
+    const series = byId(await loadFixture("series"), seriesId);
+    throwIfAborted(signal);
+    const season = series?.seasons?.find(
+      (entry) => Number(entry.season_number) === Number(seasonNumber)
+    );
+    if (!season) throw createNotFoundError("season", `${seriesId}/${seasonNumber}`);
+    return { ...season, episodes: buildSeasonEpisodes(series, season) };
+  },
+  getFilmography: async (personId, { signal } = {}) => {
+    const [people, movies] = await Promise.all([
+      loadFixture("people"),
+      loadFixture("movies"),
+    ]);
+    throwIfAborted(signal);
+    const person = byId(people, personId);
+    if (!person) throw createNotFoundError("person", personId);
+    return {
+      id: person.id,
+      cast: (person.movie_credits || [])
+        .map(({ id, character }) => {
+          const movie = byId(movies, id);
+          return movie ? { ...movie, character } : null;
+        })
+        .filter(Boolean),
+    };
+  },
+  // Fixture "recommendations" are simply other movies sharing a genre.
+  getRecommendations: async (movieId, { page = 1, signal } = {}) => {
+    const movies = await loadFixture("movies");
+    throwIfAborted(signal);
+    const source = byId(movies, movieId);
+    const genres = source?.genre_ids || [];
+    const results = movies.filter(
+      (movie) =>
+        Number(movie.id) !== Number(movieId) &&
+        (movie.genre_ids || []).some((id) => genres.includes(id))
+    );
+    return paginate(results, page);
+  },
+  getGenres: async ({ signal } = {}) => {
+    const genres = await loadFixture("genres");
+    throwIfAborted(signal);
+    return genres;
+  },
+};
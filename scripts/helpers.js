@@ -1,15 +1,31 @@
 // Shared helper utilities for MovieVault.
 
 import {
-  CACHE_TTL,
-  CACHE_PREFIX,
   STORAGE_KEYS,
   TOAST_DURATION,
   THEMES,
   TOAST_ICONS,
   MOVIE_PLACEHOLDER,
   APP_VERSION,
+  MEDIA_TYPES,
+  DEFAULT_SETTINGS,
+  IMAGE_QUALITY_PRESETS,
+  CACHE_TTL_OPTIONS,
+  DATA_PROVIDERS,
+  CACHE_STALE_WINDOW,
+  NOTE_MAX_LENGTH,
+  LIST_NAME_MAX_LENGTH,
+  TAG_MAX_LENGTH,
+  DEFAULT_PLAN_NAME,
 } from "./constants.js";
+import {
+  readCacheEntry,
+  writeCacheEntry,
+  removeCacheEntries,
+  clearCacheEntries,
+  listCacheEntries,
+  getCacheUsage,
+} from "./cache-store.js";
 
 // Detect whether localStorage can be used (Safari private mode safe-guard).
 const isLocalStorageAvailable = (() => {
@@ -57,34 +73,85 @@ const storage = {
   },
 };
 
-const buildStorageKey = (key) => `${CACHE_PREFIX}${key}`;
+// Runtime settings are read on every request, so keep a parsed copy in memory.
+let settingsCache = null;
 
-// Compose deterministic cache keys from namespace + sorted params.
-export const buildCacheKey = (namespace, params = {}) => {
-  const paramString = Object.entries(params)
-    .sort(([a], [b]) => a.localeCompare(b))
-    .map(([k, v]) => `${k}:${v}`)
-    .join("|");
-  return `${namespace}${paramString ? `::${paramString}` : ""}`;
+// Coerce stored settings into a complete, valid settings object.
+const normalizeSettings = (value = {}) => {
+  const merged = { ...DEFAULT_SETTINGS, ...(value || {}) };
+  const ttl = Number(merged.cacheTtlMinutes);
+  return {
+    dataProvider: Object.values(DATA_PROVIDERS).includes(merged.dataProvider)
+      ? merged.dataProvider
+      : DEFAULT_SETTINGS.dataProvider,
+    language:
+      typeof merged.language === "string" && /^[a-z]{2}(-[A-Z]{2})?$/.test(merged.language)
+        ? merged.language
+        : DEFAULT_SETTINGS.language,
+    region:
+      typeof merged.region === "string" && /^([A-Z]{2})?$/.test(merged.region)
+        ? merged.region
+        : DEFAULT_SETTINGS.region,
+    includeAdult: merged.includeAdult === true,
+    imageQuality: IMAGE_QUALITY_PRESETS[merged.imageQuality]
+      ? merged.imageQuality
+      : DEFAULT_SETTINGS.imageQuality,
+    cacheTtlMinutes: CACHE_TTL_OPTIONS.includes(ttl)
+      ? ttl
+      : DEFAULT_SETTINGS.cacheTtlMinutes,
+    staleWhileRevalidate:
+      typeof merged.staleWhileRevalidate === "boolean"
+        ? merged.staleWhileRevalidate
+        : DEFAULT_SETTINGS.staleWhileRevalidate,
+  };
 };
 
-// Maintain a simple registry of cache entries for convenient purges.
-const updateCacheIndex = (cacheKey, remove = false) => {
-  let index = [];
-  const rawIndex = storage.get(STORAGE_KEYS.CACHE_INDEX);
-  if (rawIndex) {
+export const getSettings = () => {
+  if (settingsCache) return { ...settingsCache };
+  let stored = {};
+  const raw = storage.get(STORAGE_KEYS.SETTINGS);
+  if (raw) {
     try {
-      index = JSON.parse(rawIndex);
-    } catch (error) {
-      index = [];
+      stored = JSON.parse(raw);
+    } catch {
+      stored = {};
     }
   }
-  if (remove) {
-    index = index.filter((key) => key !== cacheKey);
-  } else if (!index.includes(cacheKey)) {
-    index.push(cacheKey);
-  }
-  storage.set(STORAGE_KEYS.CACHE_INDEX, JSON.stringify(index));
+  settingsCache = normalizeSettings(stored);
+  return { ...settingsCache };
+};
+
+// Merge a partial update into the stored settings and return the result.
+export const saveSettings = (updates = {}) => {
+  settingsCache = normalizeSettings({ ...getSettings(), ...updates });
+  storage.set(STORAGE_KEYS.SETTINGS, JSON.stringify(settingsCache));
+  return { ...settingsCache };
+};
+
+export const resetSettings = () => {
+  settingsCache = null;
+  storage.remove(STORAGE_KEYS.SETTINGS);
+  return getSettings();
+};
+
+// TMDB image sizes for the chosen quality preset.
+export const getImageSizes = () =>
+  IMAGE_QUALITY_PRESETS[getSettings().imageQuality] || IMAGE_QUALITY_PRESETS.standard;
+
+// Response cache lifetime in milliseconds (0 when caching is off).
+export const getCacheTtl = () => getSettings().cacheTtlMinutes * 60 * 1000;
+
+// Compose deterministic cache keys from namespace + sorted params. Keys are
+// scoped by language/region/adult so switching settings never serves payloads
+// fetched under the previous ones.
+export const buildCacheKey = (namespace, params = {}) => {
+  const { language, region, includeAdult } = getSettings();
+  const scope = `${language}|${region || "any"}|${includeAdult ? "adult" : "safe"}`;
+  const paramString = Object.entries(params)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([k, v]) => `${k}:${v}`)
+    .join("|");
+  return `${namespace}@${scope}${paramString ? `::${paramString}` : ""}`;
 };
 
 const isExpired = (timestamp, ttl) =>
@@ -113,55 +180,110 @@ export const debounce = (fn, delay = 300) => {
   };
 };
 
-// Persist API responses in localStorage with TTL metadata.
-export const setCache = (key, data, ttl = CACHE_TTL) => {
-  if (!isLocalStorageAvailable || !key) return;
-  const payload = {
-    timestamp: Date.now(),
-    ttl,
-    data,
-  };
-  const storageKey = buildStorageKey(key);
-  storage.set(storageKey, JSON.stringify(payload));
-  updateCacheIndex(storageKey);
+// Persist API responses in the IndexedDB cache with TTL metadata.
+export const setCache = async (key, data, ttl = getCacheTtl()) => {
+  if (!key || ttl <= 0) return false;
+  return writeCacheEntry(key, data, ttl);
 };
 
-// Retrieve cached payloads, expiring stale entries automatically.
-export const getCache = (key) => {
-  if (!isLocalStorageAvailable || !key) return null;
-  const storageKey = buildStorageKey(key);
-  const raw = storage.get(storageKey);
-  if (!raw) return null;
-  try {
-    const payload = JSON.parse(raw);
-    if (payload && payload.timestamp && payload.ttl) {
-      if (isExpired(payload.timestamp, payload.ttl)) {
-        storage.remove(storageKey);
-        updateCacheIndex(storageKey, true);
-        return null;
-      }
-      return payload.data;
-    }
-    return null;
-  } catch (error) {
-    console.error("Cache parse error:", error);
-    storage.remove(storageKey);
-    updateCacheIndex(storageKey, true);
+// Retrieve a cached payload as { data, stale }. Entries past their TTL are
+// kept (and reported stale) for CACHE_STALE_WINDOW, then removed.
+export const getCacheEntry = async (key) => {
+  if (!key) return null;
+  const entry = await readCacheEntry(key);
+  if (!entry) return null;
+  // A shorter lifetime chosen in settings applies to entries already stored.
+  const ttl = Math.min(entry.ttl, getCacheTtl());
+  if (isExpired(entry.timestamp, ttl + CACHE_STALE_WINDOW)) {
+    await removeCacheEntries([key]);
     return null;
   }
+  return { data: entry.data, stale: isExpired(entry.timestamp, ttl) };
 };
 
-// Developer helper: nuke all MovieVault cache entries.
-export const clearAllCache = () => {
-  const keys = storage.keys();
-  keys
-    .filter((key) => key.startsWith(CACHE_PREFIX))
-    .forEach((key) => {
-      storage.remove(key);
+// Retrieve cached payloads that are still within their TTL.
+export const getCache = async (key) => {
+  const entry = await getCacheEntry(key);
+  return entry && !entry.stale ? entry.data : null;
+};
+
+// Nuke all MovieVault cache entries (diagnostics panel "Purge all").
+export const clearAllCache = () => clearCacheEntries();
+
+// Drop every cached response in one namespace (e.g. "movie_details").
+export const purgeCacheNamespace = async (namespace) => {
+  const entries = await listCacheEntries();
+  await removeCacheEntries(
+    entries.filter((entry) => entry.namespace === namespace).map((entry) => entry.key)
+  );
+};
+
+// Bytes held in localStorage by MovieVault keys (UTF-16, so two per char).
+const getLocalStorageBytes = () =>
+  storage
+    .keys()
+    .filter((key) => key.startsWith("movievault_"))
+    .reduce((total, key) => total + (key.length + (storage.get(key) || "").length) * 2, 0);
+
+// Snapshot for the diagnostics panel: cache usage, entries grouped by
+// namespace (largest first), browser storage estimate and localStorage use.
+export const getCacheDiagnostics = async () => {
+  const [usage, entries] = await Promise.all([getCacheUsage(), listCacheEntries()]);
+  const cacheTtl = getCacheTtl();
+  const now = Date.now();
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const ttl = Math.min(entry.ttl, cacheTtl);
+    const group = groups.get(entry.namespace) || {
+      namespace: entry.namespace,
+      bytes: 0,
+      entries: [],
+    };
+    group.bytes += entry.size || 0;
+    group.entries.push({
+      key: entry.key,
+      size: entry.size || 0,
+      age: now - entry.timestamp,
+      ttl,
+      stale: isExpired(entry.timestamp, ttl),
     });
-  storage.remove(STORAGE_KEYS.CACHE_INDEX);
+    groups.set(entry.namespace, group);
+  });
+  let estimate = null;
+  try {
+    estimate = navigator.storage?.estimate ? await navigator.storage.estimate() : null;
+  } catch {
+    estimate = null;
+  }
+  return {
+    usage,
+    namespaces: Array.from(groups.values()).sort((a, b) => b.bytes - a.bytes),
+    estimate: estimate ? { usage: estimate.usage, quota: estimate.quota } : null,
+    localStorageBytes: getLocalStorageBytes(),
+  };
 };
 
+// Entries saved before TV support carry no media type and are movies.
+export const getMediaType = (item) =>
+  item && item.mediaType === MEDIA_TYPES.TV ? MEDIA_TYPES.TV : MEDIA_TYPES.MOVIE;
+
+// Stable identity for list entries, e.g. `movie:438631` or `tv:1399`.
+export const buildMediaKey = (id, mediaType = MEDIA_TYPES.MOVIE) =>
+  `${mediaType === MEDIA_TYPES.TV ? MEDIA_TYPES.TV : MEDIA_TYPES.MOVIE}:${Number(id)}`;
+
+const matchesMedia = (item, id, mediaType) =>
+  buildMediaKey(item.id, getMediaType(item)) === buildMediaKey(id, mediaType);
+
+// Shape persisted for favorites/watched entries.
+export const toListEntry = (movie) => ({
+  id: movie.id,
+  mediaType: getMediaType(movie),
+  title: movie.title,
+  poster: movie.poster || MOVIE_PLACEHOLDER,
+  rating: movie.rating || "0.0",
+  releaseDate: movie.releaseDate || "",
+});
+
 // Internal helper to parse favourites payload from storage.
 const getFavoritesRaw = () => {
   const raw = storage.get(STORAGE_KEYS.FAVORITES);
@@ -174,35 +296,27 @@ const getFavoritesRaw = () => {
   }
 };
 
-const saveFavorites = (favorites) => {
+export const saveFavorites = (favorites) => {
   storage.set(STORAGE_KEYS.FAVORITES, JSON.stringify(favorites));
 };
 
 export const getFavorites = () => getFavoritesRaw();
 
-export const isFavorite = (id) =>
-  getFavoritesRaw().some((item) => Number(item.id) === Number(id));
+export const isFavorite = (id, mediaType = MEDIA_TYPES.MOVIE) =>
+  getFavoritesRaw().some((item) => matchesMedia(item, id, mediaType));
 
 // Toggle favourite status, persist the list, and surface user feedback.
 export const toggleFavorite = (movie) => {
   if (!movie || !movie.id) return false;
+  const mediaType = getMediaType(movie);
   const favorites = getFavoritesRaw();
-  const exists = favorites.some((item) => Number(item.id) === Number(movie.id));
+  const exists = favorites.some((item) => matchesMedia(item, movie.id, mediaType));
   let updated;
   if (exists) {
-    updated = favorites.filter((item) => Number(item.id) !== Number(movie.id));
+    updated = favorites.filter((item) => !matchesMedia(item, movie.id, mediaType));
     showToast(`Removed "${movie.title}" from favorites.`, "info");
   } else {
-    updated = [
-      ...favorites,
-      {
-        id: movie.id,
-        title: movie.title,
-        poster: movie.poster || MOVIE_PLACEHOLDER,
-        rating: movie.rating || "0.0",
-        releaseDate: movie.releaseDate || "",
-      },
-    ];
+    updated = [...favorites, toListEntry(movie)];
     showToast(`"${movie.title}" added to favorites.`, "success");
   }
   saveFavorites(updated);
@@ -221,41 +335,540 @@ const getWatchedRaw = () => {
   }
 };
 
-const saveWatched = (watched) => {
+export const saveWatched = (watched) => {
   storage.set(STORAGE_KEYS.WATCHED, JSON.stringify(watched));
 };
 
 export const getWatched = () => getWatchedRaw();
 
-export const isWatched = (id) =>
-  getWatchedRaw().some((item) => Number(item.id) === Number(id));
+export const isWatched = (id, mediaType = MEDIA_TYPES.MOVIE) =>
+  getWatchedRaw().some((item) => matchesMedia(item, id, mediaType));
 
 // Toggle watched state, persist updates, and emit toasts.
 export const toggleWatched = (movie) => {
   if (!movie || !movie.id) return false;
+  const mediaType = getMediaType(movie);
   const watched = getWatchedRaw();
-  const exists = watched.some((item) => Number(item.id) === Number(movie.id));
+  const exists = watched.some((item) => matchesMedia(item, movie.id, mediaType));
   let updated;
   if (exists) {
-    updated = watched.filter((item) => Number(item.id) !== Number(movie.id));
+    updated = watched.filter((item) => !matchesMedia(item, movie.id, mediaType));
     showToast(`Marked "${movie.title}" as unwatched.`, "info");
   } else {
-    updated = [
-      ...watched,
-      {
-        id: movie.id,
-        title: movie.title,
-        poster: movie.poster || MOVIE_PLACEHOLDER,
-        rating: movie.rating || "0.0",
-        releaseDate: movie.releaseDate || "",
-      },
-    ];
+    updated = [...watched, withViewings(toListEntry(movie), [createViewing()])];
     showToast(`"${movie.title}" added to watched list.`, "success");
   }
   saveWatched(updated);
   return !exists;
 };
 
+// Watch diary: each watched entry keeps `viewings`, one per time the title
+// was seen, oldest first: [{ id, date, loggedAt }]. `date` is a local
+// YYYY-MM-DD ("" for titles marked watched before the diary existed) and
+// the entry's `watchedAt` mirrors the latest dated viewing.
+
+// A date as YYYY-MM-DD in the user's time zone (toISOString would use UTC).
+export const getLocalIsoDate = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const isIsoDate = (value) => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+export const createViewing = (date = getLocalIsoDate()) => ({
+  id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  date: isIsoDate(date) ? date : "",
+  loggedAt: Date.now(),
+});
+
+// Put `viewings` in diary order on the entry and refresh `watchedAt`.
+export const withViewings = (entry, viewings) => {
+  const sorted = [...viewings].sort(
+    (a, b) => a.date.localeCompare(b.date) || a.loggedAt - b.loggedAt
+  );
+  const next = { ...entry, viewings: sorted };
+  const latest = sorted.filter((viewing) => viewing.date).pop();
+  if (latest) next.watchedAt = latest.date;
+  else delete next.watchedAt;
+  return next;
+};
+
+// Apply `transform` to one title's viewings and persist. A title whose last
+// viewing is removed leaves the watched list. Returns the entry or null.
+const editViewings = (movie, transform) => {
+  if (!movie || !movie.id) return null;
+  const mediaType = getMediaType(movie);
+  const watched = getWatchedRaw();
+  const index = watched.findIndex((item) => matchesMedia(item, movie.id, mediaType));
+  const current = index === -1 ? toListEntry(movie) : watched[index];
+  const viewings = transform(current.viewings || []);
+  if (!viewings.length) {
+    if (index !== -1) {
+      watched.splice(index, 1);
+      saveWatched(watched);
+    }
+    return null;
+  }
+  const entry = withViewings(current, viewings);
+  if (index === -1) watched.push(entry);
+  else watched[index] = entry;
+  saveWatched(watched);
+  return entry;
+};
+
+// Log a viewing on `date` (default today): a rewatch, or the first viewing
+// when the title is not on the watched list yet.
+export const logViewing = (movie, date = getLocalIsoDate()) =>
+  editViewings(movie, (viewings) => [...viewings, createViewing(date)]);
+
+export const updateViewing = (movie, viewingId, { date } = {}) =>
+  editViewings(movie, (viewings) =>
+    viewings.map((viewing) =>
+      viewing.id === viewingId && isIsoDate(date) ? { ...viewing, date } : viewing
+    )
+  );
+
+export const deleteViewing = (movie, viewingId) =>
+  editViewings(movie, (viewings) => viewings.filter((viewing) => viewing.id !== viewingId));
+
+// Personal ratings and notes, keyed by media key:
+// { "movie:550": { id, mediaType, title, releaseDate, userRating, note, updatedAt } }
+// `userRating` is 0.5–5 in half stars (or null); an entry with neither a
+// rating nor a note is removed.
+const getRatingsRaw = () => {
+  const raw = storage.get(STORAGE_KEYS.RATINGS);
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed)
+      ? parsed
+      : {};
+  } catch {
+    return {};
+  }
+};
+
+export const getPersonalRatings = () => getRatingsRaw();
+
+export const savePersonalRatings = (ratings) => {
+  storage.set(STORAGE_KEYS.RATINGS, JSON.stringify(ratings));
+};
+
+export const getPersonalRating = (id, mediaType = MEDIA_TYPES.MOVIE) =>
+  getRatingsRaw()[buildMediaKey(id, mediaType)] || null;
+
+// Update the rating and/or note for a title; omitted fields keep their value.
+// Returns the stored entry, or null once both are empty.
+export const setPersonalRating = (movie, updates = {}) => {
+  if (!movie || !movie.id) return null;
+  const mediaType = getMediaType(movie);
+  const key = buildMediaKey(movie.id, mediaType);
+  const ratings = getRatingsRaw();
+  const current = ratings[key] || {};
+  const rating = "userRating" in updates ? Number(updates.userRating) : current.userRating;
+  const note = "note" in updates ? String(updates.note || "").trim() : current.note || "";
+  const entry = {
+    id: Number(movie.id),
+    mediaType,
+    title: movie.title || current.title || "",
+    releaseDate: movie.releaseDate || current.releaseDate || "",
+    userRating:
+      Number.isFinite(rating) && rating > 0
+        ? Math.min(5, Math.max(0.5, Math.round(rating * 2) / 2))
+        : null,
+    note: note.slice(0, NOTE_MAX_LENGTH),
+    updatedAt: Date.now(),
+  };
+  if (entry.userRating === null && !entry.note) {
+    delete ratings[key];
+  } else {
+    ratings[key] = entry;
+  }
+  savePersonalRatings(ratings);
+  return ratings[key] || null;
+};
+
+// Custom lists, in the order the user arranged them:
+// [{ id, name, createdAt, updatedAt, items: [{ ...list entry, addedAt }] }]
+// Items share the favorites/watched entry shape (see toListEntry).
+const getCustomListsRaw = () => {
+  const raw = storage.get(STORAGE_KEYS.CUSTOM_LISTS);
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+export const getCustomLists = () => getCustomListsRaw();
+
+export const saveCustomLists = (lists) => {
+  storage.set(STORAGE_KEYS.CUSTOM_LISTS, JSON.stringify(lists));
+};
+
+// Shared by custom lists and session plans.
+const toListName = (name) =>
+  String(name || "").trim().replace(/\s+/g, " ").slice(0, LIST_NAME_MAX_LENGTH);
+
+// e.g. "list-lx3k9a2f" or "plan-lx3k9q1z".
+const createLocalId = (prefix) =>
+  `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Apply `transform` to one list and persist. Returns the updated list or null.
+const editCustomList = (listId, transform) => {
+  const lists = getCustomListsRaw();
+  const index = lists.findIndex((list) => list.id === listId);
+  if (index === -1) return null;
+  const list = { ...transform(lists[index]), updatedAt: Date.now() };
+  lists[index] = list;
+  saveCustomLists(lists);
+  return list;
+};
+
+// Returns the new list, or null when the name is blank.
+export const createCustomList = (name) => {
+  const label = toListName(name);
+  if (!label) return null;
+  const now = Date.now();
+  const list = {
+    id: createLocalId("list"),
+    name: label,
+    createdAt: now,
+    updatedAt: now,
+    items: [],
+  };
+  saveCustomLists([...getCustomListsRaw(), list]);
+  return list;
+};
+
+export const renameCustomList = (listId, name) => {
+  const label = toListName(name);
+  return label ? editCustomList(listId, (list) => ({ ...list, name: label })) : null;
+};
+
+export const deleteCustomList = (listId) => {
+  saveCustomLists(getCustomListsRaw().filter((list) => list.id !== listId));
+};
+
+// Move a list up (-1) or down (+1); returns false at either end.
+export const moveCustomList = (listId, delta) => {
+  const lists = getCustomListsRaw();
+  const from = lists.findIndex((list) => list.id === listId);
+  const to = from + delta;
+  if (from === -1 || to < 0 || to >= lists.length) return false;
+  const [list] = lists.splice(from, 1);
+  lists.splice(to, 0, list);
+  saveCustomLists(lists);
+  return true;
+};
+
+// Add or remove a title; returns true when it is now on the list.
+export const toggleCustomListItem = (listId, movie) => {
+  if (!movie || !movie.id) return false;
+  const mediaType = getMediaType(movie);
+  let nowListed = false;
+  const list = editCustomList(listId, (current) => {
+    const items = Array.isArray(current.items) ? current.items : [];
+    const exists = items.some((item) => matchesMedia(item, movie.id, mediaType));
+    nowListed = !exists;
+    return {
+      ...current,
+      items: exists
+        ? items.filter((item) => !matchesMedia(item, movie.id, mediaType))
+        : [...items, { ...toListEntry(movie), addedAt: Date.now() }],
+    };
+  });
+  if (!list) return false;
+  showToast(
+    nowListed
+      ? `"${movie.title}" added to ${list.name}.`
+      : `"${movie.title}" removed from ${list.name}.`,
+    nowListed ? "success" : "info"
+  );
+  return nowListed;
+};
+
+// Free-form tags, keyed by media key:
+// { "movie:550": { ...list entry, tags: ["comfort watch"], updatedAt } }
+// Entries keep the favorites/watched shape so tagged titles render as cards
+// on their own. Tags are stored normalized (see normalizeTag); a title whose
+// last tag is removed is dropped.
+const getTagsRaw = () => {
+  const raw = storage.get(STORAGE_KEYS.TAGS);
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed)
+      ? parsed
+      : {};
+  } catch {
+    return {};
+  }
+};
+
+export const getTags = () => getTagsRaw();
+
+export const saveTags = (tags) => {
+  storage.set(STORAGE_KEYS.TAGS, JSON.stringify(tags));
+};
+
+// Tags compare case-insensitively: "Comfort  Watch " is "comfort watch".
+export const normalizeTag = (tag) =>
+  String(tag || "").trim().replace(/\s+/g, " ").toLowerCase().slice(0, TAG_MAX_LENGTH);
+
+const toTagList = (tags) =>
+  Array.from(new Set((Array.isArray(tags) ? tags : []).map(normalizeTag).filter(Boolean)));
+
+export const getTitleTags = (id, mediaType = MEDIA_TYPES.MOVIE) =>
+  getTagsRaw()[buildMediaKey(id, mediaType)]?.tags || [];
+
+// Replace a title's tags; returns the normalized tags that were stored.
+export const setTitleTags = (movie, tags = []) => {
+  if (!movie || !movie.id) return [];
+  const key = buildMediaKey(movie.id, getMediaType(movie));
+  const store = getTagsRaw();
+  const next = toTagList(tags);
+  if (next.length) {
+    store[key] = { ...store[key], ...toListEntry(movie), tags: next, updatedAt: Date.now() };
+  } else {
+    delete store[key];
+  }
+  saveTags(store);
+  return next;
+};
+
+// [{ tag, count }] for every tag in use, most used first.
+export const getTagUsage = (tags = getTagsRaw()) => {
+  const counts = new Map();
+  Object.values(tags).forEach((entry) =>
+    (entry.tags || []).forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1))
+  );
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+  );
+};
+
+// Apply `transform` to the tags of every title carrying `tag`. Returns how
+// many titles changed.
+const editTag = (tag, transform) => {
+  const from = normalizeTag(tag);
+  const store = getTagsRaw();
+  let changed = 0;
+  Object.entries(store).forEach(([key, entry]) => {
+    if (!(entry.tags || []).includes(from)) return;
+    const next = toTagList(transform(entry.tags));
+    changed += 1;
+    if (next.length) {
+      store[key] = { ...entry, tags: next, updatedAt: Date.now() };
+    } else {
+      delete store[key];
+    }
+  });
+  if (changed) saveTags(store);
+  return changed;
+};
+
+// Renaming onto a tag that already exists merges the two.
+export const renameTag = (from, to) => {
+  const source = normalizeTag(from);
+  const target = normalizeTag(to);
+  if (!target || target === source) return 0;
+  return editTag(source, (tags) => tags.map((tag) => (tag === source ? target : tag)));
+};
+
+export const deleteTag = (tag) => {
+  const target = normalizeTag(tag);
+  return editTag(target, (tags) => tags.filter((current) => current !== target));
+};
+
+// Episode progress is keyed by series id:
+// { [seriesId]: { id, title, poster, rating, releaseDate, seasons, episodes, updatedAt } }
+// where `seasons` is [{ number, episodeCount }] and `episodes` maps a season
+// number to the episode numbers seen in it.
+const getEpisodeProgressRaw = () => {
+  const raw = storage.get(STORAGE_KEYS.EPISODE_PROGRESS);
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed)
+      ? parsed
+      : {};
+  } catch {
+    return {};
+  }
+};
+
+export const getEpisodeProgress = () => getEpisodeProgressRaw();
+
+export const saveEpisodeProgress = (progress) => {
+  storage.set(STORAGE_KEYS.EPISODE_PROGRESS, JSON.stringify(progress));
+};
+
+const countWatchedEpisodes = (entry) =>
+  Object.values(entry?.episodes || {}).reduce(
+    (total, list) => total + (Array.isArray(list) ? list.length : 0),
+    0
+  );
+
+// Regular seasons in airing order; specials (season 0) never drive "next up".
+const getRegularSeasons = (entry) =>
+  (entry?.seasons || [])
+    .filter((season) => Number(season.number) > 0 && Number(season.episodeCount) > 0)
+    .sort((a, b) => a.number - b.number);
+
+// Apply a mutation to one series entry, dropping it once nothing is watched.
+const updateSeriesProgress = (series, mutate) => {
+  const progress = getEpisodeProgressRaw();
+  const key = String(series.id);
+  const entry = progress[key] || {
+    ...toListEntry({ ...series, mediaType: MEDIA_TYPES.TV }),
+    seasons: [],
+    episodes: {},
+  };
+  if (Array.isArray(series.seasons) && series.seasons.length) {
+    entry.seasons = series.seasons.map((season) => ({
+      number: Number(season.number),
+      episodeCount: Number(season.episodeCount) || 0,
+    }));
+  }
+  mutate(entry);
+  entry.updatedAt = Date.now();
+  if (countWatchedEpisodes(entry) > 0) {
+    progress[key] = entry;
+  } else {
+    delete progress[key];
+  }
+  saveEpisodeProgress(progress);
+  return progress[key] || null;
+};
+
+export const getSeriesProgress = (seriesId) =>
+  getEpisodeProgressRaw()[String(seriesId)] || null;
+
+export const isEpisodeWatched = (seriesId, seasonNumber, episodeNumber) => {
+  const entry = getSeriesProgress(seriesId);
+  const list = entry?.episodes?.[String(seasonNumber)] || [];
+  return list.includes(Number(episodeNumber));
+};
+
+// Flip a single episode and return its new watched state.
+export const toggleEpisodeWatched = (series, seasonNumber, episodeNumber) => {
+  if (!series || !series.id) return false;
+  const season = String(seasonNumber);
+  const episode = Number(episodeNumber);
+  let nowWatched = false;
+  updateSeriesProgress(series, (entry) => {
+    const list = entry.episodes[season] || [];
+    nowWatched = !list.includes(episode);
+    const next = nowWatched
+      ? [...list, episode].sort((a, b) => a - b)
+      : list.filter((value) => value !== episode);
+    if (next.length) {
+      entry.episodes[season] = next;
+    } else {
+      delete entry.episodes[season];
+    }
+  });
+  return nowWatched;
+};
+
+// Mark every listed episode of a season as watched (or clear the season).
+export const setSeasonWatched = (series, seasonNumber, episodeNumbers = [], watched = true) => {
+  if (!series || !series.id) return null;
+  const season = String(seasonNumber);
+  const entry = updateSeriesProgress(series, (current) => {
+    if (watched && episodeNumbers.length) {
+      current.episodes[season] = Array.from(
+        new Set(episodeNumbers.map(Number).filter(Number.isFinite))
+      ).sort((a, b) => a - b);
+    } else {
+      delete current.episodes[season];
+    }
+  });
+  showToast(
+    watched
+      ? `Season ${seasonNumber} of "${series.title}" marked as watched.`
+      : `Cleared season ${seasonNumber} of "${series.title}".`,
+    watched ? "success" : "info"
+  );
+  return entry;
+};
+
+// Watched/total counts for one season, e.g. { watched: 4, total: 10, percent: 40 }.
+export const getSeasonCompletion = (seriesId, seasonNumber, episodeCount = 0) => {
+  const entry = getSeriesProgress(seriesId);
+  const watched = (entry?.episodes?.[String(seasonNumber)] || []).length;
+  const total = Math.max(Number(episodeCount) || 0, watched);
+  return {
+    watched,
+    total,
+    percent: total ? Math.round((watched / total) * 100) : 0,
+  };
+};
+
+// e.g. "S01E05" for { seasonNumber: 1, episodeNumber: 5 }.
+export const formatEpisodeCode = ({ seasonNumber, episodeNumber }) =>
+  `S${String(seasonNumber).padStart(2, "0")}E${String(episodeNumber).padStart(2, "0")}`;
+
+// The episode after the furthest one seen, or null when caught up / not started.
+export const getNextEpisode = (entry) => {
+  const seasons = getRegularSeasons(entry);
+  if (!seasons.length || !countWatchedEpisodes(entry)) return null;
+  let furthest = null;
+  seasons.forEach((season) => {
+    const list = entry.episodes?.[String(season.number)] || [];
+    if (list.length) {
+      furthest = { seasonNumber: season.number, episodeNumber: Math.max(...list) };
+    }
+  });
+  if (!furthest) {
+    return { seasonNumber: seasons[0].number, episodeNumber: 1 };
+  }
+  const index = seasons.findIndex((season) => season.number === furthest.seasonNumber);
+  const current = seasons[index];
+  if (furthest.episodeNumber < current.episodeCount) {
+    return {
+      seasonNumber: current.number,
+      episodeNumber: furthest.episodeNumber + 1,
+    };
+  }
+  const following = seasons[index + 1];
+  return following ? { seasonNumber: following.number, episodeNumber: 1 } : null;
+};
+
+// Overall completion across regular seasons for a progress entry.
+export const getSeriesCompletion = (entry) => {
+  const total = getRegularSeasons(entry).reduce(
+    (sum, season) => sum + season.episodeCount,
+    0
+  );
+  const watched = countWatchedEpisodes(entry);
+  return {
+    watched,
+    total,
+    percent: total ? Math.min(100, Math.round((watched / total) * 100)) : 0,
+  };
+};
+
+// Series with an unwatched next episode, most recently updated first.
+export const getContinueWatching = () =>
+  Object.values(getEpisodeProgressRaw())
+    .map((entry) => ({ entry, nextEpisode: getNextEpisode(entry) }))
+    .filter(({ nextEpisode }) => Boolean(nextEpisode))
+    .sort((a, b) => (b.entry.updatedAt || 0) - (a.entry.updatedAt || 0))
+    .map(({ entry, nextEpisode }) => ({
+      id: entry.id,
+      mediaType: MEDIA_TYPES.TV,
+      title: entry.title,
+      poster: entry.poster || MOVIE_PLACEHOLDER,
+      rating: entry.rating,
+      releaseDate: entry.releaseDate,
+      nextEpisode,
+      completion: getSeriesCompletion(entry),
+    }));
+
 let toastId = 0;
 
 // Render toast notifications with optional action buttons and auto-dismissal.
@@ -444,26 +1057,167 @@ export const getStoredTheme = () => {
   return THEMES.dark;
 };
 
-const plannerKey = STORAGE_KEYS.SESSION_PLAN;
-
-export const getSessionPlan = () => {
-  if (!plannerKey) return [];
-  const raw = storage.get(plannerKey);
-  if (!raw) return [];
+// Named session plans; the planner drawer edits the active one:
+// { activeId, plans: [{ id, name, createdAt, updatedAt, archivedAt, items, schedule? }] }
+// `items` are planner entries (see normalizePlannerMovie in app.js),
+// `schedule` is described in scripts/planner-schedule.js and `archivedAt` is
+// null for plans in use. Archived plans keep their items but are never active.
+const getSessionPlansRaw = () => {
+  const empty = { activeId: "", plans: [] };
+  const raw = storage.get(STORAGE_KEYS.SESSION_PLANS);
+  if (!raw) return empty;
   try {
     const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
+    if (!parsed || !Array.isArray(parsed.plans)) return empty;
+    return {
+      activeId: typeof parsed.activeId === "string" ? parsed.activeId : "",
+      plans: parsed.plans,
+    };
   } catch {
-    return [];
+    return empty;
+  }
+};
+
+export const getSessionPlans = () => getSessionPlansRaw();
+
+export const saveSessionPlans = (store) => {
+  storage.set(STORAGE_KEYS.SESSION_PLANS, JSON.stringify(store));
+};
+
+const findActivePlan = ({ activeId, plans }) =>
+  plans.find((plan) => plan.id === activeId && !plan.archivedAt) || null;
+
+export const getActiveSessionPlan = () => findActivePlan(getSessionPlansRaw());
+
+// Items of the active plan.
+export const getSessionPlan = () => getActiveSessionPlan()?.items || [];
+
+// Replace the active plan's items. Queueing with no active plan starts one.
+export const saveSessionPlan = (items = []) => {
+  const store = getSessionPlansRaw();
+  const active = findActivePlan(store);
+  if (!active) {
+    if (items.length) createSessionPlan(DEFAULT_PLAN_NAME, items);
+    return;
+  }
+  saveSessionPlans({
+    ...store,
+    plans: store.plans.map((plan) =>
+      plan.id === active.id ? { ...plan, items, updatedAt: Date.now() } : plan
+    ),
+  });
+};
+
+export const clearSessionPlan = () => saveSessionPlan([]);
+
+// Start a plan and make it active. Returns the plan, or null when the name
+// is blank.
+export const createSessionPlan = (name, items = []) => {
+  const label = toListName(name);
+  if (!label) return null;
+  const now = Date.now();
+  const plan = {
+    id: createLocalId("plan"),
+    name: label,
+    createdAt: now,
+    updatedAt: now,
+    archivedAt: null,
+    items,
+  };
+  saveSessionPlans({ activeId: plan.id, plans: [...getSessionPlansRaw().plans, plan] });
+  return plan;
+};
+
+// Apply `transform` to one plan and persist. The helpers below return the
+// updated store ({ activeId, plans }), or null when the plan is unknown.
+const editSessionPlan = (planId, transform) => {
+  const store = getSessionPlansRaw();
+  if (!store.plans.some((plan) => plan.id === planId)) return null;
+  const next = {
+    ...store,
+    plans: store.plans.map((plan) =>
+      plan.id === planId ? { ...transform(plan), updatedAt: Date.now() } : plan
+    ),
+  };
+  saveSessionPlans(next);
+  return next;
+};
+
+// The first plan still in use, for when the active one goes away.
+const withFallbackPlan = (store) =>
+  findActivePlan(store)
+    ? store
+    : { ...store, activeId: store.plans.find((plan) => !plan.archivedAt)?.id || "" };
+
+export const renameSessionPlan = (planId, name) => {
+  const label = toListName(name);
+  return label ? editSessionPlan(planId, (plan) => ({ ...plan, name: label })) : null;
+};
+
+// Copy a plan and its schedule as "<name> (copy)" and switch to the copy.
+export const duplicateSessionPlan = (planId) => {
+  const source = getSessionPlansRaw().plans.find((plan) => plan.id === planId);
+  if (!source) return null;
+  const copy = createSessionPlan(
+    `${source.name} (copy)`,
+    (source.items || []).map((item) => ({ ...item }))
+  );
+  if (copy && source.schedule) {
+    editSessionPlan(copy.id, (plan) => ({ ...plan, schedule: { ...source.schedule } }));
   }
+  return getSessionPlansRaw();
+};
+
+// Rewrite one plan's items with `transform(items)`, active or not.
+export const updateSessionPlanItems = (planId, transform) =>
+  editSessionPlan(planId, (plan) => ({ ...plan, items: transform([...(plan.items || [])]) }));
+
+// Schedule of the active plan, or null when it has none.
+export const getSessionPlanSchedule = () => getActiveSessionPlan()?.schedule || null;
+
+// Scheduling with no plan active starts one.
+export const saveSessionPlanSchedule = (schedule) => {
+  const active = getActiveSessionPlan() || createSessionPlan(DEFAULT_PLAN_NAME);
+  editSessionPlan(active.id, (plan) => ({ ...plan, schedule }));
+};
+
+// Switch the planner to a plan, restoring it first when archived.
+export const setActiveSessionPlan = (planId) => {
+  const next = editSessionPlan(planId, (plan) => ({ ...plan, archivedAt: null }));
+  if (!next) return null;
+  const store = { ...next, activeId: planId };
+  saveSessionPlans(store);
+  return store;
+};
+
+// Archiving the active plan hands over to the next plan in use.
+export const archiveSessionPlan = (planId) => {
+  const next = editSessionPlan(planId, (plan) => ({ ...plan, archivedAt: Date.now() }));
+  if (!next) return null;
+  const store = withFallbackPlan(next);
+  saveSessionPlans(store);
+  return store;
 };
 
-export const saveSessionPlan = (plan = []) => {
-  storage.set(plannerKey, JSON.stringify(plan));
+export const deleteSessionPlan = (planId) => {
+  const current = getSessionPlansRaw();
+  const store = withFallbackPlan({
+    ...current,
+    plans: current.plans.filter((plan) => plan.id !== planId),
+  });
+  saveSessionPlans(store);
+  return store;
+};
+
+// Storage schema v3 and earlier kept one queue under STORAGE_KEYS.SESSION_PLAN;
+// the v4 migration turns it into the first named plan.
+export const getLegacySessionPlan = () => {
+  const legacy = getFlag(STORAGE_KEYS.SESSION_PLAN);
+  return Array.isArray(legacy) ? legacy : [];
 };
 
-export const clearSessionPlan = () => {
-  storage.remove(plannerKey);
+export const clearLegacySessionPlan = () => {
+  storage.remove(STORAGE_KEYS.SESSION_PLAN);
 };
 
 // Generic small helpers for persistent flags (tutorials, feature toggles)
@@ -487,6 +1241,42 @@ export const setFlag = (key, value) => {
   }
 };
 
+// Save generated text (backups, exports) through a temporary download link.
+export const downloadFile = (filename, contents, type = "text/plain") => {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = createEl("a");
+  link.href = url;
+  link.download = filename;
+  link.style.display = "none";
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Let the user choose a local file; resolves to { name, text }, or null when
+// the picker is dismissed.
+export const pickTextFile = (accept = "") =>
+  new Promise((resolve, reject) => {
+    const input = createEl("input");
+    input.type = "file";
+    input.accept = accept;
+    input.addEventListener("cancel", () => resolve(null));
+    input.addEventListener("change", async () => {
+      const [file] = input.files || [];
+      if (!file) {
+        resolve(null);
+        return;
+      }
+      try {
+        resolve({ name: file.name, text: await file.text() });
+      } catch (error) {
+        reject(error);
+      }
+    });
+    input.click();
+  });
+
 const loadedStylesheets = new Set();
 
 export const loadStylesheetOnce = (href) => {
@@ -621,6 +1411,25 @@ export const triggerSoftHaptic = (element) => {
   }
 };
 
+// Format a byte count as B / KB / MB.
+export const formatBytes = (bytes) => {
+  const value = Number(bytes) || 0;
+  if (value < 1024) return `${value} B`;
+  if (value < 1024 * 1024) return `${(value / 1024).toFixed(1)} KB`;
+  return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Format a duration in ms as a short age such as "45s", "12m" or "3h".
+export const formatDuration = (ms) => {
+  const seconds = Math.max(0, Math.round((Number(ms) || 0) / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours}h`;
+  return `${Math.round(hours / 24)}d`;
+};
+
 // Format runtime minutes into a readable `Hh Mm` string.
 export const formatRuntime = (minutes) => {
   const total = Number.isFinite(Number(minutes)) ? Number(minutes) : 0;
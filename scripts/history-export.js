@@ -0,0 +1,118 @@
+// CSV export of the watched list and favorites.
+//
+// Two layouts:
+//   letterboxd  Title, Year, tmdbID, WatchedDate, Rating — the columns
+//               Letterboxd's importer reads (letterboxd.com/import). Watched
+//               movies only: Letterboxd does not track series, and it logs
+//               every imported row as seen, so favorites are left out.
+//   generic     one row per list entry with list, media type, TMDB id,
+//               title, year, release date, watch date, both ratings, the
+//               personal note and tags.
+//
+// Personal ratings, notes and tags come from their own stores, joined by
+// media key. In the generic layout, text cells that a spreadsheet would run
+// as a formula (leading =, +, - or @) are prefixed with an apostrophe; the
+// Letterboxd file is left verbatim, since Letterboxd matches on the exact
+// title.
+
+import { toCsv } from "./csv.js";
+import {
+  getWatched,
+  getFavorites,
+  getPersonalRatings,
+  getTags,
+  getMediaType,
+  buildMediaKey,
+} from "./helpers.js";
+import { MEDIA_TYPES, CSV_EXPORT_LAYOUTS } from "./constants.js";
+
+const LETTERBOXD_HEADERS = ["Title", "Year", "tmdbID", "WatchedDate", "Rating"];
+const GENERIC_HEADERS = [
+  "list",
+  "media_type",
+  "tmdb_id",
+  "title",
+  "year",
+  "release_date",
+  "watched_date",
+  "user_rating",
+  "tmdb_rating",
+  "user_note",
+  "tags",
+];
+
+const toYear = (releaseDate) => {
+  const year = String(releaseDate || "").slice(0, 4);
+  return /^\d{4}$/.test(year) ? year : "";
+};
+
+const toDate = (releaseDate) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(String(releaseDate || "")) ? releaseDate : "";
+
+// Numbers are left alone so negative values stay numeric.
+const guardFormula = (value) =>
+  typeof value === "string" && /^[=+\-@]/.test(value) ? `'${value}` : value;
+
+const guardRecord = (record) =>
+  Object.fromEntries(Object.entries(record).map(([key, value]) => [key, guardFormula(value)]));
+
+const toRating = (value) =>
+  Number.isFinite(Number(value)) && value !== null && value !== "" ? Number(value) : "";
+
+const toLetterboxdRecords = ({ watched }, ratings) =>
+  watched
+    .filter((item) => getMediaType(item) === MEDIA_TYPES.MOVIE)
+    .map((item) => ({
+      Title: item.title,
+      Year: toYear(item.releaseDate),
+      tmdbID: item.id,
+      WatchedDate: item.watchedAt || "",
+      Rating: toRating(ratings[buildMediaKey(item.id, MEDIA_TYPES.MOVIE)]?.userRating),
+    }));
+
+// Tags are joined with "; " since they may contain commas.
+const toGenericRecords = ({ watched, favorites }, ratings, tags) => {
+  const toRecord = (list) => (item) => {
+    const key = buildMediaKey(item.id, getMediaType(item));
+    const personal = ratings[key] || {};
+    return {
+      list,
+      media_type: getMediaType(item),
+      tmdb_id: item.id,
+      title: item.title,
+      year: toYear(item.releaseDate),
+      release_date: toDate(item.releaseDate),
+      watched_date: item.watchedAt || "",
+      user_rating: toRating(personal.userRating),
+      tmdb_rating: toRating(item.rating),
+      user_note: personal.note || "",
+      tags: (tags[key]?.tags || []).join("; "),
+    };
+  };
+  return [...watched.map(toRecord("watched")), ...favorites.map(toRecord("favorites"))];
+};
+
+// Build { filename, contents, count } for the chosen layout and lists.
+// `favorites` only applies to the generic layout.
+export const buildHistoryCsv = ({
+  layout = CSV_EXPORT_LAYOUTS.LETTERBOXD,
+  watched = true,
+  favorites: includeFavorites = false,
+} = {}) => {
+  const letterboxd = layout === CSV_EXPORT_LAYOUTS.LETTERBOXD;
+  const favorites = includeFavorites && !letterboxd;
+  const lists = {
+    watched: watched ? getWatched() : [],
+    favorites: favorites ? getFavorites() : [],
+  };
+  const ratings = getPersonalRatings();
+  const records = letterboxd
+    ? toLetterboxdRecords(lists, ratings)
+    : toGenericRecords(lists, ratings, getTags()).map(guardRecord);
+  const scope = [watched && "watched", favorites && "favorites"].filter(Boolean).join("-");
+  return {
+    filename: `movievault-${scope}-${layout}-${new Date().toISOString().slice(0, 10)}.csv`,
+    contents: toCsv(letterboxd ? LETTERBOXD_HEADERS : GENERIC_HEADERS, records),
+    count: records.length,
+  };
+};
@@ -0,0 +1,298 @@
+// Import watch history from Letterboxd and IMDb CSV exports.
+//
+// Supported files:
+//   Letterboxd  diary.csv    Date, Name, Year, Letterboxd URI, Rating, Rewatch, Tags, Watched Date
+//               ratings.csv  Date, Name, Year, Letterboxd URI, Rating (0.5–5)
+//               watched.csv  Date, Name, Year, Letterboxd URI
+//               likes/films.csv  same columns as watched.csv; defaults to favorites
+//   IMDb        ratings.csv  Const, Your Rating (1–10), Date Rated, Title, Title Type, Year, …
+//               list/watchlist exports  Position, Const, Created, Title, Title Type, Year, …
+//               (favorites only: a list is not a record of viewings, and
+//               `Created` is when the title was listed, not watched)
+//
+// Rows are resolved to TMDB ids by searching for the title within the row's
+// release year (plain title search when that finds nothing or there is no
+// year) and comparing title and year. Only one exact title match is
+// accepted; anything else comes back as "ambiguous" (with candidates for the
+// user to pick from) or "unmatched".
+// Ratings land in the personal ratings store on the 0.5–5 scale (titles the
+// user already rated keep their rating); watch dates become viewings in the
+// watch diary, so every dated diary row, rewatches included, is kept.
+
+import { searchMovies } from "./api.js";
+import { parseCsv } from "./csv.js";
+import {
+  getWatched,
+  saveWatched,
+  getFavorites,
+  saveFavorites,
+  toListEntry,
+  withViewings,
+  createViewing,
+  buildMediaKey,
+  getMediaType,
+  getPersonalRating,
+  setPersonalRating,
+} from "./helpers.js";
+
+const MATCH_CONCURRENCY = 3;
+const MAX_CANDIDATES = 6;
+// IMDb title types that TMDB lists as movies, lower-cased without spaces
+// (older exports say "tvMovie", newer ones "TV Movie").
+const IMDB_MOVIE_TYPES = ["movie", "tvmovie", "video", "short", "tvshort"];
+
+const createImportError = (message) => {
+  const error = new Error(message);
+  error.name = "HistoryImportError";
+  return error;
+};
+
+// Which export a header row belongs to; `likes` is only visible in the name.
+// `favoritesOnly` sources carry no watch history at all.
+const detectSource = (headers, filename = "") => {
+  const has = (...names) => names.every((name) => headers.includes(name));
+  if (has("Name", "Year", "Letterboxd URI")) {
+    if (has("Watched Date")) {
+      return { id: "letterboxd-diary", label: "Letterboxd diary", favorites: false };
+    }
+    if (has("Rating")) {
+      return { id: "letterboxd-ratings", label: "Letterboxd ratings", favorites: false };
+    }
+    if (/like/i.test(filename)) {
+      return { id: "letterboxd-likes", label: "Letterboxd likes", favorites: true };
+    }
+    return { id: "letterboxd-watched", label: "Letterboxd watched films", favorites: false };
+  }
+  if (has("Const", "Title")) {
+    return has("Your Rating")
+      ? { id: "imdb-ratings", label: "IMDb ratings", favorites: false }
+      : { id: "imdb-list", label: "IMDb list", favorites: true, favoritesOnly: true };
+  }
+  return null;
+};
+
+// Accept YYYY-MM-DD (Letterboxd, IMDb) and anything Date can read; returns
+// YYYY-MM-DD or "".
+const toIsoDate = (value) => {
+  if (!value) return "";
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? "" : date.toISOString().slice(0, 10);
+};
+
+// Snap to the 0.5–5 star scale; IMDb's 1–10 ratings are halved.
+const toStarRating = (value, scale = 5) => {
+  const number = Number(value);
+  if (!value || !Number.isFinite(number) || number <= 0) return null;
+  const stars = scale === 10 ? number / 2 : number;
+  return Math.min(5, Math.max(0.5, Math.round(stars * 2) / 2));
+};
+
+const withWatchDates = (row) => ({
+  ...row,
+  watchDates: row.watchedAt ? [row.watchedAt] : [],
+});
+
+const toRow = (record, source) => {
+  if (source.id.startsWith("imdb")) {
+    return withWatchDates({
+      title: record.Title,
+      year: Number(record.Year) || null,
+      watchedAt: toIsoDate(record["Date Rated"]),
+      userRating: toStarRating(record["Your Rating"], 10),
+      titleType: (record["Title Type"] || "movie").toLowerCase().replace(/\s+/g, ""),
+    });
+  }
+  return withWatchDates({
+    title: record.Name,
+    year: Number(record.Year) || null,
+    watchedAt:
+      source.id === "letterboxd-likes" ? "" : toIsoDate(record["Watched Date"] || record.Date),
+    userRating: toStarRating(record.Rating),
+    titleType: "movie",
+  });
+};
+
+const normalizeTitle = (title) =>
+  String(title || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const rowKey = (row) => `${normalizeTitle(row.title)}|${row.year || ""}`;
+
+// Parse an export into { source, rows, skipped }. Diary rewatches collapse
+// into one row carrying the latest watch date and rating plus every distinct
+// date in `watchDates`; rows that are not movies (IMDb series, episodes) are
+// counted in `skipped`.
+export const parseHistoryCsv = (text, filename = "") => {
+  const { headers, records } = parseCsv(text);
+  const source = detectSource(headers, filename);
+  if (!source) {
+    throw createImportError(
+      "That CSV doesn't look like a Letterboxd or IMDb export."
+    );
+  }
+  const rows = new Map();
+  let skipped = 0;
+  records.forEach((record) => {
+    const row = toRow(record, source);
+    if (!row.title || !IMDB_MOVIE_TYPES.includes(row.titleType)) {
+      skipped += 1;
+      return;
+    }
+    const key = rowKey(row);
+    const existing = rows.get(key);
+    if (!existing) {
+      rows.set(key, row);
+      return;
+    }
+    const [latest, earlier] = row.watchedAt >= existing.watchedAt ? [row, existing] : [existing, row];
+    rows.set(key, {
+      ...latest,
+      userRating: latest.userRating ?? earlier.userRating,
+      watchDates: Array.from(new Set([...earlier.watchDates, ...latest.watchDates])).sort(),
+    });
+  });
+  if (!rows.size) {
+    throw createImportError("That export has no movies to import.");
+  }
+  return { source, rows: Array.from(rows.values()), skipped };
+};
+
+const releaseYear = (movie) => Number(String(movie.releaseDate || "").slice(0, 4)) || null;
+
+// Classify search results for one row as matched, ambiguous or unmatched.
+const resolveRow = (row, results) => {
+  if (!results.length) {
+    return { row, status: "unmatched", match: null, candidates: [] };
+  }
+  const title = normalizeTitle(row.title);
+  const sameTitle = (movie) => normalizeTitle(movie.title) === title;
+  const sameYear = row.year
+    ? results.filter((movie) => releaseYear(movie) === row.year)
+    : results;
+  const exact = sameYear.filter(sameTitle);
+  // A lone same-year hit under another title is often a translated title,
+  // but just as often a different film, so it is offered, not accepted.
+  if (exact.length === 1) {
+    return { row, status: "matched", match: exact[0], candidates: [] };
+  }
+  // Festival vs. theatrical dates often differ by a year, so offer near years
+  // first when nothing lines up exactly.
+  const nearYear = row.year
+    ? results.filter((movie) => Math.abs((releaseYear(movie) || 0) - row.year) <= 1)
+    : [];
+  const pool = [exact, sameYear, nearYear, results].find((list) => list.length);
+  return {
+    row,
+    status: "ambiguous",
+    match: null,
+    candidates: pool.slice(0, MAX_CANDIDATES),
+  };
+};
+
+// Search within the row's year first: older films with common titles rarely
+// make the first page of a plain title search. Unless that finds the exact
+// title, the plain search is merged in so near-year releases are offered.
+const searchRow = async (row, signal) => {
+  let byYear = [];
+  if (row.year) {
+    const response = await searchMovies(row.title, 1, { signal, year: row.year });
+    byYear = response.results || [];
+    const title = normalizeTitle(row.title);
+    if (byYear.some((movie) => normalizeTitle(movie.title) === title)) return byYear;
+  }
+  const response = await searchMovies(row.title, 1, { signal });
+  const seen = new Set(byYear.map((movie) => movie.id));
+  return [...byYear, ...(response.results || []).filter((movie) => !seen.has(movie.id))];
+};
+
+// Resolve every row against TMDB, a few at a time. `onProgress(done, total)`
+// fires after each row; aborting `signal` stops the remaining lookups.
+export const matchHistoryRows = async (rows, { signal, onProgress } = {}) => {
+  const results = new Array(rows.length);
+  let next = 0;
+  let done = 0;
+  const worker = async () => {
+    while (next < rows.length) {
+      const index = next;
+      next += 1;
+      const row = rows[index];
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        results[index] = resolveRow(row, await searchRow(row, signal));
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn("History import lookup failed", row.title, error);
+        results[index] = { row, status: "unmatched", match: null, candidates: [], error };
+      }
+      done += 1;
+      if (typeof onProgress === "function") onProgress(done, rows.length);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(MATCH_CONCURRENCY, rows.length) }, worker)
+  );
+  return results;
+};
+
+// Add the row's watch dates to an entry's diary. Days already logged are
+// skipped and an undated viewing takes the first new date, so re-importing
+// or dating an old entry does not invent rewatches. Returns `entry` itself
+// when nothing changes.
+const withHistory = (entry, row) => {
+  let viewings = entry.viewings || [];
+  const dates = row.watchDates.filter((date) => !viewings.some((viewing) => viewing.date === date));
+  if (!dates.length && viewings.length) return entry;
+  dates.forEach((date) => {
+    const undated = viewings.find((viewing) => !viewing.date);
+    viewings = undated
+      ? viewings.map((viewing) => (viewing === undated ? { ...viewing, date } : viewing))
+      : [...viewings, createViewing(date)];
+  });
+  return withViewings(entry, viewings.length ? viewings : [createViewing("")]);
+};
+
+// Add resolved rows ([{ row, movie }]) to the watched list and/or favorites
+// and record their ratings. Titles already on the watched list gain any
+// viewings they are missing.
+export const applyHistoryImport = (resolved, { watched = true, favorites = false } = {}) => {
+  const summary = { watchedAdded: 0, favoritesAdded: 0, updated: 0, rated: 0 };
+  const upsert = (list, { recordHistory, counter }) => {
+    const byKey = new Map(list.map((item) => [buildMediaKey(item.id, getMediaType(item)), item]));
+    resolved.forEach(({ row, movie }) => {
+      const key = buildMediaKey(movie.id, getMediaType(movie));
+      const existing = byKey.get(key);
+      if (existing) {
+        if (recordHistory) {
+          const updated = withHistory(existing, row);
+          if (updated !== existing) {
+            summary.updated += 1;
+          }
+          byKey.set(key, updated);
+        }
+        return;
+      }
+      const entry = toListEntry(movie);
+      byKey.set(key, recordHistory ? withHistory(entry, row) : entry);
+      summary[counter] += 1;
+    });
+    return Array.from(byKey.values());
+  };
+  if (watched) {
+    saveWatched(upsert(getWatched(), { recordHistory: true, counter: "watchedAdded" }));
+  }
+  if (favorites) {
+    saveFavorites(upsert(getFavorites(), { recordHistory: false, counter: "favoritesAdded" }));
+  }
+  resolved.forEach(({ row, movie }) => {
+    if (!row.userRating || getPersonalRating(movie.id, getMediaType(movie))?.userRating) return;
+    setPersonalRating(movie, { userRating: row.userRating });
+    summary.rated += 1;
+  });
+  return summary;
+};
@@ -0,0 +1,76 @@
+// Shareable session plan links.
+//
+// A plan travels in the URL fragment as `#/plan/<payload>` (see router.js),
+// the payload being a query string such as
+//
+//   i=fa.gr.kzp&s=202610232000&b=15&n=Friday+marathon
+//
+//   i  movie ids in queue order, base 36, dot-separated
+//   s  start time as local YYYYMMDDHHMM (optional)
+//   b  break between titles in minutes (only with s)
+//   n  plan name (optional)
+//
+// Only ids travel; whoever opens the link fetches the titles from TMDB.
+
+import { MAX_PLANNER_ITEMS, LIST_NAME_MAX_LENGTH } from "./constants.js";
+import { normalizePlanSchedule } from "./planner-schedule.js";
+
+const START_PATTERN = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})$/;
+
+// Payload for a plan ({ name, items, schedule }); items need only an `id`.
+export const encodePlanShare = ({ name = "", items = [], schedule = null } = {}) => {
+  const params = new URLSearchParams();
+  params.set("i", items.map((item) => Number(item.id).toString(36)).join("."));
+  const { startAt, intermission } = normalizePlanSchedule(schedule);
+  if (startAt) {
+    params.set("s", startAt.replace(/\D/g, ""));
+    params.set("b", String(intermission));
+  }
+  if (name) {
+    params.set("n", name);
+  }
+  return params.toString();
+};
+
+// Some apps percent-encode the whole fragment when passing a link on.
+const unwrapPayload = (payload) => {
+  const text = String(payload || "");
+  if (text.includes("=")) return text;
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+};
+
+// Read a payload back into { ids, name, schedule }, or null when it holds no
+// usable movie id. Repeated ids are dropped and at most MAX_PLANNER_ITEMS
+// are kept; `schedule` is null without a valid start time.
+export const decodePlanShare = (payload) => {
+  const params = new URLSearchParams(unwrapPayload(payload));
+  const ids = Array.from(
+    new Set(
+      (params.get("i") || "")
+        .split(".")
+        .filter((value) => /^[0-9a-z]+$/.test(value))
+        .map((value) => parseInt(value, 36))
+        .filter((id) => Number.isSafeInteger(id) && id > 0)
+    )
+  ).slice(0, MAX_PLANNER_ITEMS);
+  if (!ids.length) return null;
+  const start = START_PATTERN.exec(params.get("s") || "");
+  const schedule = start
+    ? normalizePlanSchedule({
+        startAt: `${start[1]}-${start[2]}-${start[3]}T${start[4]}:${start[5]}`,
+        intermission: params.get("b"),
+      })
+    : null;
+  return {
+    ids,
+    name: String(params.get("n") || "")
+      .trim()
+      .replace(/\s+/g, " ")
+      .slice(0, LIST_NAME_MAX_LENGTH),
+    schedule: schedule?.startAt ? schedule : null,
+  };
+};
@@ -0,0 +1,115 @@
+// Marathon timeline for a session plan.
+//
+// A plan may carry a schedule:
+//
+//   { startAt: "2026-10-23T20:00", intermission: 15, bedtime: "23:30" }
+//
+// `startAt` is a local date and time as produced by <input type="datetime-local">
+// ("" while the plan is unscheduled), `intermission` the break in minutes
+// between titles and `bedtime` an optional local clock time. A bedtime at or
+// before the start's clock time means the following night.
+
+import {
+  PLANNER_INTERMISSION_OPTIONS,
+  DEFAULT_PLANNER_INTERMISSION,
+  PLANNER_FALLBACK_RUNTIME,
+} from "./constants.js";
+
+const LOCAL_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTE = 60 * 1000;
+
+// Coerce a stored schedule into a complete one; anything unreadable falls
+// back to "unscheduled" with the default break.
+export const normalizePlanSchedule = (schedule) => {
+  const value = schedule && typeof schedule === "object" ? schedule : {};
+  const intermission = Number(value.intermission);
+  return {
+    startAt:
+      LOCAL_DATE_TIME.test(value.startAt) && !Number.isNaN(new Date(value.startAt).getTime())
+        ? value.startAt
+        : "",
+    intermission: PLANNER_INTERMISSION_OPTIONS.includes(intermission)
+      ? intermission
+      : DEFAULT_PLANNER_INTERMISSION,
+    bedtime: CLOCK_TIME.test(value.bedtime) ? value.bedtime : "",
+  };
+};
+
+// The first `clock` (HH:MM) after `start`.
+const resolveBedtime = (start, clock) => {
+  const [hours, minutes] = clock.split(":").map(Number);
+  const bedtime = new Date(start);
+  bedtime.setHours(hours, minutes, 0, 0);
+  if (bedtime <= start) bedtime.setDate(bedtime.getDate() + 1);
+  return bedtime;
+};
+
+// Lay planner entries out from the schedule's start. Returns null while the
+// plan has no start time, otherwise
+//
+//   { start, end, bedtime, overrun, entries }
+//
+// where `entries` alternates { type: "title", item, start, end, runtime,
+// estimated, late } and { type: "intermission", start, end, minutes }, all
+// times are Dates, `bedtime` is null without one and `overrun` counts the
+// minutes the session runs past it. Titles without a known runtime are
+// given PLANNER_FALLBACK_RUNTIME and flagged `estimated`.
+export const buildPlanTimeline = (items = [], schedule = null) => {
+  const { startAt, intermission, bedtime } = normalizePlanSchedule(schedule);
+  if (!startAt) return null;
+  const start = new Date(startAt);
+  const bedtimeAt = bedtime ? resolveBedtime(start, bedtime) : null;
+  const entries = [];
+  let cursor = start.getTime();
+  items.forEach((item, index) => {
+    if (index > 0 && intermission) {
+      const breakEnd = cursor + intermission * MINUTE;
+      entries.push({
+        type: "intermission",
+        start: new Date(cursor),
+        end: new Date(breakEnd),
+        minutes: intermission,
+      });
+      cursor = breakEnd;
+    }
+    const known = Number(item.runtime) > 0;
+    const runtime = known ? Number(item.runtime) : PLANNER_FALLBACK_RUNTIME;
+    const end = cursor + runtime * MINUTE;
+    entries.push({
+      type: "title",
+      item,
+      start: new Date(cursor),
+      end: new Date(end),
+      runtime,
+      estimated: !known,
+      late: Boolean(bedtimeAt) && end > bedtimeAt.getTime(),
+    });
+    cursor = end;
+  });
+  return {
+    start,
+    end: new Date(cursor),
+    bedtime: bedtimeAt,
+    overrun: bedtimeAt ? Math.max(0, Math.round((cursor - bedtimeAt.getTime()) / MINUTE)) : 0,
+    entries,
+  };
+};
+
+// e.g. "Fri 23 Oct, 20:00" for a schedule's `startAt`.
+export const formatPlanStart = (startAt) =>
+  new Date(startAt).toLocaleString(undefined, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// "21:40", or "Sat 01:15" once the timeline has crossed into another day.
+export const formatTimelineTime = (date, start = date) => {
+  const time = date.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  return date.toDateString() === start.toDateString()
+    ? time
+    : `${date.toLocaleDateString(undefined, { weekday: "short" })} ${time}`;
+};
@@ -0,0 +1,73 @@
+// Data-provider registry for MovieVault.
+//
+// A provider supplies raw TMDB-shaped payloads; `api.js` maps them into card
+// data, so swapping providers never touches the UI or `app.js`. Every provider
+// implements:
+//
+//   id, label
+//   isReady()                                  -> boolean (credentials, etc.)
+//   getFeed(feed, { page, signal, onRevalidate }) -> { page, total_pages, results }
+//       feed: trending | popular | top_rated | upcoming | tv | tv_popular | tv_top_rated
+//   search(kind, { query, page, year, signal }) -> { page, total_pages, results }
+//       kind: movie | tv | person | collection
+//       year: optional primary release year, movie searches only
+//   discover({ genres, page, signal, onRevalidate }) -> { page, total_pages, results }
+//   getDetails(kind, id, { signal, onRevalidate }) -> TMDB detail object
+//       kind: movie | tv | person | collection (movie/tv include videos + credits)
+//   getSeason(seriesId, seasonNumber, { signal }) -> { season_number, episodes }
+//   getFilmography(personId, { signal })       -> { cast }
+//   getRecommendations(movieId, { page, signal }) -> { page, total_pages, results }
+//   getGenres({ signal })                      -> { genres }
+//
+// `signal` is an optional AbortSignal; a provider should reject with an
+// AbortError once it fires so superseded requests never reach the UI.
+// `onRevalidate(payload)` is optional: a provider that serves stale cached
+// data calls it with the refreshed payload once it arrives. Providers without
+// a cache can ignore it.
+
+import { DATA_PROVIDERS } from "./constants.js";
+import { getSettings } from "./helpers.js";
+
+export const PROVIDER_METHODS = [
+  "isReady",
+  "getFeed",
+  "search",
+  "discover",
+  "getDetails",
+  "getSeason",
+  "getFilmography",
+  "getRecommendations",
+  "getGenres",
+];
+
+const providers = new Map();
+
+export const registerProvider = (provider) => {
+  const missing = PROVIDER_METHODS.filter(
+    (method) => typeof provider?.[method] !== "function"
+  );
+  if (!provider?.id || missing.length) {
+    throw new Error(
+      `Invalid data provider "${provider?.id || "unknown"}": missing ${missing.join(", ")}`
+    );
+  }
+  providers.set(provider.id, provider);
+};
+
+export const listProviders = () =>
+  Array.from(providers.values(), ({ id, label }) => ({ id, label }));
+
+// `?provider=fixtures` in the page URL overrides the saved setting, which keeps
+// demos and automated tests independent of whatever a browser has stored.
+const getRequestedProviderId = () => {
+  try {
+    const fromQuery = new URLSearchParams(window.location.search).get("provider");
+    if (fromQuery && providers.has(fromQuery)) return fromQuery;
+  } catch {
+    // Fall through to the saved setting.
+  }
+  return getSettings().dataProvider;
+};
+
+export const getActiveProvider = () =>
+  providers.get(getRequestedProviderId()) || providers.get(DATA_PROVIDERS.TMDB);
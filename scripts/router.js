@@ -0,0 +1,154 @@
+// Hash-based router that mirrors MovieVault browse state and modals in the URL.
+//
+// Supported routes:
+//   #/trending, #/popular, #/top_rated, #/upcoming   -> category feeds
+//   #/tv, #/tv_popular, #/tv_top_rated                -> TV series feeds
+//   #/genre/28,12                                     -> stacked genre filters
+//   #/search/dune                                     -> search results
+//   #/tag/comfort%20watch                             -> titles with one tag
+//   #/movie/438631, #/collection/10, #/person/287     -> modal deep links
+//   #/series/1396
+//   #/plan/i=fa.gr&s=202610232000                    -> shared session plan (see plan-share.js)
+
+import { DEFAULT_CATEGORY } from "./constants.js";
+
+export const BROWSE_CATEGORIES = [
+  "trending",
+  "popular",
+  "top_rated",
+  "upcoming",
+  "tv",
+  "tv_popular",
+  "tv_top_rated",
+];
+const MODAL_ROUTES = ["movie", "series", "collection", "person"];
+
+let currentHash = "";
+let routerStarted = false;
+
+const defaultRoute = () => ({ name: "category", category: DEFAULT_CATEGORY });
+
+const safeDecode = (value = "") => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+// Translate a location hash into a route descriptor, falling back to the default feed.
+export const parseRoute = (hash = window.location.hash) => {
+  const path = String(hash || "").replace(/^#\/?/, "");
+  const [segment = "", ...rest] = path.split("/");
+  const value = rest.join("/");
+
+  if (segment === "genre") {
+    const genres = safeDecode(value)
+      .split(",")
+      .map((id) => id.trim())
+      .filter((id) => /^\d+$/.test(id));
+    return genres.length ? { name: "genre", genres: Array.from(new Set(genres)) } : defaultRoute();
+  }
+  if (segment === "search") {
+    const query = safeDecode(value).trim();
+    return query ? { name: "search", query } : defaultRoute();
+  }
+  if (segment === "tag") {
+    const tag = safeDecode(value).trim();
+    return tag ? { name: "tag", tag } : defaultRoute();
+  }
+  if (MODAL_ROUTES.includes(segment)) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? { name: segment, id } : defaultRoute();
+  }
+  if (BROWSE_CATEGORIES.includes(segment)) {
+    return { name: "category", category: segment };
+  }
+  // The payload stays encoded; plan-share.js reads it as a query string.
+  if (segment === "plan" && value) {
+    return { name: "plan", share: value };
+  }
+  return defaultRoute();
+};
+
+// Serialise a route descriptor back into a canonical `#/...` hash.
+export const buildRouteHash = (route = {}) => {
+  switch (route.name) {
+    case "genre": {
+      const genres = (route.genres || []).map((id) => String(id)).filter(Boolean);
+      return genres.length ? `#/genre/${genres.join(",")}` : `#/${DEFAULT_CATEGORY}`;
+    }
+    case "search": {
+      const query = String(route.query || "").trim();
+      return query ? `#/search/${encodeURIComponent(query)}` : `#/${DEFAULT_CATEGORY}`;
+    }
+    case "tag": {
+      const tag = String(route.tag || "").trim();
+      return tag ? `#/tag/${encodeURIComponent(tag)}` : `#/${DEFAULT_CATEGORY}`;
+    }
+    case "movie":
+    case "series":
+    case "collection":
+    case "person":
+      return `#/${route.name}/${route.id}`;
+    case "plan":
+      return route.share ? `#/plan/${route.share}` : `#/${DEFAULT_CATEGORY}`;
+    default:
+      return `#/${BROWSE_CATEGORIES.includes(route.category) ? route.category : DEFAULT_CATEGORY}`;
+  }
+};
+
+export const isModalRoute = (route) => Boolean(route) && MODAL_ROUTES.includes(route.name);
+
+export const getCurrentRoute = () => parseRoute(window.location.hash);
+
+// Number of consecutive modal entries pushed on top of the last browse entry.
+const getModalDepth = () => {
+  const depth = Number(window.history.state?.movievaultModalDepth);
+  return Number.isInteger(depth) && depth > 0 ? depth : 0;
+};
+
+// Push (or replace) a route without triggering the route change handler.
+export const navigate = (route, { replace = false } = {}) => {
+  const hash = buildRouteHash(route);
+  if (hash === window.location.hash) return false;
+  const previousDepth = getModalDepth();
+  const modalDepth = isModalRoute(route)
+    ? previousDepth + (replace ? 0 : 1)
+    : 0;
+  try {
+    window.history[replace ? "replaceState" : "pushState"](
+      { movievaultModalDepth: modalDepth },
+      "",
+      hash
+    );
+  } catch (error) {
+    console.warn("Router history update failed", error);
+    return false;
+  }
+  currentHash = window.location.hash;
+  return true;
+};
+
+// Step back past every stacked modal entry; replace the URL when none were pushed.
+export const leaveModalRoute = (fallbackRoute = defaultRoute()) => {
+  const depth = getModalDepth();
+  if (depth > 0) {
+    window.history.go(-depth);
+    return;
+  }
+  navigate(fallbackRoute, { replace: true });
+};
+
+// Listen for back/forward and manual hash edits. App-initiated navigations are
+// written via the History API and therefore never reach the handler.
+export const startRouter = (onRouteChange) => {
+  if (routerStarted || typeof onRouteChange !== "function") return;
+  routerStarted = true;
+  currentHash = window.location.hash;
+  window.addEventListener("hashchange", () => {
+    if (window.location.hash === currentHash) return;
+    currentHash = window.location.hash;
+    onRouteChange(getCurrentRoute());
+  });
+};
@@ -0,0 +1,441 @@
+// Versioned schema for the personal data MovieVault keeps in localStorage.
+//
+// The stored shape is described by STORAGE_SCHEMA_VERSION. At startup
+// runStorageMigrations() applies every migration newer than the stored
+// version, in order, then validates the lists: malformed entries are repaired
+// where the intent is clear (string ids, missing media type) and dropped
+// otherwise. Applied migrations are recorded under STORAGE_KEYS.SCHEMA as
+//
+//   { version, applied: [{ id, version, appliedAt }] }
+//
+// To change a stored shape: bump STORAGE_SCHEMA_VERSION, append a migration
+// with that version below, and teach the repair* helpers the new fields.
+// Unknown fields are preserved so newer data survives an older validator.
+
+import {
+  STORAGE_KEYS,
+  STORAGE_SCHEMA_VERSION,
+  MEDIA_TYPES,
+  MOVIE_PLACEHOLDER,
+  MAX_PLANNER_ITEMS,
+  NOTE_MAX_LENGTH,
+  LIST_NAME_MAX_LENGTH,
+  DEFAULT_PLAN_NAME,
+} from "./constants.js";
+import {
+  getFavorites,
+  saveFavorites,
+  getWatched,
+  saveWatched,
+  getSessionPlans,
+  saveSessionPlans,
+  createSessionPlan,
+  getLegacySessionPlan,
+  clearLegacySessionPlan,
+  getEpisodeProgress,
+  saveEpisodeProgress,
+  getPersonalRatings,
+  savePersonalRatings,
+  getCustomLists,
+  saveCustomLists,
+  getTags,
+  saveTags,
+  normalizeTag,
+  getFlag,
+  setFlag,
+  buildMediaKey,
+  withViewings,
+} from "./helpers.js";
+import { normalizePlanSchedule } from "./planner-schedule.js";
+
+const DEFAULT_POSTER_SIZES = "(max-width: 600px) 62vw, 220px";
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const toId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const toText = (value, fallback = "") => {
+  if (typeof value === "string") return value;
+  return value === null || value === undefined ? fallback : String(value);
+};
+
+const toIsoDay = (value) =>
+  typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+
+// Personal ratings are half stars between 0.5 and 5.
+const toStarRating = (value) => {
+  const number = Number(value);
+  if (value === null || value === "" || !Number.isFinite(number)) return null;
+  return Math.min(5, Math.max(0.5, Math.round(number * 2) / 2));
+};
+
+// Repair one favorites/watched entry, or return null when it is unusable.
+export const repairListEntry = (item) => {
+  if (!isPlainObject(item)) return null;
+  const id = toId(item.id);
+  const title = toText(item.title).trim();
+  if (!id || !title) return null;
+  const entry = {
+    ...item,
+    id,
+    mediaType: item.mediaType === MEDIA_TYPES.TV ? MEDIA_TYPES.TV : MEDIA_TYPES.MOVIE,
+    title,
+    poster: toText(item.poster) || MOVIE_PLACEHOLDER,
+    rating: toText(item.rating, "0.0") || "0.0",
+    releaseDate: toText(item.releaseDate),
+  };
+  const watchedAt = toIsoDay(item.watchedAt);
+  if (watchedAt) entry.watchedAt = watchedAt;
+  else delete entry.watchedAt;
+  return entry;
+};
+
+const repairViewing = (item) =>
+  isPlainObject(item)
+    ? {
+        ...item,
+        id: toText(item.id),
+        date: toIsoDay(item.date) || "",
+        loggedAt: Number.isFinite(Number(item.loggedAt)) ? Number(item.loggedAt) : 0,
+      }
+    : null;
+
+// Repair a watched entry and its diary (see withViewings in helpers). Entries
+// without viewings get one on their watch date, undated when it is unknown.
+export const repairWatchedEntry = (item) => {
+  const entry = repairListEntry(item);
+  if (!entry) return null;
+  const seen = new Set();
+  const viewings = (Array.isArray(item.viewings) ? item.viewings : [])
+    .map(repairViewing)
+    .filter(Boolean)
+    .map((viewing, index) => {
+      const id = viewing.id && !seen.has(viewing.id) ? viewing.id : `v${index}`;
+      seen.add(id);
+      return { ...viewing, id };
+    });
+  return withViewings(
+    entry,
+    viewings.length ? viewings : [{ id: "v0", date: entry.watchedAt || "", loggedAt: 0 }]
+  );
+};
+
+// Repair one personal rating/note record; null when it holds neither.
+const repairRatingEntry = (item) => {
+  if (!isPlainObject(item)) return null;
+  const id = toId(item.id);
+  if (!id) return null;
+  const userRating = toStarRating(item.userRating);
+  const note = toText(item.note).trim().slice(0, NOTE_MAX_LENGTH);
+  if (!userRating && !note) return null;
+  return {
+    ...item,
+    id,
+    mediaType: item.mediaType === MEDIA_TYPES.TV ? MEDIA_TYPES.TV : MEDIA_TYPES.MOVIE,
+    title: toText(item.title),
+    releaseDate: toText(item.releaseDate),
+    userRating,
+    note,
+    updatedAt: Number.isFinite(Number(item.updatedAt)) ? Number(item.updatedAt) : 0,
+  };
+};
+
+// Repair one session-plan entry; the planner only holds movies.
+export const repairPlanEntry = (item) => {
+  if (!isPlainObject(item)) return null;
+  const id = toId(item.id);
+  const title = toText(item.title).trim();
+  if (!id || !title) return null;
+  const runtime = Number(item.runtime);
+  return {
+    ...item,
+    id,
+    title,
+    poster: toText(item.poster) || MOVIE_PLACEHOLDER,
+    posterSet: toText(item.posterSet),
+    posterSizes: toText(item.posterSizes) || DEFAULT_POSTER_SIZES,
+    releaseDate: toText(item.releaseDate),
+    rating: toText(item.rating, "NR") || "NR",
+    runtime: Number.isFinite(runtime) && runtime > 0 ? Math.round(runtime) : 0,
+  };
+};
+
+// Repair one series' episode progress (see updateSeriesProgress in helpers).
+const repairProgressEntry = (item) => {
+  if (!isPlainObject(item)) return null;
+  const base = repairListEntry({ ...item, mediaType: MEDIA_TYPES.TV });
+  if (!base) return null;
+  const episodes = {};
+  Object.entries(isPlainObject(item.episodes) ? item.episodes : {}).forEach(([season, list]) => {
+    const numbers = Array.isArray(list)
+      ? Array.from(
+          new Set(list.map(Number).filter((value) => Number.isInteger(value) && value > 0))
+        )
+      : [];
+    if (Number.isInteger(Number(season)) && numbers.length) {
+      episodes[String(Number(season))] = numbers.sort((a, b) => a - b);
+    }
+  });
+  if (!Object.keys(episodes).length) return null;
+  return {
+    ...base,
+    seasons: (Array.isArray(item.seasons) ? item.seasons : [])
+      .filter(isPlainObject)
+      .map((season) => ({
+        number: Number(season.number),
+        episodeCount: Number(season.episodeCount) || 0,
+      }))
+      .filter((season) => Number.isInteger(season.number) && season.number >= 0),
+    episodes,
+    updatedAt: Number.isFinite(Number(item.updatedAt)) ? Number(item.updatedAt) : 0,
+  };
+};
+
+// Repair a list, dropping unusable and duplicate entries (first one wins).
+const repairList = (list, repair, toKey) => {
+  const seen = new Set();
+  return (Array.isArray(list) ? list : []).reduce((result, item) => {
+    const entry = repair(item);
+    if (!entry || seen.has(toKey(entry))) return result;
+    seen.add(toKey(entry));
+    result.push(entry);
+    return result;
+  }, []);
+};
+
+export const repairListEntries = (list) =>
+  repairList(list, repairListEntry, (entry) => buildMediaKey(entry.id, entry.mediaType));
+
+export const repairWatchedEntries = (list) =>
+  repairList(list, repairWatchedEntry, (entry) => buildMediaKey(entry.id, entry.mediaType));
+
+// Capped at MAX_PLANNER_ITEMS unless a different `limit` is given.
+export const repairSessionPlan = (list, { limit = MAX_PLANNER_ITEMS } = {}) =>
+  repairList(list, repairPlanEntry, (entry) => entry.id).slice(0, limit);
+
+export const repairPersonalRatings = (ratings) =>
+  Object.fromEntries(
+    Object.values(isPlainObject(ratings) ? ratings : {})
+      .map(repairRatingEntry)
+      .filter(Boolean)
+      .map((entry) => [buildMediaKey(entry.id, entry.mediaType), entry])
+  );
+
+// Schema v1 kept imported ratings as `userRating` on list entries. Move them
+// into a ratings map and strip the field from the lists; existing ratings and
+// earlier lists win. Returns { lists, ratings } without touching storage.
+export const liftListRatings = (lists, ratings = {}) => {
+  const lifted = { ...ratings };
+  const stripped = lists.map((list) =>
+    (Array.isArray(list) ? list : []).map((item) => {
+      if (!isPlainObject(item) || !("userRating" in item)) return item;
+      const { userRating, ...rest } = item;
+      const key = buildMediaKey(rest.id, rest.mediaType);
+      const stars = toStarRating(userRating);
+      if (stars && toId(rest.id) && !lifted[key]?.userRating) {
+        lifted[key] = {
+          id: toId(rest.id),
+          mediaType: rest.mediaType === MEDIA_TYPES.TV ? MEDIA_TYPES.TV : MEDIA_TYPES.MOVIE,
+          title: toText(rest.title),
+          releaseDate: toText(rest.releaseDate),
+          userRating: stars,
+          note: lifted[key]?.note || "",
+          updatedAt: Date.now(),
+        };
+      }
+      return rest;
+    })
+  );
+  return { lists: stripped, ratings: lifted };
+};
+
+// Repair one custom list; its items use the favorites/watched entry shape.
+const repairCustomList = (list) => {
+  if (!isPlainObject(list)) return null;
+  const id = toText(list.id).trim();
+  const name = toText(list.name).trim().slice(0, LIST_NAME_MAX_LENGTH);
+  if (!id || !name) return null;
+  return {
+    ...list,
+    id,
+    name,
+    createdAt: Number.isFinite(Number(list.createdAt)) ? Number(list.createdAt) : 0,
+    updatedAt: Number.isFinite(Number(list.updatedAt)) ? Number(list.updatedAt) : 0,
+    items: repairListEntries(list.items),
+  };
+};
+
+export const repairCustomLists = (lists) => repairList(lists, repairCustomList, (list) => list.id);
+
+// Repair one named session plan. Ids, names and timestamps follow the custom
+// list rules; `limit` caps its items like repairSessionPlan.
+const repairNamedPlan = (plan, limit) => {
+  const repaired = repairCustomList(plan);
+  if (!repaired) return null;
+  const archivedAt = Number(plan.archivedAt);
+  return {
+    ...repaired,
+    archivedAt: plan.archivedAt && Number.isFinite(archivedAt) ? archivedAt : null,
+    items: repairSessionPlan(plan.items, { limit }),
+    ...(plan.schedule ? { schedule: normalizePlanSchedule(plan.schedule) } : {}),
+  };
+};
+
+// Repair the session plan store. An active id that is unknown or archived
+// falls back to the first plan in use.
+export const repairSessionPlans = (store, { limit = MAX_PLANNER_ITEMS } = {}) => {
+  const plans = repairList(
+    isPlainObject(store) ? store.plans : [],
+    (plan) => repairNamedPlan(plan, limit),
+    (plan) => plan.id
+  );
+  const active = plans.find((plan) => plan.id === store?.activeId && !plan.archivedAt);
+  return {
+    activeId: active ? active.id : plans.find((plan) => !plan.archivedAt)?.id || "",
+    plans,
+  };
+};
+
+// Repair one tagged title; null when it has no usable tags left.
+const repairTagEntry = (item) => {
+  const entry = repairListEntry(item);
+  if (!entry) return null;
+  const tags = Array.from(
+    new Set((Array.isArray(item.tags) ? item.tags : []).map(normalizeTag).filter(Boolean))
+  );
+  if (!tags.length) return null;
+  return {
+    ...entry,
+    tags,
+    updatedAt: Number.isFinite(Number(item.updatedAt)) ? Number(item.updatedAt) : 0,
+  };
+};
+
+export const repairTags = (tags) =>
+  Object.fromEntries(
+    Object.values(isPlainObject(tags) ? tags : {})
+      .map(repairTagEntry)
+      .filter(Boolean)
+      .map((entry) => [buildMediaKey(entry.id, entry.mediaType), entry])
+  );
+
+export const repairEpisodeProgress = (progress) =>
+  Object.fromEntries(
+    Object.values(isPlainObject(progress) ? progress : {})
+      .map(repairProgressEntry)
+      .filter(Boolean)
+      .map((entry) => [String(entry.id), entry])
+  );
+
+// Validate every stored list and save the ones that needed repair. Returns
+// the names of the lists that were rewritten.
+const validateStoredData = () =>
+  [
+    ["favorites", getFavorites, repairListEntries, saveFavorites],
+    ["watched", getWatched, repairWatchedEntries, saveWatched],
+    ["sessionPlans", getSessionPlans, repairSessionPlans, saveSessionPlans],
+    ["episodeProgress", getEpisodeProgress, repairEpisodeProgress, saveEpisodeProgress],
+    ["ratings", getPersonalRatings, repairPersonalRatings, savePersonalRatings],
+    ["customLists", getCustomLists, repairCustomLists, saveCustomLists],
+    ["tags", getTags, repairTags, saveTags],
+  ]
+    .filter(([, read, repair, save]) => {
+      const current = read();
+      const repaired = repair(current);
+      if (JSON.stringify(repaired) === JSON.stringify(current)) return false;
+      save(repaired);
+      return true;
+    })
+    .map(([name]) => name);
+
+// Ordered migrations; each runs once when the stored version is below its own.
+const MIGRATIONS = [
+  {
+    version: 1,
+    id: "normalize-list-entries",
+    // Data saved before versioning needs no reshaping: the validation pass
+    // after every run coerces ids, fills media types and planner runtimes,
+    // and drops duplicates. Recorded so later migrations can rely on it.
+    run: () => {},
+  },
+  {
+    version: 2,
+    id: "move-ratings-to-store",
+    // Ratings imported into watched/favorites entries move to STORAGE_KEYS.RATINGS.
+    run: () => {
+      const {
+        lists: [watched, favorites],
+        ratings,
+      } = liftListRatings([getWatched(), getFavorites()], getPersonalRatings());
+      saveFavorites(favorites);
+      saveWatched(watched);
+      savePersonalRatings(ratings);
+    },
+  },
+  {
+    version: 3,
+    id: "watch-diary",
+    // Watched entries gain a `viewings` diary seeded from `watchedAt`.
+    run: () => saveWatched(repairWatchedEntries(getWatched())),
+  },
+  {
+    version: 4,
+    id: "named-session-plans",
+    // The single planner queue becomes the first named plan.
+    run: () => {
+      const legacy = repairSessionPlan(getLegacySessionPlan());
+      if (legacy.length) {
+        createSessionPlan(DEFAULT_PLAN_NAME, legacy);
+      }
+      clearLegacySessionPlan();
+    },
+  },
+];
+
+const readSchemaRecord = () => {
+  const record = getFlag(STORAGE_KEYS.SCHEMA);
+  return {
+    version: Number.isInteger(record?.version) ? record.version : 0,
+    applied: Array.isArray(record?.applied) ? record.applied : [],
+  };
+};
+
+// Bring stored data up to STORAGE_SCHEMA_VERSION, then validate it. A failing
+// migration stops the run without bumping the version, so it is retried on
+// the next launch. Data from a newer build (after a rollback) is validated but
+// not migrated. Returns { from, to, applied, repairs }.
+export const runStorageMigrations = () => {
+  const record = readSchemaRecord();
+  const from = record.version;
+  const applied = [];
+  if (from > STORAGE_SCHEMA_VERSION) {
+    console.warn(`Stored data uses schema v${from}; this build knows v${STORAGE_SCHEMA_VERSION}.`);
+  }
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= record.version || migration.version > STORAGE_SCHEMA_VERSION) {
+      continue;
+    }
+    try {
+      migration.run();
+    } catch (error) {
+      console.error(`Storage migration "${migration.id}" failed`, error);
+      break;
+    }
+    record.version = migration.version;
+    record.applied.push({
+      id: migration.id,
+      version: migration.version,
+      appliedAt: new Date().toISOString(),
+    });
+    applied.push(migration.id);
+  }
+  if (applied.length) {
+    setFlag(STORAGE_KEYS.SCHEMA, record);
+  }
+  const repairs = validateStoredData();
+  return { from, to: record.version, applied, repairs };
+};
@@ -3,20 +3,48 @@
 // ============================================================================
 // Centralised DOM manipulation helpers and micro-interactions for MovieVault.
 
-import { createEl, lazyLoadImage, scrollToTop, runIdle, observeWhenVisible } from "./helpers.js";
+import {
+  createEl,
+  lazyLoadImage,
+  scrollToTop,
+  runIdle,
+  debounce,
+  observeWhenVisible,
+  getLocalIsoDate,
+  buildMediaKey,
+  getMediaType,
+  formatRuntime,
+  formatBytes,
+  formatDuration,
+  formatEpisodeCode,
+} from "./helpers.js";
 import {
   FAVORITE_BADGE_TEXT,
   WATCHED_BADGE_TEXT,
   THEMES,
   DRAWER_ACTIONS,
   TUTORIAL_ANIMATION_MULTIPLIER,
+  MEDIA_TYPES,
+  LANGUAGE_OPTIONS,
+  REGION_OPTIONS,
+  IMAGE_QUALITY_PRESETS,
+  CACHE_TTL_OPTIONS,
+  DATA_PROVIDER_OPTIONS,
+  CSV_EXPORT_LAYOUTS,
+  NOTE_MAX_LENGTH,
+  LIST_NAME_MAX_LENGTH,
+  TAG_MAX_LENGTH,
+  MAX_PLANNER_ITEMS,
 } from "./constants.js";
+import { formatPlanStart } from "./planner-schedule.js";
 
 // ----------------------------------------------------------------------------
 // DOM LOOKUPS
 // ----------------------------------------------------------------------------
 
 const gridEl = () => document.getElementById("movies-grid");
+const continueSectionEl = () => document.getElementById("continue-watching");
+const continueTrackEl = () => document.getElementById("continue-watching-track");
 const suggestionsEl = () => document.getElementById("search-suggestions");
 const sectionTitleEl = () => document.getElementById("movie-section-title");
 const genreTrackEl = () => document.getElementById("genre-chip-track");
@@ -32,8 +60,12 @@ const drawerBody = () =>
   document.querySelector("#mobile-drawer .drawer-body");
 const scrollProgressBar = () => document.getElementById("scroll-progress");
 const selectedGenresContainer = () => document.getElementById("selected-genres");
+const tagFilterEl = () => document.getElementById("tag-filter");
+const tagFilterSelect = () => document.getElementById("tag-filter-select");
+const plannerPlanSelect = () => document.getElementById("planner-plan-select");
 
 let modalStack = [];
+let modalDismissHandler = null;
 let drawerHandlers = {};
 let loaderAnimation = null;
 const draggedTracks = new WeakSet();
@@ -329,6 +361,7 @@ const animateModalOut = (modal, callback) => {
 const closeTopModal = () => {
   const latest = modalStack.pop();
   if (!latest) return;
+  latest.onClose?.();
   animateModalOut(latest.modal, () => {
     latest.overlay.remove();
   });
@@ -337,9 +370,18 @@ const closeTopModal = () => {
   }
 };
 
+// User-initiated close (ESC, close button, backdrop). Programmatic hand-offs
+// between modals use closeTopModal directly and skip the dismiss callback.
+const dismissTopModal = () => {
+  closeTopModal();
+  if (typeof modalDismissHandler === "function") {
+    modalDismissHandler(modalStack.length);
+  }
+};
+
 const handleEsc = (event) => {
   if (event.key === "Escape" && modalStack.length) {
-    closeTopModal();
+    dismissTopModal();
   }
 };
 
@@ -484,6 +526,51 @@ export const renderGenreOptions = (genres = [], selected = []) => {
   }
 };
 
+// Fill the toolbar tag filter from tag usage ([{ tag, count }]). It stays
+// hidden until the first tag exists.
+export const renderTagFilter = (usage = [], active = "") => {
+  const group = tagFilterEl();
+  const select = tagFilterSelect();
+  if (!group || !select) return;
+  const allOption = createEl("option", "", "All titles");
+  allOption.value = "";
+  select.replaceChildren(
+    allOption,
+    ...usage.map(({ tag, count }) => {
+      const option = createEl("option", "", `${tag} (${count})`);
+      option.value = tag;
+      return option;
+    })
+  );
+  select.value = active;
+  group.classList.toggle("hidden", !usage.length && !active);
+  group.classList.toggle("active", Boolean(active));
+};
+
+// Fill the planner's plan picker with the plans in use ({ id, name, items }).
+export const renderPlanPicker = (plans = [], activeId = "") => {
+  const select = plannerPlanSelect();
+  if (!select) return;
+  const inUse = plans.filter((plan) => !plan.archivedAt);
+  if (!inUse.length) {
+    const placeholder = createEl("option", "", "No plans yet");
+    placeholder.value = "";
+    select.replaceChildren(placeholder);
+    select.disabled = true;
+    return;
+  }
+  select.replaceChildren(
+    ...inUse.map((plan) => {
+      const count = (plan.items || []).length;
+      const option = createEl("option", "", `${plan.name} (${formatNumber(count)})`);
+      option.value = plan.id;
+      return option;
+    })
+  );
+  select.value = activeId;
+  select.disabled = false;
+};
+
 // ----------------------------------------------------------------------------
 // MOVIE CARD CONTROLS
 // ----------------------------------------------------------------------------
@@ -554,6 +641,194 @@ const createCardWatchedButton = (movie, isWatched, onWatchedToggle) => {
   return watchedBtn;
 };
 
+// Opens the "add to list" picker; filled while the title is on any custom list.
+const createCardListButton = (movie, isListed, onAddToList) => {
+  const listBtn = createEl("button", `card-list${isListed ? " active" : ""}`);
+  listBtn.type = "button";
+  listBtn.setAttribute("aria-label", "Add to a list");
+  listBtn.appendChild(createEl("i", `${isListed ? "fa-solid" : "fa-regular"} fa-bookmark`));
+  listBtn.addEventListener("click", (event) => {
+    event.stopPropagation();
+    event.preventDefault();
+    onAddToList(movie);
+  });
+  return listBtn;
+};
+
+// Media keys of every title on any custom list.
+const collectListedKeys = (customLists = []) =>
+  new Set(
+    customLists.flatMap((list) =>
+      (list.items || []).map((item) => buildMediaKey(item.id, getMediaType(item)))
+    )
+  );
+
+// "4.5" for half stars, "4" for whole ones.
+const formatStars = (value) =>
+  Number.isInteger(value) ? String(value) : Number(value).toFixed(1);
+
+// Fill a card's personal pill with the user's stars and a note marker.
+const renderUserRatingPill = (pill, personal) => {
+  const rating = personal?.userRating || null;
+  const note = personal?.note || "";
+  pill.innerHTML = "";
+  if (rating) {
+    pill.append(
+      createEl("i", "fa-solid fa-star-half-stroke"),
+      createEl("span", "", formatStars(rating))
+    );
+  }
+  if (note) {
+    pill.appendChild(createEl("i", "fa-regular fa-note-sticky"));
+  }
+  pill.title = [rating && `Your rating: ${formatStars(rating)} / 5`, note]
+    .filter(Boolean)
+    .join("\n");
+  pill.classList.toggle("hidden", !rating && !note);
+};
+
+const CARD_TAG_LIMIT = 3;
+
+// Fill a card's tag row; tags past the first few are only counted.
+const renderCardTags = (row, tags = []) => {
+  const shown = tags.slice(0, CARD_TAG_LIMIT);
+  row.replaceChildren(...shown.map((tag) => createEl("span", "tag-chip", tag)));
+  if (tags.length > shown.length) {
+    row.appendChild(createEl("span", "tag-chip more", `+${tags.length - shown.length}`));
+  }
+  row.title = tags.join(", ");
+  row.classList.toggle("hidden", !tags.length);
+};
+
+// Half-step star picker for personal ratings (0.5–5). Each star holds a
+// left and right hit area; picking the current value again clears it.
+const createStarRating = (initial, onChange) => {
+  let current = initial || null;
+  const wrapper = createEl("div", "star-rating");
+  const stars = createEl("div", "star-rating-stars");
+  stars.setAttribute("role", "group");
+  stars.setAttribute("aria-label", "Your rating");
+  const valueLabel = createEl("span", "star-rating-value");
+  const icons = [];
+  const buttons = [];
+
+  const paint = (value) => {
+    icons.forEach((icon, index) => {
+      const filled = (value || 0) - index;
+      icon.className =
+        filled >= 1
+          ? "fa-solid fa-star"
+          : filled >= 0.5
+          ? "fa-solid fa-star-half-stroke"
+          : "fa-regular fa-star";
+    });
+    valueLabel.textContent = value ? `${formatStars(value)} / 5` : "Not rated";
+  };
+  const setValue = (value) => {
+    current = value || null;
+    buttons.forEach(({ button, value: step }) =>
+      button.setAttribute("aria-pressed", String(step === current))
+    );
+    paint(current);
+  };
+
+  for (let index = 0; index < 5; index += 1) {
+    const star = createEl("span", "star-rating-star");
+    const icon = createEl("i", "");
+    icon.setAttribute("aria-hidden", "true");
+    icons.push(icon);
+    star.appendChild(icon);
+    [0.5, 1].forEach((step) => {
+      const value = index + step;
+      const button = createEl("button", `star-rating-hit${step === 1 ? " end" : ""}`);
+      button.type = "button";
+      button.setAttribute("aria-label", `${formatStars(value)} star${value === 1 ? "" : "s"}`);
+      button.addEventListener("pointerenter", () => paint(value));
+      button.addEventListener("focus", () => paint(value));
+      button.addEventListener("click", () => {
+        setValue(current === value ? null : value);
+        if (typeof onChange === "function") onChange(current);
+      });
+      buttons.push({ button, value });
+      star.appendChild(button);
+    });
+    stars.appendChild(star);
+  }
+  stars.addEventListener("pointerleave", () => paint(current));
+  stars.addEventListener("focusout", () => paint(current));
+  setValue(current);
+
+  wrapper.append(stars, valueLabel);
+  return { element: wrapper, setValue };
+};
+
+// Tag editor for the movie modal: removable chips plus an input that adds
+// tags on Enter or comma and suggests tags already in use. `onChange(tags)`
+// returns the tags as stored, which replace the chips.
+const createTagEditor = (initial = [], suggestions = [], onChange) => {
+  let current = initial;
+  const wrapper = createEl("div", "tag-editor");
+  const chips = createEl("div", "tag-editor-chips");
+  const datalist = createEl("datalist", "");
+  datalist.id = `tag-suggestions-${Math.random().toString(36).slice(2, 8)}`;
+  const input = createEl("input", "settings-select tag-editor-input");
+  input.type = "text";
+  input.maxLength = TAG_MAX_LENGTH;
+  input.placeholder = "Add a tag, e.g. comfort watch";
+  input.setAttribute("aria-label", "Add a tag");
+  input.setAttribute("list", datalist.id);
+
+  const render = () => {
+    chips.replaceChildren(
+      ...current.map((tag) => {
+        const chip = createEl("span", "tag-chip");
+        const removeBtn = createEl("button", "tag-chip-remove");
+        removeBtn.type = "button";
+        removeBtn.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+        removeBtn.setAttribute("aria-label", `Remove tag ${tag}`);
+        removeBtn.addEventListener("click", () =>
+          commit(current.filter((value) => value !== tag))
+        );
+        chip.append(createEl("span", "", tag), removeBtn);
+        return chip;
+      })
+    );
+    datalist.replaceChildren(
+      ...suggestions
+        .filter((tag) => !current.includes(tag))
+        .map((tag) => {
+          const option = createEl("option", "");
+          option.value = tag;
+          return option;
+        })
+    );
+  };
+  const commit = (next) => {
+    const saved = typeof onChange === "function" ? onChange(next) : next;
+    current = Array.isArray(saved) ? saved : next;
+    render();
+  };
+  // Pasted "a, b" adds both.
+  const addTyped = () => {
+    const typed = input.value.split(",").map((tag) => tag.trim()).filter(Boolean);
+    input.value = "";
+    if (typed.length) commit([...current, ...typed]);
+  };
+  input.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" || event.key === ",") {
+      event.preventDefault();
+      addTyped();
+    } else if (event.key === "Backspace" && !input.value && current.length) {
+      commit(current.slice(0, -1));
+    }
+  });
+  input.addEventListener("blur", addTyped);
+  render();
+
+  wrapper.append(chips, input, datalist);
+  return wrapper;
+};
+
 const enableHorizontalDrag = (track) => {
   if (!track || draggedTracks.has(track)) return;
   let isPointerDown = false;
@@ -634,6 +909,10 @@ const createMovieCard = (movie, options) => {
     onWatchedToggle,
     onCardClick,
     variant = "standard",
+    personal = null,
+    tags = [],
+    isListed = false,
+    onAddToList,
     onPlannerDragStart,
     onPlannerDragEnd,
   } = options;
@@ -643,10 +922,13 @@ const createMovieCard = (movie, options) => {
   );
   card.tabIndex = 0;
   card.dataset.movieId = movie.id;
+  card.dataset.mediaType = getMediaType(movie);
   if (isWatched) {
     card.classList.add("watched");
   }
-  card.draggable = true;
+  // Only movies can be thrown into the session planner.
+  const isSeries = getMediaType(movie) === MEDIA_TYPES.TV;
+  card.draggable = !isSeries;
 
   const poster = createEl("img", "movie-poster");
   poster.alt = `${movie.title} poster`;
@@ -666,8 +948,12 @@ const createMovieCard = (movie, options) => {
     "",
     movie.releaseDate ? movie.releaseDate.split("-")[0] : "—"
   );
-  meta.append(rating, release);
-  info.append(title, meta);
+  const userRating = createEl("span", "card-user-rating");
+  renderUserRatingPill(userRating, personal);
+  meta.append(rating, release, userRating);
+  const tagRow = createEl("div", "card-tags");
+  renderCardTags(tagRow, tags);
+  info.append(title, meta, tagRow);
 
   const badge = createEl("span", "card-badge", FAVORITE_BADGE_TEXT);
   badge.classList.toggle("hidden", !isFavorite);
@@ -694,6 +980,9 @@ const createMovieCard = (movie, options) => {
   );
   overlayPill.innerHTML = `<i class="fa-solid fa-eye"></i> ${WATCHED_BADGE_TEXT}`;
   overlayMeta.appendChild(overlayPill);
+  if (isSeries) {
+    overlayMeta.appendChild(createEl("span", "media-pill", "Series"));
+  }
 
   overlayContent.append(overlayTitle, overlaySnippet, overlayMeta);
   overlay.appendChild(overlayContent);
@@ -740,6 +1029,9 @@ const createMovieCard = (movie, options) => {
   });
 
   card.append(poster, info, overlay, badge, watchedBtn, favoriteBtn);
+  if (typeof onAddToList === "function") {
+    card.appendChild(createCardListButton(movie, isListed, onAddToList));
+  }
 
   card.addEventListener("dragstart", (event) => {
     card.dataset.dragging = "true";
@@ -759,6 +1051,7 @@ const createMovieCard = (movie, options) => {
 
   // Hover-triggered tutorial demo: show a professional animated tip and demo throw
   poster.addEventListener('pointerenter', () => {
+    if (isSeries) return;
     try {
       showHoverTutorial(card);
     } catch (e) {
@@ -824,22 +1117,66 @@ const enableCardTilt = (container = document) => {
   });
 };
 
+// Render cards into the grid. `update: true` refreshes cards already on
+// screen in place (stale-while-revalidate) without touching the rest.
 export const renderMovieGrid = (
   movies = [],
   {
     append = false,
+    update = false,
     favorites = [],
     watched = [],
+    ratings = {},
+    customLists = [],
+    tags = {},
     context = {},
     onCardClick,
     onFavoriteToggle,
     onWatchedToggle,
+    onAddToList,
     onPlannerDragStart,
     onPlannerDragEnd,
   } = {}
 ) => {
   const grid = gridEl();
   if (!grid) return;
+  const favoriteKeys = new Set(
+    favorites.map((item) => buildMediaKey(item.id, getMediaType(item)))
+  );
+  const watchedKeys = new Set(
+    watched.map((item) => buildMediaKey(item.id, getMediaType(item)))
+  );
+  const listedKeys = collectListedKeys(customLists);
+  const buildCard = (movie) => {
+    const key = buildMediaKey(movie.id, getMediaType(movie));
+    return createMovieCard(movie, {
+      onCardClick,
+      onFavoriteToggle,
+      onWatchedToggle,
+      onAddToList,
+      onPlannerDragStart,
+      onPlannerDragEnd,
+      isFavorite: favoriteKeys.has(key),
+      isWatched: watchedKeys.has(key),
+      isListed: listedKeys.has(key),
+      personal: ratings[key],
+      tags: tags[key]?.tags,
+    });
+  };
+
+  if (update) {
+    movies.forEach((movie) => {
+      const current = grid.querySelector(
+        `.movie-card[data-movie-id="${movie.id}"][data-media-type="${getMediaType(movie)}"]`
+      );
+      if (current) {
+        current.replaceWith(buildCard(movie));
+      }
+    });
+    runIdle(() => enableCardTilt(grid));
+    return;
+  }
+
   if (!append) {
     grid.innerHTML = "";
   }
@@ -848,6 +1185,7 @@ export const renderMovieGrid = (
     hasGenreFilters = false,
     searchQuery = "",
     isDefaultCategory = false,
+    activeTag = "",
   } = context || {};
 
   if (!movies.length && !append) {
@@ -861,7 +1199,10 @@ export const renderMovieGrid = (
     let titleText = "No movies to show just yet.";
     let subtitleText = "Adjust your filters or explore another category.";
 
-    if (category === "search" && searchQuery) {
+    if (activeTag) {
+      titleText = `Nothing tagged "${activeTag}" yet.`;
+      subtitleText = "Add tags from any movie's details to collect titles here.";
+    } else if (category === "search" && searchQuery) {
       titleText = `No matches for "${searchQuery}" yet.`;
       subtitleText = "Try refining your keywords or explore trending titles.";
     } else if (hasGenreFilters) {
@@ -877,7 +1218,13 @@ export const renderMovieGrid = (
     const actions = createEl("div", "movies-empty__actions");
     let hasAction = false;
 
-    if (hasGenreFilters) {
+    if (activeTag) {
+      const feedBtn = createEl("button", "secondary-button movies-empty__button", "Show full feed");
+      feedBtn.type = "button";
+      feedBtn.dataset.emptyAction = "clear-tag";
+      actions.appendChild(feedBtn);
+      hasAction = true;
+    } else if (hasGenreFilters) {
       const clearBtn = createEl("button", "secondary-button movies-empty__button", "Clear filters");
       clearBtn.type = "button";
       clearBtn.dataset.emptyAction = "reset-filters";
@@ -886,7 +1233,7 @@ export const renderMovieGrid = (
       hasAction = true;
     }
 
-    if (!isDefaultCategory || category === "search") {
+    if (!activeTag && (!isDefaultCategory || category === "search")) {
       const trendingBtn = createEl("button", "ghost-button movies-empty__button", "Back to trending");
       trendingBtn.type = "button";
       trendingBtn.dataset.emptyAction = "view-trending";
@@ -902,20 +1249,9 @@ export const renderMovieGrid = (
     grid.appendChild(empty);
     return;
   }
-  const favoriteIds = new Set(favorites.map((item) => Number(item.id)));
-  const watchedIds = new Set(watched.map((item) => Number(item.id)));
   const fragment = document.createDocumentFragment();
   movies.forEach((movie) => {
-    const card = createMovieCard(movie, {
-      onCardClick,
-      onFavoriteToggle,
-      onWatchedToggle,
-      onPlannerDragStart,
-      onPlannerDragEnd,
-      isFavorite: favoriteIds.has(Number(movie.id)),
-      isWatched: watchedIds.has(Number(movie.id)),
-    });
-    fragment.appendChild(card);
+    fragment.appendChild(buildCard(movie));
   });
   grid.appendChild(fragment);
 
@@ -938,6 +1274,167 @@ export const renderMovieGrid = (
   }
 };
 
+// Update favorite/watched/list badges, personal ratings and tags on every
+// rendered card (grid, search overlay, collection and filmography modals)
+// without rebuilding them.
+export const syncCardStates = ({
+  favorites = [],
+  watched = [],
+  ratings = {},
+  customLists = [],
+  tags = {},
+} = {}) => {
+  const listedKeys = collectListedKeys(customLists);
+  const favoriteKeys = new Set(
+    favorites.map((item) => buildMediaKey(item.id, getMediaType(item)))
+  );
+  const watchedKeys = new Set(
+    watched.map((item) => buildMediaKey(item.id, getMediaType(item)))
+  );
+  document.querySelectorAll(".movie-card[data-movie-id]").forEach((card) => {
+    const key = buildMediaKey(card.dataset.movieId, card.dataset.mediaType);
+    const isFavorite = favoriteKeys.has(key);
+    const isWatched = watchedKeys.has(key);
+    const favoriteBtn = card.querySelector(".card-favorite");
+    if (favoriteBtn) {
+      favoriteBtn.classList.toggle("active", isFavorite);
+      const heart = favoriteBtn.querySelector("i");
+      if (heart) heart.className = `${isFavorite ? "fa-solid" : "fa-regular"} fa-heart`;
+    }
+    card.querySelector(".card-badge")?.classList.toggle("hidden", !isFavorite);
+    const watchedBtn = card.querySelector(".card-watched");
+    if (watchedBtn) {
+      watchedBtn.classList.toggle("active", isWatched);
+      const eye = watchedBtn.querySelector("i");
+      if (eye) eye.className = `${isWatched ? "fa-solid" : "fa-regular"} fa-eye`;
+    }
+    card.classList.toggle("watched", isWatched);
+    card.querySelector(".overlay-pill")?.classList.toggle("hidden", !isWatched);
+    const userRating = card.querySelector(".card-user-rating");
+    if (userRating) renderUserRatingPill(userRating, ratings[key]);
+    const tagRow = card.querySelector(".card-tags");
+    if (tagRow) renderCardTags(tagRow, tags[key]?.tags);
+    const listBtn = card.querySelector(".card-list");
+    if (listBtn) {
+      const isListed = listedKeys.has(key);
+      listBtn.classList.toggle("active", isListed);
+      const bookmark = listBtn.querySelector("i");
+      if (bookmark) bookmark.className = `${isListed ? "fa-solid" : "fa-regular"} fa-bookmark`;
+    }
+  });
+};
+
+// Offline fallback for the main grid: saved favorites, watched titles and
+// the session plan, rendered purely from local data. Card handlers match
+// renderMovieGrid; `onRetry` is wired to the "Try again" button.
+export const renderOfflineView = (
+  { favorites = [], watched = [], plan = [], ratings = {}, customLists = [], tags = {} } = {},
+  {
+    onRetry,
+    onCardClick,
+    onFavoriteToggle,
+    onWatchedToggle,
+    onAddToList,
+  } = {}
+) => {
+  const grid = gridEl();
+  if (!grid) return;
+  grid.innerHTML = "";
+  const view = createEl("div", "offline-view");
+  view.setAttribute("role", "status");
+
+  const header = createEl("div", "offline-view-header");
+  const icon = createEl("div", "movies-empty__icon");
+  icon.innerHTML = '<i class="fa-solid fa-wifi"></i>';
+  icon.setAttribute("aria-hidden", "true");
+  const copy = createEl("div", "");
+  copy.append(
+    createEl("h3", "movies-empty__title", "You're offline"),
+    createEl(
+      "p",
+      "movies-empty__subtitle",
+      "Live feeds need a connection. Your saved lists and session plan are still here."
+    )
+  );
+  header.append(icon, copy);
+  if (typeof onRetry === "function") {
+    const retryBtn = createEl("button", "secondary-button", "Try again");
+    retryBtn.type = "button";
+    retryBtn.addEventListener("click", () => onRetry());
+    header.appendChild(retryBtn);
+  }
+  view.appendChild(header);
+
+  const favoriteKeys = new Set(
+    favorites.map((item) => buildMediaKey(item.id, getMediaType(item)))
+  );
+  const watchedKeys = new Set(
+    watched.map((item) => buildMediaKey(item.id, getMediaType(item)))
+  );
+  const listedKeys = collectListedKeys(customLists);
+  const createSection = (title, items, emptyText) => {
+    const section = createEl("section", "offline-section");
+    section.appendChild(createEl("h4", "modal-section-title", `${title} (${items.length})`));
+    if (!items.length) {
+      section.appendChild(createEl("p", "modal-section-note", emptyText));
+      return section;
+    }
+    const track = createEl("div", "offline-track");
+    items.forEach((movie) => {
+      const key = buildMediaKey(movie.id, getMediaType(movie));
+      track.appendChild(
+        createMovieCard(movie, {
+          variant: "compact",
+          onCardClick,
+          onFavoriteToggle,
+          onWatchedToggle,
+          onAddToList,
+          isFavorite: favoriteKeys.has(key),
+          isWatched: watchedKeys.has(key),
+          isListed: listedKeys.has(key),
+          personal: ratings[key],
+          tags: tags[key]?.tags,
+        })
+      );
+    });
+    section.appendChild(track);
+    return section;
+  };
+
+  const planSection = createEl("section", "offline-section");
+  const totalRuntime = plan.reduce((total, item) => total + (Number(item.runtime) || 0), 0);
+  planSection.appendChild(
+    createEl(
+      "h4",
+      "modal-section-title",
+      plan.length ? `Session plan · ${formatRuntime(totalRuntime)}` : "Session plan"
+    )
+  );
+  if (plan.length) {
+    const list = createEl("ol", "offline-plan");
+    plan.forEach((item) => {
+      const row = createEl("li", "offline-plan-item");
+      row.append(
+        createEl("span", "offline-plan-title", item.title),
+        createEl("span", "offline-plan-runtime", formatRuntime(item.runtime))
+      );
+      list.appendChild(row);
+    });
+    planSection.appendChild(list);
+  } else {
+    planSection.appendChild(
+      createEl("p", "modal-section-note", "No movies queued for your next session.")
+    );
+  }
+
+  view.append(
+    planSection,
+    createSection("Favorites", favorites, "No favorites saved yet."),
+    createSection("Watched", watched, "Nothing marked as watched yet.")
+  );
+  grid.appendChild(view);
+};
+
 export const animateDrawerReveal = () => {
   const drawer = mobileDrawer();
   if (!drawer) return;
@@ -969,13 +1466,79 @@ export const animateDrawerReveal = () => {
   }
 };
 
+// Home-row of in-progress series; hidden when empty or outside the default feed.
+export const renderContinueWatching = (
+  items = [],
+  { visible = true, onSelect, onMarkNext } = {}
+) => {
+  const section = continueSectionEl();
+  const track = continueTrackEl();
+  if (!section || !track) return;
+  track.innerHTML = "";
+  const show = visible && items.length > 0;
+  section.classList.toggle("hidden", !show);
+  if (!show) return;
+
+  const fragment = document.createDocumentFragment();
+  items.forEach((item) => {
+    const code = formatEpisodeCode(item.nextEpisode);
+    const card = createEl("article", "continue-card");
+    card.setAttribute("role", "listitem");
+    card.dataset.seriesId = item.id;
+
+    const openBtn = createEl("button", "continue-card-open");
+    openBtn.type = "button";
+    openBtn.setAttribute("aria-label", `Open ${item.title}, next up ${code}`);
+    const poster = createEl("img", "continue-card-poster");
+    poster.alt = "";
+    lazyLoadImage(poster, item.poster);
+    const info = createEl("div", "continue-card-info");
+    info.append(
+      createEl("span", "continue-card-title", item.title),
+      createEl("span", "continue-card-next", `Next up: ${code}`)
+    );
+    const bar = createEl("div", "season-progress-track");
+    const fill = createEl("span", "season-progress-fill");
+    fill.style.width = `${item.completion?.percent || 0}%`;
+    bar.appendChild(fill);
+    info.appendChild(bar);
+    openBtn.append(poster, info);
+    openBtn.addEventListener("click", () => {
+      if (typeof onSelect === "function") onSelect(item);
+    });
+
+    const markBtn = createEl("button", "continue-card-mark");
+    markBtn.type = "button";
+    markBtn.innerHTML = '<i class="fa-solid fa-check"></i>';
+    markBtn.title = `Mark ${code} watched`;
+    markBtn.setAttribute("aria-label", `Mark ${item.title} ${code} as watched`);
+    markBtn.addEventListener("click", () => {
+      if (typeof onMarkNext === "function") onMarkNext(item);
+    });
+
+    card.append(openBtn, markBtn);
+    fragment.appendChild(card);
+  });
+  track.appendChild(fragment);
+  enableHorizontalDrag(track);
+};
+
 export const setActiveNav = (category) => {
   const navButtons = document.querySelectorAll(".nav-link");
+  const group = String(category || "").split("_")[0];
   navButtons.forEach((btn) => {
-    const isActive = btn.dataset.category === category && category !== "";
+    // Group chips (e.g. "TV Series") stay lit for every feed in their family.
+    const isActive =
+      category !== "" &&
+      (btn.dataset.category === category ||
+        (Boolean(btn.dataset.categoryGroup) && btn.dataset.categoryGroup === group));
     btn.classList.toggle("active", isActive);
     btn.setAttribute("aria-pressed", isActive ? "true" : "false");
   });
+  const tvRail = document.getElementById("tv-feed-rail");
+  if (tvRail) {
+    tvRail.classList.toggle("hidden", group !== MEDIA_TYPES.TV);
+  }
 };
 
 export const renderSuggestions = (items = [], onSelect) => {
@@ -1028,19 +1591,20 @@ const buildModalShell = (titleText) => {
   const closeBtn = createEl("button", "modal-close");
   closeBtn.type = "button";
   closeBtn.innerHTML = '<i class="fa-solid fa-xmark"></i>';
-  closeBtn.addEventListener("click", () => closeTopModal());
+  closeBtn.addEventListener("click", () => dismissTopModal());
   header.append(title, closeBtn);
   modal.appendChild(header);
   overlay.appendChild(modal);
   overlay.addEventListener("click", (event) => {
     if (event.target === overlay) {
-      closeTopModal();
+      dismissTopModal();
     }
   });
   return { overlay, modal };
 };
 
-const openModal = (title, bodyContent, footerContent, className = "") => {
+// `onClose` runs however the modal goes away (user, hand-off or router).
+const openModal = (title, bodyContent, footerContent, className = "", { onClose } = {}) => {
   const { overlay, modal } = buildModalShell(title);
   let body = null;
   if (className) {
@@ -1057,12 +1621,36 @@ const openModal = (title, bodyContent, footerContent, className = "") => {
     modal.appendChild(footer);
   }
   modalRoot().appendChild(overlay);
-  modalStack.push({ overlay, modal });
+  modalStack.push({ overlay, modal, onClose });
   document.body.style.overflow = "hidden";
   animateModalIn(modal);
   return { overlay, modal, body };
 };
 
+const createStatCard = (icon, label, value, { accent = false } = {}) => {
+  const card = createEl(
+    "div",
+    `modal-stat-card${accent ? " accent" : ""}`
+  );
+  const iconWrapper = createEl("div", "modal-stat-icon");
+  iconWrapper.innerHTML = `<i class="fa-solid ${icon}"></i>`;
+  const info = createEl("div", "modal-stat-info");
+  const labelEl = createEl("span", "modal-stat-label", label);
+  const valueEl = createEl("span", "modal-stat-value", value);
+  info.append(labelEl, valueEl);
+  card.append(iconWrapper, info);
+  return { card, valueEl };
+};
+
+const formatNumber = (value) => {
+  if (!Number.isFinite(Number(value))) return "—";
+  try {
+    return new Intl.NumberFormat().format(Number(value));
+  } catch {
+    return String(value);
+  }
+};
+
 export const openMovieModal = (
   movie,
   {
@@ -1071,8 +1659,15 @@ export const openMovieModal = (
     onFavoriteToggle,
     onWatchedToggle,
     onCastSelect,
+    onPersonalChange,
+    onLogViewing,
+    onAddToList,
+    onTagsChange,
     isFavorite = false,
     isWatched = false,
+    personal = null,
+    tags = [],
+    tagSuggestions = [],
   } = {}
 ) => {
   const content = createEl("div", "movie-modal-content");
@@ -1093,40 +1688,15 @@ export const openMovieModal = (
   sidebar.appendChild(posterWrapper);
 
   const statsGrid = createEl("div", "movie-modal-stats");
-  const createStatCard = (icon, label, value, { accent = false } = {}) => {
-    const card = createEl(
-      "div",
-      `modal-stat-card${accent ? " accent" : ""}`
-    );
-    const iconWrapper = createEl("div", "modal-stat-icon");
-    iconWrapper.innerHTML = `<i class="fa-solid ${icon}"></i>`;
-    const info = createEl("div", "modal-stat-info");
-    const labelEl = createEl("span", "modal-stat-label", label);
-    const valueEl = createEl("span", "modal-stat-value", value);
-    info.append(labelEl, valueEl);
-    card.append(iconWrapper, info);
-    return { card, valueEl };
-  };
 
-  const formatNumber = (value) => {
-    if (!Number.isFinite(Number(value))) return "—";
-    try {
-      return new Intl.NumberFormat().format(Number(value));
-    } catch {
-      return String(value);
-    }
-  };
-
-  const ratingCard = createStatCard(
-    "fa-star",
-    "Rating",
-    Number.isFinite(Number(movie.rating)) ? `${movie.rating}` : "NR"
-  );
-  const releaseValue =
-    movie.releaseDate && movie.releaseDate !== "Unknown"
-      ? movie.releaseDate
+  const formatRatingStat = (details) =>
+    Number.isFinite(Number(details.rating)) ? `${details.rating}` : "NR";
+  const formatReleaseStat = (details) =>
+    details.releaseDate && details.releaseDate !== "Unknown"
+      ? details.releaseDate
       : "Unknown";
-  const releaseCard = createStatCard("fa-calendar", "Release", releaseValue);
+  const ratingCard = createStatCard("fa-star", "Rating", formatRatingStat(movie));
+  const releaseCard = createStatCard("fa-calendar", "Release", formatReleaseStat(movie));
   const votesCard = createStatCard(
     "fa-chart-column",
     "Votes",
@@ -1151,28 +1721,26 @@ export const openMovieModal = (
   const heading = createEl("h3", "movie-modal-heading", movie.title);
   headerBlock.appendChild(heading);
 
-  const summaryParts = [];
-  const releaseYear =
-    movie.releaseDate && movie.releaseDate.includes("-")
-      ? movie.releaseDate.split("-")[0]
-      : movie.releaseDate || "";
-  if (releaseYear) summaryParts.push(releaseYear);
-  const ratingValue =
-    Number.isFinite(Number(movie.rating)) && movie.rating !== "NR"
-      ? `${movie.rating} ★`
-      : "";
-  if (ratingValue) summaryParts.push(ratingValue);
-  if (movie.voteCount) {
-    summaryParts.push(`${formatNumber(movie.voteCount)} votes`);
-  }
-  if (summaryParts.length) {
-    const summary = createEl(
-      "p",
-      "movie-modal-summary",
-      summaryParts.join(" • ")
-    );
-    headerBlock.appendChild(summary);
-  }
+  const buildSummaryText = (details) => {
+    const summaryParts = [];
+    const releaseYear =
+      details.releaseDate && details.releaseDate.includes("-")
+        ? details.releaseDate.split("-")[0]
+        : details.releaseDate || "";
+    if (releaseYear) summaryParts.push(releaseYear);
+    const ratingValue =
+      Number.isFinite(Number(details.rating)) && details.rating !== "NR"
+        ? `${details.rating} ★`
+        : "";
+    if (ratingValue) summaryParts.push(ratingValue);
+    if (details.voteCount) {
+      summaryParts.push(`${formatNumber(details.voteCount)} votes`);
+    }
+    return summaryParts.join(" • ");
+  };
+  const summary = createEl("p", "movie-modal-summary", buildSummaryText(movie));
+  summary.classList.toggle("hidden", !summary.textContent);
+  headerBlock.appendChild(summary);
 
   const badgeRow = createEl("div", "movie-modal-badges");
   const statusBadge = createEl(
@@ -1392,7 +1960,42 @@ export const openMovieModal = (
   });
   main.appendChild(sectionsContainer);
 
-  const footer = createEl("div", "modal-actions");
+  const footer = createEl("div", "movie-modal-footer");
+
+  // Personal rating, note and tags, saved through `onPersonalChange` and
+  // `onTagsChange` as they change.
+  const personalRow = createEl("div", "movie-personal");
+  const savePersonal = (updates) => {
+    if (typeof onPersonalChange === "function") onPersonalChange(movie, updates);
+  };
+  const stars = createStarRating(personal?.userRating, (userRating) =>
+    savePersonal({ userRating })
+  );
+  const ratingField = createEl("div", "movie-personal-rating");
+  ratingField.append(createEl("span", "settings-label", "Your rating"), stars.element);
+  const noteField = createEl("label", "movie-personal-note");
+  const noteInput = createEl("textarea", "movie-personal-note-input");
+  noteInput.rows = 2;
+  noteInput.maxLength = NOTE_MAX_LENGTH;
+  noteInput.placeholder = "Private note: only stored on this device";
+  noteInput.value = personal?.note || "";
+  noteInput.setAttribute("aria-label", "Private note");
+  // Saved while typing so closing the modal mid-edit keeps the note.
+  noteInput.addEventListener(
+    "input",
+    debounce(() => savePersonal({ note: noteInput.value }), 500)
+  );
+  noteField.appendChild(noteInput);
+  const tagField = createEl("div", "movie-personal-tags");
+  tagField.append(
+    createEl("span", "settings-label", "Tags"),
+    createTagEditor(tags, tagSuggestions, (next) =>
+      typeof onTagsChange === "function" ? onTagsChange(movie, next) : next
+    )
+  );
+  personalRow.append(ratingField, noteField, tagField);
+
+  const actions = createEl("div", "modal-actions");
   const watchedBtn = createEl(
     "button",
     `secondary-button watched-toggle${isWatched ? " active" : ""}`,
@@ -1413,6 +2016,7 @@ export const openMovieModal = (
       badgeRow.classList.toggle("hidden", !nowWatched);
       statusCard.card.classList.toggle("accent", nowWatched);
       statusCard.valueEl.textContent = nowWatched ? "Watched" : "Want to watch";
+      rewatchBtn.classList.toggle("hidden", !nowWatched || !canLogViewing);
       watchedBtn.classList.add("pulse-favorite");
       watchedBtn.addEventListener(
         "animationend",
@@ -1422,6 +2026,16 @@ export const openMovieModal = (
     }
   });
 
+  // Rewatches go to the watch diary; only offered once the title is watched.
+  const canLogViewing = typeof onLogViewing === "function";
+  const rewatchBtn = createEl("button", "ghost-button rewatch-log");
+  rewatchBtn.type = "button";
+  rewatchBtn.innerHTML = '<i class="fa-solid fa-rotate-right"></i> Watched again today';
+  rewatchBtn.classList.toggle("hidden", !isWatched || !canLogViewing);
+  rewatchBtn.addEventListener("click", () => {
+    if (canLogViewing) onLogViewing(movie);
+  });
+
   const favoriteBtn = createEl(
     "button",
     `primary-button favorite-toggle${isFavorite ? " active" : ""}`
@@ -1446,9 +2060,18 @@ export const openMovieModal = (
       );
     }
   });
-  footer.append(watchedBtn, favoriteBtn);
+  actions.append(rewatchBtn);
+  if (typeof onAddToList === "function") {
+    const listBtn = createEl("button", "ghost-button");
+    listBtn.type = "button";
+    listBtn.innerHTML = '<i class="fa-regular fa-bookmark"></i> Add to list';
+    listBtn.addEventListener("click", () => onAddToList(movie));
+    actions.appendChild(listBtn);
+  }
+  actions.append(watchedBtn, favoriteBtn);
+  footer.append(personalRow, actions);
 
-  const { body: modalBody } = openModal(movie.title, content, footer);
+  const { modal, body: modalBody } = openModal(movie.title, content, footer);
   if (modalBody) {
     modalBody.scrollTop = 0;
     modalBodyRef = modalBody;
@@ -1476,120 +2099,2161 @@ export const openMovieModal = (
     );
     sections.forEach(({ element }) => sectionObserver.observe(element));
   }
-};
 
-export const openFavoritesModal = (favorites = [], onSelectMovie) => {
-  const container = createEl("div", "favorites-list");
-  if (!favorites.length) {
-    container.appendChild(
-      createEl("div", "empty-state", "Your watchlist is waiting for its first star.")
-    );
-  } else {
-    favorites.forEach((movie) => {
-      const item = createEl("button", "favorite-item");
-      item.type = "button";
-      const posterWrapper = createEl("div", "favorite-item-poster");
-  const img = createEl("img", "");
-  lazyLoadImage(img, movie.poster, { placeholder: "assets/placeholders/poster-fallback.png" });
-      img.alt = `${movie.title} poster`;
-      posterWrapper.appendChild(img);
-
-      const info = createEl("div", "favorite-item-info");
-      const title = createEl("h4", "favorite-item-title", movie.title);
-      const meta = createEl("div", "favorite-item-meta");
-      const year = (movie.releaseDate || "").split("-")[0] || "—";
-      const yearSpan = createEl("span", "favorite-item-year", year);
-      const isNumericRating = Number.isFinite(Number(movie.rating));
-      const rating = createEl("span", "favorite-item-rating");
-      rating.innerHTML = `<i class="fa-solid fa-star"></i> ${
-        isNumericRating ? Number(movie.rating).toFixed(1) : "NR"
-      }`;
-      meta.append(yearSpan, rating);
-      info.append(title, meta);
+  // Apply fresher details to the open modal in place, keeping scroll
+  // position, the active section and any playing trailer.
+  const update = (next = {}) => {
+    if (!modal.isConnected) return;
+    const details = { ...movie, ...next };
+    const titleEl = modal.querySelector(".modal-title");
+    if (titleEl) titleEl.textContent = details.title;
+    heading.textContent = details.title;
+    summary.textContent = buildSummaryText(details);
+    summary.classList.toggle("hidden", !summary.textContent);
+    ratingCard.valueEl.textContent = formatRatingStat(details);
+    releaseCard.valueEl.textContent = formatReleaseStat(details);
+    votesCard.valueEl.textContent = formatNumber(details.voteCount);
+    overviewText.textContent = details.overview || "Synopsis unavailable for this title.";
+    if (details.poster && details.poster !== movie.poster) {
+      poster.src = details.poster;
+    }
+  };
 
-      item.append(posterWrapper, info);
-      item.addEventListener("click", () => {
-        closeTopModal();
-        if (typeof onSelectMovie === "function") {
-          onSelectMovie(movie);
-        }
-      });
-      container.appendChild(item);
-    });
-  }
-  openModal("Favorites", container, null, "favorites-modal");
+  return { update };
 };
 
-export const openWatchedModal = (watched = [], onSelectMovie) => {
-  const container = createEl("div", "favorites-list");
-  if (!watched.length) {
-    container.appendChild(
-      createEl("div", "empty-state", "Mark movies as watched to build your history.")
-    );
-  } else {
-    watched.forEach((movie) => {
-      const item = createEl("button", "favorite-item");
-      item.type = "button";
-      const posterWrapper = createEl("div", "favorite-item-poster");
-  const img = createEl("img", "");
-  lazyLoadImage(img, movie.poster, { placeholder: "assets/placeholders/poster-fallback.png" });
-      img.alt = `${movie.title} poster`;
-      posterWrapper.appendChild(img);
-
-      const info = createEl("div", "favorite-item-info");
-      const title = createEl("h4", "favorite-item-title", movie.title);
-      const meta = createEl("div", "favorite-item-meta");
-      const year = (movie.releaseDate || "").split("-")[0] || "—";
-      const yearSpan = createEl("span", "favorite-item-year", year);
-      const isNumericRating = Number.isFinite(Number(movie.rating));
-      const rating = createEl("span", "favorite-item-rating");
-      rating.innerHTML = `<i class="fa-solid fa-star"></i> ${
-        isNumericRating ? Number(movie.rating).toFixed(1) : "NR"
-      }`;
-      meta.append(yearSpan, rating);
-      info.append(title, meta);
+// Series modal: overview plus a season picker that lazy-loads episode lists.
+// `progress` callbacks wire per-episode watched state:
+// { isEpisodeWatched, onEpisodeToggle, onSeasonToggle, getSeasonCompletion, getNextEpisode }.
+// Returns { update } for refreshed details.
+export const openSeriesModal = (
+  series,
+  {
+    seasons = [],
+    onSeasonSelect,
+    onFavoriteToggle,
+    onWatchedToggle,
+    isFavorite = false,
+    isWatched = false,
+    progress = {},
+  } = {}
+) => {
+  const {
+    isEpisodeWatched = () => false,
+    onEpisodeToggle,
+    onSeasonToggle,
+    getSeasonCompletion = () => ({ watched: 0, total: 0, percent: 0 }),
+    getNextEpisode = () => null,
+  } = progress;
+  const content = createEl("div", "movie-modal-content series-modal-content");
+  const layout = createEl("div", "movie-modal-layout");
+  const sidebar = createEl("aside", "movie-modal-sidebar");
+  const main = createEl("div", "movie-modal-main");
 
-      item.append(posterWrapper, info);
-      item.addEventListener("click", () => {
-        closeTopModal();
-        if (typeof onSelectMovie === "function") {
-          onSelectMovie(movie);
-        }
-      });
-      container.appendChild(item);
-    });
-  }
-  openModal("Watched", container, null, "favorites-modal");
-};
+  const posterWrapper = createEl("div", "movie-modal-poster");
+  const poster = createEl("img", "");
+  poster.alt = `${series.title} poster large`;
+  lazyLoadImage(poster, series.poster, {
+    placeholder: "assets/placeholders/poster-fallback.png",
+  });
+  posterWrapper.appendChild(poster);
+  sidebar.appendChild(posterWrapper);
 
-export const openCollectionModal = (
-  collection,
-  { onQueueMovie, onSelectMovie, onBulkQueue } = {}
-) => {
-  if (!collection) return;
-  const content = createEl("div", "collection-modal-content");
+  const statsGrid = createEl("div", "movie-modal-stats");
+  const episodeTotal = seasons.reduce(
+    (total, season) => total + (Number(season.episodeCount) || 0),
+    0
+  );
+  const formatSeriesRating = (details) =>
+    Number.isFinite(Number(details.rating)) ? `${details.rating}` : "NR";
+  const ratingCard = createStatCard("fa-star", "Rating", formatSeriesRating(series));
+  const airedCard = createStatCard("fa-calendar", "First aired", series.releaseDate || "Unknown");
+  const statusCard = createStatCard("fa-signal", "Status", series.status || "Unknown");
+  [
+    ratingCard,
+    airedCard,
+    createStatCard("fa-layer-group", "Seasons", String(seasons.length || "—")),
+    createStatCard("fa-list-ol", "Episodes", formatNumber(episodeTotal)),
+    statusCard,
+  ].forEach(({ card }) => statsGrid.appendChild(card));
+  sidebar.appendChild(statsGrid);
 
-  const header = createEl("div", "collection-modal-header");
-  const title = createEl(
-    "h3",
-    "collection-modal-title",
-    collection.name || "Collection"
+  const headerBlock = createEl("div", "movie-modal-header-block");
+  const heading = createEl("h3", "movie-modal-heading", series.title);
+  const buildSeriesSummary = (details) =>
+    [
+      details.years,
+      details.networks,
+      details.voteCount ? `${formatNumber(details.voteCount)} votes` : "",
+    ]
+      .filter(Boolean)
+      .join(" • ");
+  const summary = createEl("p", "movie-modal-summary", buildSeriesSummary(series));
+  summary.classList.toggle("hidden", !summary.textContent);
+  headerBlock.append(heading, summary);
+  const nextUpBtn = createEl("button", "series-next-up hidden");
+  nextUpBtn.type = "button";
+  headerBlock.appendChild(nextUpBtn);
+  main.appendChild(headerBlock);
+
+  const overviewSection = createEl("section", "modal-section modal-section-overview");
+  const overviewText = createEl(
+    "p",
+    "movie-modal-overview",
+    series.overview || "Synopsis unavailable for this title."
   );
-  header.appendChild(title);
+  overviewSection.append(createEl("h4", "modal-section-title", "Overview"), overviewText);
+  main.appendChild(overviewSection);
+
+  const seasonSection = createEl("section", "modal-section modal-section-seasons");
+  seasonSection.appendChild(createEl("h4", "modal-section-title", "Episodes"));
+  const picker = createEl("div", "season-picker");
+  picker.setAttribute("role", "group");
+  picker.setAttribute("aria-label", "Choose a season");
+  const seasonProgress = createEl("div", "season-progress hidden");
+  const progressTrack = createEl("div", "season-progress-track");
+  const progressFill = createEl("span", "season-progress-fill");
+  progressTrack.appendChild(progressFill);
+  const progressLabel = createEl("span", "season-progress-label");
+  const seasonToggleBtn = createEl("button", "ghost-button season-toggle");
+  seasonToggleBtn.type = "button";
+  seasonProgress.append(progressTrack, progressLabel, seasonToggleBtn);
+  const episodeList = createEl("ul", "episode-list");
+  const episodeStatus = createEl("p", "modal-section-note");
+  episodeStatus.setAttribute("aria-live", "polite");
+  seasonSection.append(picker, seasonProgress, episodeStatus, episodeList);
+  main.appendChild(seasonSection);
+
+  let activeSeason = null;
+  let activeEpisodes = [];
+  const seasonButtons = [];
+
+  // Re-read progress after any change: tab percentages, the bar, and "next up".
+  const refreshProgress = () => {
+    seasonButtons.forEach((btn) => {
+      const season = seasons.find((entry) => String(entry.number) === btn.dataset.season);
+      const { percent } = getSeasonCompletion(season);
+      const badge = btn.querySelector(".season-tab-progress");
+      badge.textContent = percent ? `${percent}%` : "";
+      btn.classList.toggle("complete", percent === 100);
+    });
+    if (activeSeason) {
+      const { watched, total, percent } = getSeasonCompletion(activeSeason);
+      progressFill.style.width = `${percent}%`;
+      progressLabel.textContent = `${watched} of ${total} watched`;
+      const complete = total > 0 && watched >= total;
+      seasonToggleBtn.textContent = complete ? "Clear season" : "Mark season watched";
+      seasonToggleBtn.dataset.watched = complete ? "true" : "false";
+      seasonToggleBtn.disabled = !activeEpisodes.length;
+    }
+    const nextUp = getNextEpisode();
+    nextUpBtn.classList.toggle("hidden", !nextUp);
+    if (nextUp) {
+      nextUpBtn.innerHTML = `<i class="fa-solid fa-forward-step"></i> Next up: ${formatEpisodeCode(nextUp)}`;
+      nextUpBtn.dataset.season = String(nextUp.seasonNumber);
+    }
+  };
 
-  if (collection.overview) {
-    const overview = createEl(
-      "p",
-      "collection-modal-overview",
-      collection.overview
+  const buildEpisodeItem = (episode) => {
+    const watched = isEpisodeWatched(episode.seasonNumber, episode.episodeNumber);
+    const item = createEl("li", `episode-item${watched ? " watched" : ""}`);
+    item.dataset.episodeId = episode.id;
+    const number = createEl("span", "episode-number", `E${episode.episodeNumber}`);
+    const info = createEl("div", "episode-info");
+    const title = createEl("span", "episode-title", episode.name);
+    const metaParts = [
+      episode.airDate || "TBA",
+      episode.runtime ? formatRuntime(episode.runtime) : "",
+      episode.rating !== "NR" ? `★ ${episode.rating}` : "",
+    ].filter(Boolean);
+    const meta = createEl("span", "episode-meta", metaParts.join(" • "));
+    info.append(title, meta);
+    if (episode.overview) {
+      info.appendChild(createEl("p", "episode-overview", episode.overview));
+    }
+    const toggle = createEl("button", "episode-toggle");
+    toggle.type = "button";
+    toggle.innerHTML = '<i class="fa-solid fa-check"></i>';
+    toggle.setAttribute("aria-pressed", watched ? "true" : "false");
+    toggle.setAttribute(
+      "aria-label",
+      `Mark ${formatEpisodeCode(episode)} ${episode.name} as watched`
     );
-    header.appendChild(overview);
-  }
+    toggle.addEventListener("click", () => {
+      if (typeof onEpisodeToggle !== "function") return;
+      const nowWatched = onEpisodeToggle(episode);
+      item.classList.toggle("watched", nowWatched);
+      toggle.setAttribute("aria-pressed", nowWatched ? "true" : "false");
+      refreshProgress();
+    });
+    item.append(number, info, toggle);
+    return item;
+  };
 
-  const actions = createEl("div", "collection-modal-actions");
-  const queueAllBtn = createEl(
-    "button",
-    "primary-button",
+  seasonToggleBtn.addEventListener("click", () => {
+    if (!activeSeason || typeof onSeasonToggle !== "function") return;
+    const markWatched = seasonToggleBtn.dataset.watched !== "true";
+    onSeasonToggle(activeSeason, activeEpisodes, markWatched);
+    episodeList.querySelectorAll(".episode-item").forEach((item) => {
+      item.classList.toggle("watched", markWatched);
+      item
+        .querySelector(".episode-toggle")
+        ?.setAttribute("aria-pressed", markWatched ? "true" : "false");
+    });
+    refreshProgress();
+  });
+
+  let seasonToken = 0;
+  const selectSeason = async (season) => {
+    seasonToken += 1;
+    const token = seasonToken;
+    activeSeason = season;
+    activeEpisodes = [];
+    seasonButtons.forEach((btn) => {
+      const isActive = Number(btn.dataset.season) === Number(season.number);
+      btn.classList.toggle("active", isActive);
+      btn.setAttribute("aria-pressed", isActive ? "true" : "false");
+    });
+    episodeList.innerHTML = "";
+    seasonProgress.classList.add("hidden");
+    episodeStatus.textContent = `Loading ${season.name}…`;
+    episodeStatus.classList.remove("hidden");
+    try {
+      const episodes =
+        typeof onSeasonSelect === "function" ? await onSeasonSelect(season) : [];
+      if (token !== seasonToken) return;
+      if (!episodes.length) {
+        episodeStatus.textContent = "No episodes listed for this season yet.";
+        return;
+      }
+      activeEpisodes = episodes;
+      seasonProgress.classList.remove("hidden");
+      refreshProgress();
+      episodeStatus.classList.add("hidden");
+      const fragment = document.createDocumentFragment();
+      episodes.forEach((episode) => fragment.appendChild(buildEpisodeItem(episode)));
+      episodeList.appendChild(fragment);
+    } catch (error) {
+      if (token !== seasonToken) return;
+      console.error("Season load failed", error);
+      episodeStatus.textContent = "Episodes are unavailable right now.";
+    }
+  };
+
+  if (!seasons.length) {
+    episodeStatus.textContent = "No seasons announced yet.";
+  } else {
+    seasons.forEach((season) => {
+      const btn = createEl("button", "modal-tab season-tab", season.name);
+      btn.appendChild(createEl("span", "season-tab-progress"));
+      btn.type = "button";
+      btn.dataset.season = String(season.number);
+      btn.setAttribute("aria-pressed", "false");
+      btn.addEventListener("click", () => selectSeason(season));
+      seasonButtons.push(btn);
+      picker.appendChild(btn);
+    });
+  }
+
+  layout.append(sidebar, main);
+  content.appendChild(layout);
+
+  const footer = createEl("div", "modal-actions");
+  const watchedBtn = createEl(
+    "button",
+    `secondary-button watched-toggle${isWatched ? " active" : ""}`
+  );
+  watchedBtn.type = "button";
+  const updateWatchedLabel = (active) => {
+    watchedBtn.innerHTML = `<i class="fa-solid fa-eye"></i> ${
+      active ? "Unwatch" : "Mark as Watched"
+    }`;
+  };
+  updateWatchedLabel(isWatched);
+  watchedBtn.addEventListener("click", () => {
+    if (typeof onWatchedToggle !== "function") return;
+    const nowWatched = onWatchedToggle(series);
+    watchedBtn.classList.toggle("active", nowWatched);
+    updateWatchedLabel(nowWatched);
+  });
+
+  const favoriteBtn = createEl(
+    "button",
+    `primary-button favorite-toggle${isFavorite ? " active" : ""}`
+  );
+  favoriteBtn.type = "button";
+  const updateFavoriteLabel = (active) => {
+    favoriteBtn.innerHTML = `<i class="fa-solid fa-heart"></i> ${
+      active ? "Remove from Favorites" : "Add to Favorites"
+    }`;
+  };
+  updateFavoriteLabel(isFavorite);
+  favoriteBtn.addEventListener("click", () => {
+    if (typeof onFavoriteToggle !== "function") return;
+    const nowFavorite = onFavoriteToggle(series);
+    favoriteBtn.classList.toggle("active", nowFavorite);
+    updateFavoriteLabel(nowFavorite);
+  });
+  footer.append(watchedBtn, favoriteBtn);
+
+  const { modal, body } = openModal(series.title, content, footer, "series-modal");
+  if (body) {
+    body.scrollTop = 0;
+  }
+
+  nextUpBtn.addEventListener("click", () => {
+    const season = seasons.find(
+      (entry) => String(entry.number) === nextUpBtn.dataset.season
+    );
+    if (season && season !== activeSeason) {
+      selectSeason(season);
+    }
+    seasonSection.scrollIntoView({ behavior: "smooth", block: "start" });
+  });
+  refreshProgress();
+
+  // Open on the "next up" season when resuming, otherwise the first regular
+  // season; specials (season 0) are listed last.
+  const nextUp = getNextEpisode();
+  const initialSeason =
+    (nextUp && seasons.find((season) => season.number === nextUp.seasonNumber)) ||
+    seasons.find((season) => season.number > 0) ||
+    seasons[0];
+  if (initialSeason) {
+    selectSeason(initialSeason);
+  }
+
+  // Apply fresher series details in place; the season list and any loaded
+  // episodes stay as they are.
+  const update = (next = {}) => {
+    if (!modal.isConnected) return;
+    const details = { ...series, ...next };
+    const titleEl = modal.querySelector(".modal-title");
+    if (titleEl) titleEl.textContent = details.title;
+    heading.textContent = details.title;
+    summary.textContent = buildSeriesSummary(details);
+    summary.classList.toggle("hidden", !summary.textContent);
+    ratingCard.valueEl.textContent = formatSeriesRating(details);
+    airedCard.valueEl.textContent = details.releaseDate || "Unknown";
+    statusCard.valueEl.textContent = details.status || "Unknown";
+    overviewText.textContent = details.overview || "Synopsis unavailable for this title.";
+    if (details.poster && details.poster !== series.poster) {
+      poster.src = details.poster;
+    }
+  };
+
+  return { update };
+};
+
+// Sort orders offered in the favorites and watched modals.
+const SAVED_LIST_SORTS = [
+  { value: "added", label: "Date added" },
+  { value: "title", label: "Title" },
+  { value: "personal", label: "Your rating" },
+  { value: "tmdb", label: "TMDB rating" },
+  { value: "year", label: "Release year" },
+];
+
+const toSortNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : -Infinity;
+};
+
+// Media filter offered next to the title filter in saved-list modals.
+const SAVED_LIST_TYPES = [
+  { value: "all", label: "Movies & series" },
+  { value: MEDIA_TYPES.MOVIE, label: "Movies" },
+  { value: MEDIA_TYPES.TV, label: "Series" },
+];
+
+// Shared body of the favorites, watched and custom list modals: one row per
+// saved title with its TMDB and personal rating, the start of any note and
+// its tags, a title/media/tag filter and a sort menu. `views` adds custom
+// layouts ahead of the sorts ({ value, label, render }); the first one opens
+// by default.
+// `onRemove(movie)` adds a remove button per row and returns the new items.
+// Returns { setItems } to re-render in place.
+const openSavedListModal = (
+  title,
+  items,
+  { emptyText, onSelectMovie, onRemove, ratings = {}, tags = {}, views = [] }
+) => {
+  let current = items;
+  const container = createEl("div", "favorites-list");
+  const personalOf = (movie) => ratings[buildMediaKey(movie.id, getMediaType(movie))] || null;
+  const tagsOf = (movie) => tags[buildMediaKey(movie.id, getMediaType(movie))]?.tags || [];
+
+  // `badges` are extra pills for the meta row (e.g. "Rewatch").
+  const buildItem = (movie, { badges = [] } = {}) => {
+    const personal = personalOf(movie);
+    const item = createEl("button", "favorite-item");
+    item.type = "button";
+    const posterWrapper = createEl("div", "favorite-item-poster");
+    const img = createEl("img", "");
+    lazyLoadImage(img, movie.poster, { placeholder: "assets/placeholders/poster-fallback.png" });
+    img.alt = `${movie.title} poster`;
+    posterWrapper.appendChild(img);
+
+    const info = createEl("div", "favorite-item-info");
+    const heading = createEl("h4", "favorite-item-title", movie.title);
+    const meta = createEl("div", "favorite-item-meta");
+    const year = (movie.releaseDate || "").split("-")[0] || "—";
+    const yearSpan = createEl("span", "favorite-item-year", year);
+    const isNumericRating = Number.isFinite(Number(movie.rating));
+    const rating = createEl("span", "favorite-item-rating");
+    rating.innerHTML = `<i class="fa-solid fa-star"></i> ${
+      isNumericRating ? Number(movie.rating).toFixed(1) : "NR"
+    }`;
+    meta.append(yearSpan, rating);
+    if (personal?.userRating) {
+      const userRating = createEl("span", "favorite-item-user-rating");
+      userRating.innerHTML = `<i class="fa-solid fa-star-half-stroke"></i> ${formatStars(
+        personal.userRating
+      )}`;
+      userRating.title = "Your rating";
+      meta.appendChild(userRating);
+    }
+    if (getMediaType(movie) === MEDIA_TYPES.TV) {
+      meta.appendChild(createEl("span", "media-pill", "Series"));
+    }
+    badges.forEach((badge) => meta.appendChild(createEl("span", "media-pill", badge)));
+    info.append(heading, meta);
+    if (personal?.note) {
+      info.appendChild(createEl("p", "favorite-item-note", personal.note));
+    }
+    if (tagsOf(movie).length) {
+      const tagRow = createEl("div", "card-tags favorite-item-tags");
+      renderCardTags(tagRow, tagsOf(movie));
+      info.appendChild(tagRow);
+    }
+
+    item.append(posterWrapper, info);
+    item.addEventListener("click", () => {
+      closeTopModal();
+      if (typeof onSelectMovie === "function") {
+        onSelectMovie(movie);
+      }
+    });
+    return item;
+  };
+
+  // Descending for ratings and years; unrated titles sink to the bottom.
+  const comparators = {
+    title: (a, b) => a.title.localeCompare(b.title),
+    personal: (a, b) =>
+      toSortNumber(personalOf(b)?.userRating) - toSortNumber(personalOf(a)?.userRating),
+    tmdb: (a, b) => toSortNumber(b.rating) - toSortNumber(a.rating),
+    year: (a, b) =>
+      toSortNumber(parseInt(b.releaseDate, 10)) - toSortNumber(parseInt(a.releaseDate, 10)),
+  };
+  const list = createEl("div", "favorites-list-items");
+  const options = [...views, ...SAVED_LIST_SORTS];
+  const { field, select } = createSettingsSelect("sort", "Sort by", options, options[0].value);
+  const { field: typeField, select: typeSelect } = createSettingsSelect(
+    "type",
+    "Show",
+    SAVED_LIST_TYPES,
+    "all"
+  );
+  const search = createEl("input", "settings-select favorites-list-filter");
+  search.type = "search";
+  search.placeholder = "Filter by title";
+  search.setAttribute("aria-label", "Filter by title");
+  // Only tags used by the titles in this list are offered.
+  const { field: tagField, select: tagSelect } = createSettingsSelect(
+    "tag",
+    "Tag",
+    [{ value: "", label: "Any tag" }],
+    ""
+  );
+  const renderTagOptions = () => {
+    const usage = new Map();
+    current.forEach((movie) =>
+      tagsOf(movie).forEach((tag) => usage.set(tag, (usage.get(tag) || 0) + 1))
+    );
+    const selected = usage.has(tagSelect.value) ? tagSelect.value : "";
+    const anyOption = createEl("option", "", "Any tag");
+    anyOption.value = "";
+    tagSelect.replaceChildren(
+      anyOption,
+      ...Array.from(usage)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([tag, count]) => {
+          const option = createEl("option", "", `${tag} (${count})`);
+          option.value = tag;
+          return option;
+        })
+    );
+    tagSelect.value = selected;
+    tagField.classList.toggle("hidden", !usage.size);
+  };
+  const toolbar = createEl("div", "favorites-list-toolbar");
+  toolbar.append(search, typeField, tagField, field);
+
+  const matchesFilter = (movie) => {
+    const query = search.value.trim().toLowerCase();
+    return (
+      (typeSelect.value === "all" || getMediaType(movie) === typeSelect.value) &&
+      (!tagSelect.value || tagsOf(movie).includes(tagSelect.value)) &&
+      (!query || String(movie.title || "").toLowerCase().includes(query))
+    );
+  };
+
+  const buildRow = (movie) => {
+    const item = buildItem(movie);
+    if (typeof onRemove !== "function") return item;
+    const row = createEl("div", "saved-list-row");
+    const removeBtn = createEl("button", "ghost-button saved-list-remove");
+    removeBtn.type = "button";
+    removeBtn.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+    removeBtn.setAttribute("aria-label", `Remove ${movie.title} from ${title}`);
+    removeBtn.addEventListener("click", () => {
+      const next = onRemove(movie);
+      if (Array.isArray(next)) setItems(next);
+    });
+    row.append(item, removeBtn);
+    return row;
+  };
+
+  const render = () => {
+    toolbar.classList.toggle("hidden", !current.length);
+    if (!current.length) {
+      list.replaceChildren(createEl("div", "empty-state", emptyText));
+      return;
+    }
+    const visible = current.filter(matchesFilter);
+    if (!visible.length) {
+      list.replaceChildren(createEl("div", "empty-state", "No titles match that filter."));
+      return;
+    }
+    const view = views.find(({ value }) => value === select.value);
+    if (view) {
+      list.replaceChildren(view.render(visible, { buildItem, personalOf }));
+      return;
+    }
+    const order = comparators[select.value];
+    const sorted = order ? [...visible].sort(order) : visible;
+    list.replaceChildren(...sorted.map(buildRow));
+  };
+  const setItems = (next = []) => {
+    current = next;
+    renderTagOptions();
+    render();
+  };
+  select.addEventListener("change", render);
+  typeSelect.addEventListener("change", render);
+  tagSelect.addEventListener("change", render);
+  search.addEventListener("input", render);
+  renderTagOptions();
+  render();
+  container.append(toolbar, list);
+  openModal(title, container, null, "favorites-modal");
+
+  return { setItems };
+};
+
+export const openFavoritesModal = (
+  favorites = [],
+  onSelectMovie,
+  { ratings = {}, tags = {} } = {}
+) =>
+  openSavedListModal("Favorites", favorites, {
+    emptyText: "Your watchlist is waiting for its first star.",
+    onSelectMovie,
+    ratings,
+    tags,
+  });
+
+const formatDiaryMonth = (month) =>
+  new Date(`${month}-01T00:00:00`).toLocaleDateString(undefined, {
+    month: "long",
+    year: "numeric",
+  });
+
+// Every viewing as a diary row, grouped by month, newest first. Undated
+// viewings (titles marked watched before the diary existed) close the list.
+const createWatchDiary = (items, { buildItem, onViewingChange, onViewingDelete }) => {
+  const entries = items
+    .flatMap((movie) =>
+      (movie.viewings || []).map((viewing, index) => ({ movie, viewing, number: index + 1 }))
+    )
+    .sort(
+      (a, b) =>
+        b.viewing.date.localeCompare(a.viewing.date) || b.viewing.loggedAt - a.viewing.loggedAt
+    );
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const month = entry.viewing.date.slice(0, 7) || "undated";
+    if (!groups.has(month)) groups.set(month, []);
+    groups.get(month).push(entry);
+  });
+
+  const diary = createEl("div", "watch-diary");
+  groups.forEach((monthEntries, month) => {
+    const section = createEl("section", "watch-diary-month");
+    section.appendChild(
+      createEl(
+        "h4",
+        "modal-section-title",
+        `${month === "undated" ? "Undated" : formatDiaryMonth(month)} · ${monthEntries.length}`
+      )
+    );
+    monthEntries.forEach(({ movie, viewing, number }) => {
+      const row = createEl("div", "watch-diary-entry");
+      const day = createEl(
+        "span",
+        "watch-diary-day",
+        viewing.date ? String(Number(viewing.date.slice(8))) : "—"
+      );
+      day.setAttribute("aria-hidden", "true");
+      const item = buildItem(movie, { badges: number > 1 ? [`Rewatch #${number - 1}`] : [] });
+
+      const actions = createEl("div", "watch-diary-actions");
+      const dateInput = createEl("input", "settings-select watch-diary-date");
+      dateInput.type = "date";
+      dateInput.value = viewing.date;
+      dateInput.max = getLocalIsoDate();
+      dateInput.setAttribute("aria-label", `Date you watched ${movie.title}`);
+      dateInput.addEventListener("change", () => {
+        if (dateInput.value && typeof onViewingChange === "function") {
+          onViewingChange(movie, viewing.id, { date: dateInput.value });
+        }
+      });
+      const deleteBtn = createEl("button", "ghost-button watch-diary-delete");
+      deleteBtn.type = "button";
+      deleteBtn.innerHTML = '<i class="fa-solid fa-trash-can"></i>';
+      deleteBtn.setAttribute("aria-label", `Delete this viewing of ${movie.title}`);
+      deleteBtn.addEventListener("click", () => {
+        if (typeof onViewingDelete === "function") onViewingDelete(movie, viewing.id);
+      });
+      actions.append(dateInput, deleteBtn);
+
+      row.append(day, item, actions);
+      section.appendChild(row);
+    });
+    diary.appendChild(section);
+  });
+  return diary;
+};
+
+// Watched history, opening on the diary. `onViewingChange(movie, viewingId,
+// { date })` and `onViewingDelete(movie, viewingId)` return the updated
+// watched list so the modal can re-render.
+export const openWatchedModal = (
+  watched = [],
+  onSelectMovie,
+  { ratings = {}, tags = {}, onViewingChange, onViewingDelete } = {}
+) => {
+  let modal = null;
+  const refresh = (next) => {
+    if (Array.isArray(next)) modal?.setItems(next);
+  };
+  modal = openSavedListModal("Watched", watched, {
+    emptyText: "Mark movies as watched to build your history.",
+    onSelectMovie,
+    ratings,
+    tags,
+    views: [
+      {
+        value: "diary",
+        label: "Diary",
+        render: (items, { buildItem }) =>
+          createWatchDiary(items, {
+            buildItem,
+            onViewingChange: (...args) => refresh(onViewingChange?.(...args)),
+            onViewingDelete: (...args) => refresh(onViewingDelete?.(...args)),
+          }),
+      },
+    ],
+  });
+};
+
+// Browse one custom list. `onRemove(movie)` returns the list's new items.
+export const openCustomListModal = (
+  list,
+  { ratings = {}, tags = {}, onSelectMovie, onRemove } = {}
+) =>
+  openSavedListModal(list.name, list.items || [], {
+    emptyText: "Nothing here yet. Add titles from any card, search result or movie page.",
+    onSelectMovie,
+    onRemove,
+    ratings,
+    tags,
+  });
+
+// Inline "name a new list" form shared by the list and plan managers and the
+// list picker. `onSubmit(name)` returns truthy when the list was created.
+const createListNameForm = (
+  buttonLabel,
+  onSubmit,
+  placeholder = "New list name, e.g. Horror night"
+) => {
+  const form = createEl("form", "custom-list-form");
+  form.noValidate = true;
+  const input = createEl("input", "settings-select");
+  input.type = "text";
+  input.maxLength = LIST_NAME_MAX_LENGTH;
+  input.placeholder = placeholder;
+  input.setAttribute("aria-label", placeholder.split(",")[0]);
+  const submit = createEl("button", "secondary-button", buttonLabel);
+  submit.type = "submit";
+  form.append(input, submit);
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    if (!input.value.trim()) {
+      input.focus();
+      return;
+    }
+    if (typeof onSubmit === "function" && onSubmit(input.value)) {
+      input.value = "";
+    }
+  });
+  return form;
+};
+
+// "Add to list" picker: one checkbox per custom list plus a form to create a
+// list with the title already on it. `onToggle(listId, movie)` returns
+// whether the title is now listed; `onCreate(name, movie)` returns the
+// updated lists (or null).
+export const openListPickerModal = (movie, { lists = [], onToggle, onCreate } = {}) => {
+  let current = lists;
+  const content = createEl("div", "list-picker");
+  const choices = createEl("div", "list-picker-choices");
+  const key = buildMediaKey(movie.id, getMediaType(movie));
+  const isListed = (list) =>
+    (list.items || []).some((item) => buildMediaKey(item.id, getMediaType(item)) === key);
+
+  const render = () => {
+    if (!current.length) {
+      choices.replaceChildren(
+        createEl("p", "modal-section-note", "No lists yet. Name one below to start.")
+      );
+      return;
+    }
+    choices.replaceChildren(
+      ...current.map((list) => {
+        const field = createEl("label", "settings-field settings-check");
+        const input = createEl("input", "");
+        input.type = "checkbox";
+        input.checked = isListed(list);
+        input.addEventListener("change", () => {
+          if (typeof onToggle === "function") input.checked = onToggle(list.id, movie);
+        });
+        field.append(
+          input,
+          createEl("span", "settings-label", list.name),
+          createEl("span", "list-picker-count", formatNumber((list.items || []).length))
+        );
+        return field;
+      })
+    );
+  };
+  render();
+
+  const form = createListNameForm("Create & add", (name) => {
+    const next = typeof onCreate === "function" ? onCreate(name, movie) : null;
+    if (!next) return false;
+    current = next;
+    render();
+    return true;
+  });
+  content.append(choices, form);
+  openModal(`Add "${movie.title}" to a list`, content, null, "list-picker-modal");
+};
+
+// Icon-only row action for the list, tag and plan managers.
+const createIconButton = (icon, label, onClick) => {
+  const button = createEl("button", "ghost-button manager-action");
+  button.type = "button";
+  button.innerHTML = `<i class="fa-solid ${icon}"></i>`;
+  button.setAttribute("aria-label", label);
+  button.title = label;
+  button.addEventListener("click", onClick);
+  return button;
+};
+
+// Swap `anchor` for a text input holding `value`. Enter or blur calls
+// `onSave(text)` when the text changed, otherwise (or on Escape) `onCancel()`.
+const startInlineRename = (anchor, { value, maxLength, label, onSave, onCancel }) => {
+  const input = createEl("input", "settings-select manager-rename");
+  input.type = "text";
+  input.maxLength = maxLength;
+  input.value = value;
+  input.setAttribute("aria-label", label);
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    if (save && input.value.trim() && input.value.trim() !== value) {
+      onSave(input.value);
+    } else {
+      onCancel();
+    }
+  };
+  input.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") {
+      event.preventDefault();
+      finish(true);
+    } else if (event.key === "Escape") {
+      event.stopPropagation();
+      finish(false);
+    }
+  });
+  input.addEventListener("blur", () => finish(true));
+  anchor.replaceWith(input);
+  input.focus();
+  input.select();
+};
+
+// Delete action that takes a second click within a few seconds.
+const createConfirmDeleteButton = (label, onConfirm) => {
+  let confirmTimer = null;
+  const button = createIconButton("fa-trash-can", label, () => {
+    if (!button.classList.contains("confirm")) {
+      button.classList.add("confirm");
+      button.innerHTML = '<i class="fa-solid fa-trash-can"></i> Delete?';
+      confirmTimer = window.setTimeout(() => {
+        button.classList.remove("confirm");
+        button.innerHTML = '<i class="fa-solid fa-trash-can"></i>';
+      }, 4000);
+      return;
+    }
+    window.clearTimeout(confirmTimer);
+    onConfirm();
+  });
+  return button;
+};
+
+// Manage custom lists: create, open, rename, reorder and delete. Every
+// handler returns the updated lists so the modal can re-render; `onOpen(list)`
+// browses one list. Returns { setLists } for changes made elsewhere; `onClose`
+// runs once the modal is gone.
+export const openCustomListsModal = ({
+  lists = [],
+  onOpen,
+  onCreate,
+  onRename,
+  onMove,
+  onDelete,
+  onClose,
+} = {}) => {
+  let current = lists;
+  const content = createEl("div", "custom-lists");
+  const rows = createEl("ol", "custom-lists-items");
+  const update = (next) => {
+    if (!Array.isArray(next)) return;
+    current = next;
+    render();
+  };
+
+  const buildRow = (list, index) => {
+    const row = createEl("li", "custom-list-row");
+    const openBtn = createEl("button", "custom-list-open");
+    openBtn.type = "button";
+    const count = (list.items || []).length;
+    openBtn.append(
+      createEl("span", "custom-list-name", list.name),
+      createEl("span", "custom-list-count", `${formatNumber(count)} title${count === 1 ? "" : "s"}`)
+    );
+    openBtn.addEventListener("click", () => onOpen?.(list));
+
+    const renameBtn = createIconButton("fa-pen", `Rename ${list.name}`, () =>
+      startInlineRename(openBtn, {
+        value: list.name,
+        maxLength: LIST_NAME_MAX_LENGTH,
+        label: `New name for ${list.name}`,
+        onSave: (name) => update(onRename?.(list.id, name)),
+        onCancel: render,
+      })
+    );
+    const upBtn = createIconButton("fa-arrow-up", `Move ${list.name} up`, () =>
+      update(onMove?.(list.id, -1))
+    );
+    upBtn.disabled = index === 0;
+    const downBtn = createIconButton("fa-arrow-down", `Move ${list.name} down`, () =>
+      update(onMove?.(list.id, 1))
+    );
+    downBtn.disabled = index === current.length - 1;
+
+    const deleteBtn = createConfirmDeleteButton(`Delete ${list.name}`, () =>
+      update(onDelete?.(list.id))
+    );
+
+    const actions = createEl("div", "custom-list-actions");
+    actions.append(renameBtn, upBtn, downBtn, deleteBtn);
+    row.append(openBtn, actions);
+    return row;
+  };
+
+  const render = () => {
+    if (!current.length) {
+      rows.replaceChildren(
+        createEl("li", "empty-state", "Group titles your way: \"Horror night\", \"Oscars 2026\"…")
+      );
+      return;
+    }
+    rows.replaceChildren(...current.map(buildRow));
+  };
+  render();
+
+  const form = createListNameForm("Create list", (name) => {
+    const next = onCreate?.(name);
+    update(next);
+    return Array.isArray(next);
+  });
+  content.append(form, rows);
+  openModal("My Lists", content, null, "custom-lists-modal", { onClose });
+  return { setLists: update };
+};
+
+// Manage tags: usage counts, rename and delete, plus a shortcut to show a
+// tag's titles in the main grid (`onShow(tag)`). Renaming onto an existing
+// tag merges the two. `onRename` and `onDelete` return the updated usage
+// ([{ tag, count }]); returns { setUsage } for changes made elsewhere.
+// `onClose` runs once the modal is gone.
+export const openTagManagerModal = ({
+  usage = [],
+  onShow,
+  onRename,
+  onDelete,
+  onClose,
+} = {}) => {
+  let current = usage;
+  const content = createEl("div", "custom-lists");
+  const rows = createEl("ol", "custom-lists-items");
+  const update = (next) => {
+    if (!Array.isArray(next)) return;
+    current = next;
+    render();
+  };
+
+  const buildRow = ({ tag, count }) => {
+    const row = createEl("li", "custom-list-row");
+    const showBtn = createEl("button", "custom-list-open");
+    showBtn.type = "button";
+    showBtn.title = `Show titles tagged ${tag}`;
+    showBtn.append(
+      createEl("span", "tag-chip", tag),
+      createEl("span", "custom-list-count", `${formatNumber(count)} title${count === 1 ? "" : "s"}`)
+    );
+    showBtn.addEventListener("click", () => {
+      closeTopModal();
+      onShow?.(tag);
+    });
+
+    const renameBtn = createIconButton("fa-pen", `Rename ${tag}`, () =>
+      startInlineRename(showBtn, {
+        value: tag,
+        maxLength: TAG_MAX_LENGTH,
+        label: `New name for ${tag}`,
+        onSave: (name) => update(onRename?.(tag, name)),
+        onCancel: render,
+      })
+    );
+    const deleteBtn = createConfirmDeleteButton(`Delete ${tag}`, () =>
+      update(onDelete?.(tag))
+    );
+
+    const actions = createEl("div", "custom-list-actions");
+    actions.append(renameBtn, deleteBtn);
+    row.append(showBtn, actions);
+    return row;
+  };
+
+  const render = () => {
+    if (!current.length) {
+      rows.replaceChildren(
+        createEl("li", "empty-state", "No tags yet. Add them from any movie's details.")
+      );
+      return;
+    }
+    rows.replaceChildren(...current.map(buildRow));
+  };
+  render();
+
+  content.append(
+    createEl(
+      "p",
+      "modal-section-note",
+      "Rename a tag to one you already use to merge them. Deleting a tag keeps the titles."
+    ),
+    rows
+  );
+  openModal("Tags", content, null, "tag-manager-modal", { onClose });
+  return { setUsage: update };
+};
+
+const formatPlanSummary = (plan) => {
+  const items = plan.items || [];
+  const runtime = items.reduce((total, item) => total + (Number(item.runtime) || 0), 0);
+  const count = `${formatNumber(items.length)} title${items.length === 1 ? "" : "s"}`;
+  return runtime ? `${count} · ${formatRuntime(runtime)}` : count;
+};
+
+// Manage session plans: create, switch, rename, duplicate, archive, restore
+// and delete (archived plans only). Every handler returns the updated store
+// ({ activeId, plans }) so the modal can re-render. Returns { setPlans } for
+// changes made elsewhere; `onClose` runs once the modal is gone.
+export const openSessionPlansModal = ({
+  plans = [],
+  activeId = "",
+  onSwitch,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onArchive,
+  onRestore,
+  onDelete,
+  onClose,
+} = {}) => {
+  let current = { activeId, plans };
+  const content = createEl("div", "custom-lists");
+  const rows = createEl("ol", "custom-lists-items");
+  const archivedTitle = createEl("h4", "modal-section-title", "Archived");
+  const archivedRows = createEl("ol", "custom-lists-items");
+  const update = (next) => {
+    if (!next || !Array.isArray(next.plans)) return;
+    current = next;
+    render();
+  };
+
+  const buildRow = (plan) => {
+    const archived = Boolean(plan.archivedAt);
+    const active = !archived && plan.id === current.activeId;
+    const row = createEl("li", `custom-list-row${active ? " active" : ""}`);
+    const openBtn = createEl("button", "custom-list-open");
+    openBtn.type = "button";
+    openBtn.title = archived ? `Restore ${plan.name}` : `Switch to ${plan.name}`;
+    const name = createEl("span", "custom-list-name", plan.name);
+    if (active) {
+      name.appendChild(createEl("span", "session-plan-badge", "Active"));
+    }
+    openBtn.append(name, createEl("span", "custom-list-count", formatPlanSummary(plan)));
+    openBtn.addEventListener("click", () => {
+      if (active) return;
+      update(archived ? onRestore?.(plan.id) : onSwitch?.(plan.id));
+    });
+
+    const actions = createEl("div", "custom-list-actions");
+    if (archived) {
+      actions.append(
+        createIconButton("fa-box-open", `Restore ${plan.name}`, () =>
+          update(onRestore?.(plan.id))
+        ),
+        createConfirmDeleteButton(`Delete ${plan.name}`, () => update(onDelete?.(plan.id)))
+      );
+    } else {
+      actions.append(
+        createIconButton("fa-pen", `Rename ${plan.name}`, () =>
+          startInlineRename(openBtn, {
+            value: plan.name,
+            maxLength: LIST_NAME_MAX_LENGTH,
+            label: `New name for ${plan.name}`,
+            onSave: (text) => update(onRename?.(plan.id, text)),
+            onCancel: render,
+          })
+        ),
+        createIconButton("fa-copy", `Duplicate ${plan.name}`, () =>
+          update(onDuplicate?.(plan.id))
+        ),
+        createIconButton("fa-box-archive", `Archive ${plan.name}`, () =>
+          update(onArchive?.(plan.id))
+        )
+      );
+    }
+    row.append(openBtn, actions);
+    return row;
+  };
+
+  const render = () => {
+    const inUse = current.plans.filter((plan) => !plan.archivedAt);
+    const archived = current.plans.filter((plan) => plan.archivedAt);
+    if (!inUse.length) {
+      rows.replaceChildren(
+        createEl("li", "empty-state", "Plan a few nights ahead: \"Friday marathon\", \"Holiday week\"…")
+      );
+    } else {
+      rows.replaceChildren(...inUse.map(buildRow));
+    }
+    archivedRows.replaceChildren(...archived.map(buildRow));
+    archivedTitle.classList.toggle("hidden", !archived.length);
+  };
+  render();
+
+  const form = createListNameForm(
+    "Create plan",
+    (name) => {
+      const next = onCreate?.(name);
+      update(next);
+      return Boolean(next);
+    },
+    "New plan name, e.g. Friday marathon"
+  );
+  content.append(form, rows, archivedTitle, archivedRows);
+  openModal("Session Plans", content, null, "session-plans-modal", { onClose });
+  return { setPlans: update };
+};
+
+// Preview of a plan opened from a share link. `movies` are planner entries
+// fetched from TMDB and `missing` counts ids that could not be loaded.
+// `current` describes the active plan ({ name, ids, room }) so the merge
+// option can say what fits. `onImport()` saves the link as a new plan and
+// `onMerge()` adds what fits to the active one.
+export const openSharedPlanModal = ({
+  name = "",
+  schedule = null,
+  movies = [],
+  missing = 0,
+  current = {},
+  onImport,
+  onMerge,
+} = {}) => {
+  const currentIds = new Set((current.ids || []).map(Number));
+  const currentName = current.name || "your planner";
+  const fresh = movies.filter((movie) => !currentIds.has(Number(movie.id)));
+  const room = Math.max(0, Number(current.room) || 0);
+  const runtime = movies.reduce((total, movie) => total + (Number(movie.runtime) || 0), 0);
+
+  const content = createEl("div", "shared-plan");
+  content.appendChild(
+    createEl(
+      "p",
+      "modal-section-note",
+      [
+        `${formatNumber(movies.length)} title${movies.length === 1 ? "" : "s"}`,
+        runtime ? formatRuntime(runtime) : "",
+        schedule?.startAt ? `Starts ${formatPlanStart(schedule.startAt)}` : "",
+      ]
+        .filter(Boolean)
+        .join(" · ")
+    )
+  );
+  const list = createEl("ol", "offline-plan");
+  movies.forEach((movie) => {
+    const row = createEl("li", "offline-plan-item");
+    const title = createEl("span", "offline-plan-title", movie.title);
+    if (currentIds.has(Number(movie.id))) {
+      title.appendChild(createEl("span", "shared-plan-owned", `In ${currentName}`));
+    }
+    row.append(title, createEl("span", "offline-plan-runtime", formatRuntime(movie.runtime)));
+    list.appendChild(row);
+  });
+  content.appendChild(list);
+  if (missing) {
+    content.appendChild(
+      createEl(
+        "p",
+        "modal-section-note",
+        `${formatNumber(missing)} title${missing === 1 ? "" : "s"} in the link could not be loaded.`
+      )
+    );
+  }
+  if (fresh.length > room) {
+    content.appendChild(
+      createEl(
+        "p",
+        "modal-section-note",
+        room
+          ? `Only ${formatNumber(room)} more fit in ${currentName} (${MAX_PLANNER_ITEMS} titles per plan).`
+          : `${currentName} is full (${MAX_PLANNER_ITEMS} titles per plan).`
+      )
+    );
+  }
+
+  const footer = createEl("div", "modal-actions");
+  const cancelBtn = createEl("button", "ghost-button", "Cancel");
+  cancelBtn.type = "button";
+  cancelBtn.addEventListener("click", () => closeTopModal());
+  const mergeBtn = createEl("button", "secondary-button");
+  mergeBtn.type = "button";
+  mergeBtn.innerHTML = '<i class="fa-solid fa-plus"></i> ';
+  mergeBtn.append(`Add to ${currentName}`);
+  mergeBtn.disabled = !fresh.length || !room;
+  mergeBtn.addEventListener("click", () => {
+    closeTopModal();
+    onMerge?.();
+  });
+  const importBtn = createEl("button", "primary-button");
+  importBtn.type = "button";
+  importBtn.innerHTML = '<i class="fa-solid fa-layer-group"></i> Import as new plan';
+  importBtn.addEventListener("click", () => {
+    closeTopModal();
+    onImport?.();
+  });
+  footer.append(cancelBtn, mergeBtn, importBtn);
+
+  openModal(name ? `Shared plan: ${name}` : "Shared session plan", content, footer, "shared-plan-modal");
+  importBtn.focus();
+};
+
+const formatTtlOption = (minutes) => {
+  if (minutes === 0) return "Off (always fetch fresh)";
+  if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)} day`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? "" : "s"}`;
+  return `${minutes} minutes`;
+};
+
+// Labelled <select> row for the settings form.
+const createSettingsSelect = (name, label, options, value) => {
+  const field = createEl("label", "settings-field");
+  const caption = createEl("span", "settings-label", label);
+  const select = createEl("select", "settings-select");
+  select.name = name;
+  options.forEach((option) => {
+    const el = createEl("option", "", option.label);
+    el.value = String(option.value);
+    select.appendChild(el);
+  });
+  select.value = String(value);
+  field.append(caption, select);
+  return { field, select };
+};
+
+// Labelled checkbox or radio row for the settings-style forms.
+const createSettingsChoice = (type, label, { name = "", value = "", checked = false } = {}) => {
+  const field = createEl("label", "settings-field settings-check");
+  const input = createEl("input", "");
+  input.type = type;
+  if (name) input.name = name;
+  if (value) input.value = value;
+  input.checked = checked;
+  field.append(input, createEl("span", "settings-label", label));
+  return { field, input };
+};
+
+// Paste-a-credential form shared by the onboarding screen and the modal used
+// to rotate keys later. `onSubmit(value, remember)` resolves to { ok, message }.
+export const createCredentialForm = ({
+  currentLabel = "",
+  onSubmit,
+  onClear,
+  submitLabel = "Connect TMDB",
+} = {}) => {
+  const form = createEl("form", "credential-form");
+  form.noValidate = true;
+
+  if (currentLabel) {
+    form.appendChild(
+      createEl("p", "credential-current", `Connected with ${currentLabel}.`)
+    );
+  }
+
+  const field = createEl("label", "settings-field");
+  field.appendChild(
+    createEl("span", "settings-label", "TMDB v4 read access token or v3 API key")
+  );
+  const inputRow = createEl("div", "credential-input-row");
+  const input = createEl("input", "settings-select credential-input");
+  input.type = "password";
+  input.name = "credential";
+  input.autocomplete = "off";
+  input.spellcheck = false;
+  input.placeholder = "eyJhbGciOi… or 32-character key";
+  const revealBtn = createEl("button", "icon-button credential-reveal");
+  revealBtn.type = "button";
+  revealBtn.setAttribute("aria-label", "Show credential");
+  revealBtn.innerHTML = '<i class="fa-solid fa-eye"></i>';
+  revealBtn.addEventListener("click", () => {
+    const reveal = input.type === "password";
+    input.type = reveal ? "text" : "password";
+    revealBtn.setAttribute("aria-label", reveal ? "Hide credential" : "Show credential");
+    revealBtn.innerHTML = `<i class="fa-solid ${reveal ? "fa-eye-slash" : "fa-eye"}"></i>`;
+  });
+  inputRow.append(input, revealBtn);
+  field.appendChild(inputRow);
+
+  const rememberField = createEl("label", "settings-field settings-check");
+  const rememberInput = createEl("input", "");
+  rememberInput.type = "checkbox";
+  rememberInput.checked = true;
+  rememberField.append(
+    rememberInput,
+    createEl("span", "settings-label", "Remember on this device")
+  );
+
+  const help = createEl("p", "modal-section-note");
+  help.innerHTML =
+    'Create one for free under <a href="https://www.themoviedb.org/settings/api" target="_blank" rel="noopener">TMDB → Settings → API</a>. It is stored only in this browser.';
+  const status = createEl("p", "credential-status");
+  status.setAttribute("role", "status");
+  status.setAttribute("aria-live", "polite");
+
+  const actions = createEl("div", "modal-actions");
+  const submitBtn = createEl("button", "primary-button", submitLabel);
+  submitBtn.type = "submit";
+  actions.appendChild(submitBtn);
+  if (currentLabel && typeof onClear === "function") {
+    const clearBtn = createEl("button", "ghost-button", "Disconnect");
+    clearBtn.type = "button";
+    clearBtn.addEventListener("click", onClear);
+    actions.prepend(clearBtn);
+  }
+
+  form.append(field, rememberField, help, status, actions);
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const value = input.value.trim();
+    if (!value) {
+      status.textContent = "Paste a credential to continue.";
+      status.dataset.state = "error";
+      input.focus();
+      return;
+    }
+    if (typeof onSubmit !== "function") return;
+    submitBtn.disabled = true;
+    submitBtn.textContent = "Checking…";
+    status.textContent = "Verifying with TMDB…";
+    status.dataset.state = "pending";
+    const result = (await onSubmit(value, rememberInput.checked)) || {};
+    if (!form.isConnected) return;
+    submitBtn.disabled = false;
+    submitBtn.textContent = submitLabel;
+    status.textContent = result.ok ? "Connected." : result.message || "Verification failed.";
+    status.dataset.state = result.ok ? "success" : "error";
+    if (!result.ok) {
+      input.focus();
+      input.select();
+    }
+  });
+
+  return { form, input };
+};
+
+// Modal wrapper around the credential form for rotating or clearing keys.
+export const openCredentialModal = ({ currentLabel = "", onSubmit, onClear } = {}) => {
+  const { form, input } = createCredentialForm({
+    currentLabel,
+    submitLabel: currentLabel ? "Replace credential" : "Connect TMDB",
+    onSubmit: async (value, remember) => {
+      const result = typeof onSubmit === "function" ? await onSubmit(value, remember) : {};
+      if (result && result.ok) {
+        closeTopModal();
+      }
+      return result;
+    },
+    onClear: () => {
+      closeTopModal();
+      if (typeof onClear === "function") onClear();
+    },
+  });
+  openModal("TMDB connection", form, null, "credential-modal");
+  input.focus();
+};
+
+// Settings modal: TMDB language/region/adult filter, image quality, cache TTL.
+export const openSettingsModal = (
+  settings,
+  {
+    onSave,
+    onReset,
+    credentialLabel = "",
+    onManageCredential,
+    onOpenDiagnostics,
+    onExportBackup,
+    onImportBackup,
+    onImportHistory,
+    onExportCsv,
+  } = {}
+) => {
+  const form = createEl("form", "settings-form");
+  form.noValidate = true;
+
+  if (typeof onManageCredential === "function") {
+    const connectionSection = createEl("section", "modal-section");
+    connectionSection.appendChild(createEl("h4", "modal-section-title", "TMDB connection"));
+    const connectionRow = createEl("div", "settings-connection");
+    connectionRow.appendChild(
+      createEl("span", "modal-section-note", credentialLabel || "Not connected")
+    );
+    const manageBtn = createEl("button", "secondary-button", "Change credential");
+    manageBtn.type = "button";
+    manageBtn.addEventListener("click", () => {
+      closeTopModal();
+      onManageCredential();
+    });
+    connectionRow.appendChild(manageBtn);
+    connectionSection.appendChild(connectionRow);
+    form.appendChild(connectionSection);
+  }
+
+  const contentSection = createEl("section", "modal-section");
+  contentSection.appendChild(createEl("h4", "modal-section-title", "Content"));
+  const dataProvider = createSettingsSelect(
+    "dataProvider",
+    "Data source",
+    DATA_PROVIDER_OPTIONS,
+    settings.dataProvider
+  );
+  const language = createSettingsSelect(
+    "language",
+    "Language",
+    LANGUAGE_OPTIONS,
+    settings.language
+  );
+  const region = createSettingsSelect("region", "Region", REGION_OPTIONS, settings.region);
+  const adultField = createEl("label", "settings-field settings-check");
+  const adultInput = createEl("input", "");
+  adultInput.type = "checkbox";
+  adultInput.name = "includeAdult";
+  adultInput.checked = Boolean(settings.includeAdult);
+  adultField.append(
+    adultInput,
+    createEl("span", "settings-label", "Include adult titles in feeds and search")
+  );
+  contentSection.append(dataProvider.field, language.field, region.field, adultField);
+
+  const performanceSection = createEl("section", "modal-section");
+  performanceSection.appendChild(
+    createEl("h4", "modal-section-title", "Images & caching")
+  );
+  const quality = createSettingsSelect(
+    "imageQuality",
+    "Image quality",
+    Object.entries(IMAGE_QUALITY_PRESETS).map(([value, preset]) => ({
+      value,
+      label: preset.label,
+    })),
+    settings.imageQuality
+  );
+  const ttl = createSettingsSelect(
+    "cacheTtlMinutes",
+    "Keep API responses for",
+    CACHE_TTL_OPTIONS.map((minutes) => ({
+      value: minutes,
+      label: formatTtlOption(minutes),
+    })),
+    settings.cacheTtlMinutes
+  );
+  const staleField = createEl("label", "settings-field settings-check");
+  const staleInput = createEl("input", "");
+  staleInput.type = "checkbox";
+  staleInput.name = "staleWhileRevalidate";
+  staleInput.checked = Boolean(settings.staleWhileRevalidate);
+  staleField.append(
+    staleInput,
+    createEl(
+      "span",
+      "settings-label",
+      "Show expired cached results instantly and refresh them in the background"
+    )
+  );
+  performanceSection.append(
+    quality.field,
+    ttl.field,
+    staleField,
+    createEl(
+      "p",
+      "modal-section-note",
+      "Language, region and adult changes reload the current feed."
+    )
+  );
+  form.append(contentSection, performanceSection);
+
+  if (typeof onOpenDiagnostics === "function") {
+    const diagnosticsRow = createEl("div", "settings-connection");
+    diagnosticsRow.appendChild(
+      createEl("span", "modal-section-note", "Inspect cached responses and request timings.")
+    );
+    const diagnosticsBtn = createEl("button", "secondary-button", "Open cache inspector");
+    diagnosticsBtn.type = "button";
+    diagnosticsBtn.addEventListener("click", () => {
+      closeTopModal();
+      onOpenDiagnostics();
+    });
+    diagnosticsRow.appendChild(diagnosticsBtn);
+    performanceSection.appendChild(diagnosticsRow);
+  }
+
+  if (
+    [onExportBackup, onImportBackup, onImportHistory, onExportCsv].some(
+      (fn) => typeof fn === "function"
+    )
+  ) {
+    form.appendChild(
+      createBackupSection({
+        onExport: onExportBackup,
+        onImport: onImportBackup,
+        onImportHistory,
+        onExportCsv,
+      })
+    );
+  }
+
+  const readForm = () => ({
+    dataProvider: dataProvider.select.value,
+    language: language.select.value,
+    region: region.select.value,
+    includeAdult: adultInput.checked,
+    imageQuality: quality.select.value,
+    cacheTtlMinutes: Number(ttl.select.value),
+    staleWhileRevalidate: staleInput.checked,
+  });
+
+  const footer = createEl("div", "modal-actions");
+  const resetBtn = createEl("button", "ghost-button", "Restore defaults");
+  resetBtn.type = "button";
+  resetBtn.addEventListener("click", () => {
+    closeTopModal();
+    if (typeof onReset === "function") onReset();
+  });
+  const saveBtn = createEl("button", "primary-button");
+  saveBtn.type = "submit";
+  saveBtn.setAttribute("form", "settings-form");
+  saveBtn.innerHTML = '<i class="fa-solid fa-floppy-disk"></i> Save settings';
+  footer.append(resetBtn, saveBtn);
+
+  form.id = "settings-form";
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    closeTopModal();
+    if (typeof onSave === "function") onSave(readForm());
+  });
+
+  openModal("Settings", form, footer, "settings-modal");
+  language.select.focus();
+};
+
+// "Your data" block shared by the settings panel and the backup modal: JSON
+// backup export/import plus CSV history import/export. Each action closes the
+// current modal before handing off.
+const createBackupSection = ({ onExport, onImport, onImportHistory, onExportCsv } = {}) => {
+  const section = createEl("section", "modal-section");
+  section.appendChild(createEl("h4", "modal-section-title", "Your data"));
+  section.appendChild(
+    createEl(
+      "p",
+      "modal-section-note",
+      "Back up favorites, watched, your session plans, series progress and preferences to a JSON file. TMDB credentials are not included."
+    )
+  );
+  const actions = createEl("div", "settings-connection");
+  if (typeof onExport === "function") {
+    const exportBtn = createEl("button", "secondary-button");
+    exportBtn.type = "button";
+    exportBtn.innerHTML = '<i class="fa-solid fa-file-arrow-down"></i> Export backup';
+    exportBtn.addEventListener("click", () => {
+      closeTopModal();
+      onExport();
+    });
+    actions.appendChild(exportBtn);
+  }
+  if (typeof onImport === "function") {
+    const importBtn = createEl("button", "secondary-button");
+    importBtn.type = "button";
+    importBtn.innerHTML = '<i class="fa-solid fa-file-arrow-up"></i> Import backup';
+    importBtn.addEventListener("click", () => {
+      closeTopModal();
+      onImport();
+    });
+    actions.appendChild(importBtn);
+  }
+  if (typeof onImportHistory === "function") {
+    const historyBtn = createEl("button", "secondary-button");
+    historyBtn.type = "button";
+    historyBtn.innerHTML = '<i class="fa-solid fa-file-csv"></i> Import Letterboxd / IMDb CSV';
+    historyBtn.addEventListener("click", () => {
+      closeTopModal();
+      onImportHistory();
+    });
+    actions.appendChild(historyBtn);
+  }
+  if (typeof onExportCsv === "function") {
+    const csvBtn = createEl("button", "secondary-button");
+    csvBtn.type = "button";
+    csvBtn.innerHTML = '<i class="fa-solid fa-table"></i> Export CSV';
+    csvBtn.addEventListener("click", () => {
+      closeTopModal();
+      onExportCsv();
+    });
+    actions.appendChild(csvBtn);
+  }
+  section.appendChild(actions);
+  return section;
+};
+
+export const openBackupModal = (handlers = {}) => {
+  openModal("Backup & restore", createBackupSection(handlers), null, "backup-modal");
+};
+
+// Choose a CSV layout and which lists to include. `counts` holds the current
+// { watched, favorites } sizes; `onExport` receives { layout, watched, favorites }.
+// Favorites are only offered for the generic layout.
+export const openCsvExportModal = ({ counts = {}, onExport } = {}) => {
+  const form = createEl("form", "backup-import-form");
+  form.id = "csv-export-form";
+  form.noValidate = true;
+
+  const layoutSection = createEl("section", "modal-section");
+  layoutSection.appendChild(createEl("h4", "modal-section-title", "Layout"));
+  const letterboxd = createSettingsChoice("radio", "Letterboxd import (movies only)", {
+    name: "layout",
+    value: CSV_EXPORT_LAYOUTS.LETTERBOXD,
+    checked: true,
+  });
+  const generic = createSettingsChoice("radio", "Generic CSV (movies and series)", {
+    name: "layout",
+    value: CSV_EXPORT_LAYOUTS.GENERIC,
+  });
+  layoutSection.append(
+    letterboxd.field,
+    generic.field,
+    createEl(
+      "p",
+      "modal-section-note",
+      "Both include title, year, TMDB id, watch date and your rating where available."
+    )
+  );
+
+  const listSection = createEl("section", "modal-section");
+  listSection.appendChild(createEl("h4", "modal-section-title", "Include"));
+  const watched = createSettingsChoice(
+    "checkbox",
+    `Watched (${formatNumber(counts.watched || 0)})`,
+    { name: "watched", value: "watched", checked: true }
+  );
+  const favorites = createSettingsChoice(
+    "checkbox",
+    `Favorites (${formatNumber(counts.favorites || 0)})`,
+    { name: "favorites", value: "favorites" }
+  );
+  const favoritesNote = createEl(
+    "p",
+    "modal-section-note",
+    "Letterboxd logs every imported title as watched, so favorites export in the generic layout only."
+  );
+  listSection.append(watched.field, favorites.field, favoritesNote);
+  form.append(layoutSection, listSection);
+
+  const footer = createEl("div", "modal-actions");
+  const cancelBtn = createEl("button", "ghost-button", "Cancel");
+  cancelBtn.type = "button";
+  cancelBtn.addEventListener("click", () => closeTopModal());
+  const exportBtn = createEl("button", "primary-button");
+  exportBtn.type = "submit";
+  exportBtn.setAttribute("form", form.id);
+  exportBtn.innerHTML = '<i class="fa-solid fa-file-arrow-down"></i> Download CSV';
+  footer.append(cancelBtn, exportBtn);
+
+  const syncExportButton = () => {
+    const letterboxdLayout = letterboxd.input.checked;
+    favorites.input.disabled = letterboxdLayout;
+    favorites.field.classList.toggle("is-disabled", letterboxdLayout);
+    favoritesNote.hidden = !letterboxdLayout;
+    exportBtn.disabled =
+      !watched.input.checked && (letterboxdLayout || !favorites.input.checked);
+  };
+  form.addEventListener("change", syncExportButton);
+  syncExportButton();
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    closeTopModal();
+    if (typeof onExport === "function") {
+      onExport({
+        layout: generic.input.checked ? CSV_EXPORT_LAYOUTS.GENERIC : CSV_EXPORT_LAYOUTS.LETTERBOXD,
+        watched: watched.input.checked,
+        favorites: !favorites.input.disabled && favorites.input.checked,
+      });
+    }
+  });
+
+  openModal("Export CSV", form, footer, "csv-export-modal");
+  exportBtn.focus();
+};
+
+// Import preview for a parsed backup. `summary` comes from summarizeBackup();
+// `onConfirm` receives { mode, preferBackup, preferences }.
+export const openBackupImportModal = (summary, { onConfirm } = {}) => {
+  const form = createEl("form", "backup-import-form");
+  form.id = "backup-import-form";
+  form.noValidate = true;
+
+  const exported = summary.exportedAt ? new Date(summary.exportedAt) : null;
+  const origin = [
+    exported && !Number.isNaN(exported.getTime())
+      ? `Exported ${exported.toLocaleString()}`
+      : "Export date unknown",
+    summary.appVersion ? `MovieVault ${summary.appVersion}` : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  const contentsSection = createEl("section", "modal-section");
+  contentsSection.append(
+    createEl("h4", "modal-section-title", "Backup contents"),
+    createEl("p", "modal-section-note", origin),
+    createDiagnosticsTable(
+      ["", "In backup", "On this device", "Same title"],
+      summary.sections.map((section) => [
+        section.label,
+        formatNumber(section.incoming),
+        formatNumber(section.local),
+        formatNumber(section.conflicts),
+      ])
+    )
+  );
+
+  const optionsSection = createEl("section", "modal-section");
+  optionsSection.appendChild(createEl("h4", "modal-section-title", "Import as"));
+  const merge = createSettingsChoice("radio", "Merge with what's on this device", {
+    name: "mode",
+    value: "merge",
+    checked: true,
+  });
+  const replace = createSettingsChoice("radio", "Replace everything on this device", {
+    name: "mode",
+    value: "replace",
+  });
+  const conflictGroup = createEl("div", "backup-conflicts");
+  conflictGroup.appendChild(
+    createEl("span", "modal-section-note", "When both sides have the same title:")
+  );
+  const keepLocal = createSettingsChoice("radio", "Keep this device's copy", {
+    name: "conflicts",
+    value: "local",
+    checked: true,
+  });
+  const useBackup = createSettingsChoice("radio", "Use the backup's copy", {
+    name: "conflicts",
+    value: "backup",
+  });
+  conflictGroup.append(keepLocal.field, useBackup.field);
+  optionsSection.append(merge.field, replace.field, conflictGroup);
+
+  let preferencesInput = null;
+  if (summary.hasPreferences) {
+    const preferences = createSettingsChoice("checkbox", "Also restore settings and theme", {
+      checked: true,
+    });
+    preferencesInput = preferences.input;
+    optionsSection.appendChild(preferences.field);
+  }
+
+  const syncConflictState = () => {
+    const merging = merge.input.checked;
+    conflictGroup.classList.toggle("is-disabled", !merging);
+    keepLocal.input.disabled = !merging;
+    useBackup.input.disabled = !merging;
+  };
+  merge.input.addEventListener("change", syncConflictState);
+  replace.input.addEventListener("change", syncConflictState);
+  syncConflictState();
+  form.append(contentsSection, optionsSection);
+
+  const footer = createEl("div", "modal-actions");
+  const cancelBtn = createEl("button", "ghost-button", "Cancel");
+  cancelBtn.type = "button";
+  cancelBtn.addEventListener("click", () => closeTopModal());
+  const importBtn = createEl("button", "primary-button");
+  importBtn.type = "submit";
+  importBtn.setAttribute("form", form.id);
+  importBtn.innerHTML = '<i class="fa-solid fa-file-import"></i> Import';
+  footer.append(cancelBtn, importBtn);
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    closeTopModal();
+    if (typeof onConfirm === "function") {
+      onConfirm({
+        mode: replace.input.checked ? "replace" : "merge",
+        preferBackup: useBackup.input.checked,
+        preferences: preferencesInput ? preferencesInput.checked : false,
+      });
+    }
+  });
+
+  openModal("Import backup", form, footer, "backup-import-modal");
+  importBtn.focus();
+};
+
+// Letterboxd/IMDb import: shows matching progress, then lets the user settle
+// ambiguous rows and pick the target lists. Returns a handle:
+//   setProgress(done, total)  update the progress bar while matching
+//   showMatches(matches)      render results from matchHistoryRows()
+//   isOpen()                  false once the user has closed the modal
+// `onConfirm` receives { resolved: [{ row, movie }], watched, favorites }.
+// `favoritesOnly` locks out the watched list for exports without viewings.
+export const openHistoryImportModal = ({
+  sourceLabel = "CSV export",
+  total = 0,
+  skipped = 0,
+  favoritesDefault = false,
+  favoritesOnly = false,
+  onConfirm,
+} = {}) => {
+  const content = createEl("div", "history-import");
+  content.appendChild(
+    createEl(
+      "p",
+      "modal-section-note",
+      `${sourceLabel} · ${formatNumber(total)} movie${total === 1 ? "" : "s"}${
+        skipped ? ` · ${formatNumber(skipped)} non-movie row${skipped === 1 ? "" : "s"} skipped` : ""
+      }`
+    )
+  );
+  const progressSection = createEl("section", "modal-section");
+  const progressLabel = createEl("span", "modal-section-note", "Matching titles with TMDB…");
+  const progress = createEl("progress", "history-import-progress");
+  progress.max = Math.max(1, total);
+  progress.value = 0;
+  progressSection.append(progressLabel, progress);
+  content.appendChild(progressSection);
+
+  const footer = createEl("div", "modal-actions");
+  const cancelBtn = createEl("button", "ghost-button", "Cancel");
+  cancelBtn.type = "button";
+  cancelBtn.addEventListener("click", () => closeTopModal());
+  const importBtn = createEl("button", "primary-button");
+  importBtn.type = "button";
+  importBtn.disabled = true;
+  importBtn.innerHTML = '<i class="fa-solid fa-file-import"></i> Import';
+  footer.append(cancelBtn, importBtn);
+
+  const { overlay } = openModal("Import watch history", content, footer, "history-import-modal");
+
+  const describeMovie = (movie) => {
+    const year = String(movie.releaseDate || "").slice(0, 4);
+    return /^\d{4}$/.test(year) ? `${movie.title} (${year})` : movie.title;
+  };
+  const describeRow = (row) => (row.year ? `${row.title} (${row.year})` : row.title);
+
+  const showMatches = (matches = []) => {
+    progressSection.remove();
+    const matched = matches.filter((item) => item.status === "matched");
+    const ambiguous = matches.filter((item) => item.status === "ambiguous");
+    const unmatched = matches.filter((item) => item.status === "unmatched");
+    content.appendChild(
+      createEl(
+        "p",
+        "history-import-summary",
+        `${formatNumber(matched.length)} matched · ${formatNumber(ambiguous.length)} need a choice · ${formatNumber(unmatched.length)} not found`
+      )
+    );
+
+    const choices = [];
+    if (ambiguous.length) {
+      const section = createEl("section", "modal-section");
+      section.appendChild(createEl("h4", "modal-section-title", "Choose the right title"));
+      const list = createEl("div", "history-import-choices");
+      ambiguous.forEach((item) => {
+        const field = createEl("label", "settings-field history-import-choice");
+        const select = createEl("select", "settings-select");
+        select.appendChild(new Option("Skip this title", ""));
+        item.candidates.forEach((movie, index) => {
+          select.appendChild(new Option(describeMovie(movie), String(index)));
+        });
+        field.append(createEl("span", "settings-label", describeRow(item.row)), select);
+        list.appendChild(field);
+        choices.push({ item, select });
+      });
+      section.appendChild(list);
+      content.appendChild(section);
+    }
+
+    if (unmatched.length) {
+      const details = createEl("details", "history-import-unmatched");
+      details.appendChild(
+        createEl("summary", "modal-section-note", `Not found on TMDB (${unmatched.length})`)
+      );
+      const list = createEl("ul", "");
+      unmatched.forEach((item) => list.appendChild(createEl("li", "", describeRow(item.row))));
+      details.appendChild(list);
+      content.appendChild(details);
+    }
+
+    const targets = createEl("section", "modal-section");
+    targets.appendChild(createEl("h4", "modal-section-title", "Add to"));
+    const watchedTarget = createSettingsChoice(
+      "checkbox",
+      "Watched list, with watch dates and ratings",
+      { checked: !favoritesDefault && !favoritesOnly }
+    );
+    const favoritesTarget = createSettingsChoice("checkbox", "Favorites", {
+      checked: favoritesDefault || favoritesOnly,
+    });
+    targets.append(watchedTarget.field, favoritesTarget.field);
+    if (favoritesOnly) {
+      watchedTarget.input.disabled = true;
+      watchedTarget.field.classList.add("is-disabled");
+      targets.appendChild(
+        createEl(
+          "p",
+          "modal-section-note",
+          "IMDb lists and watchlists don't record viewings, so they import as favorites only."
+        )
+      );
+    }
+    const watchedInput = watchedTarget.input;
+    const favoritesInput = favoritesTarget.input;
+    content.appendChild(targets);
+
+    const collect = () => [
+      ...matched.map((item) => ({ row: item.row, movie: item.match })),
+      ...choices
+        .filter(({ select }) => select.value !== "")
+        .map(({ item, select }) => ({ row: item.row, movie: item.candidates[Number(select.value)] })),
+    ];
+    const syncImportButton = () => {
+      const count = collect().length;
+      importBtn.disabled = !count || (!watchedInput.checked && !favoritesInput.checked);
+      importBtn.innerHTML = `<i class="fa-solid fa-file-import"></i> Import ${formatNumber(count)} title${count === 1 ? "" : "s"}`;
+    };
+    content.addEventListener("change", syncImportButton);
+    syncImportButton();
+
+    importBtn.addEventListener("click", () => {
+      const resolved = collect();
+      closeTopModal();
+      if (typeof onConfirm === "function") {
+        onConfirm({
+          resolved,
+          watched: watchedInput.checked,
+          favorites: favoritesInput.checked,
+        });
+      }
+    });
+  };
+
+  return {
+    setProgress: (done, count = total) => {
+      progress.max = Math.max(1, count);
+      progress.value = done;
+      progressLabel.textContent = `Matching titles with TMDB… ${formatNumber(done)} of ${formatNumber(count)}`;
+    },
+    showMatches,
+    isOpen: () => modalStack.some((entry) => entry.overlay === overlay),
+  };
+};
+
+// Short label for a cache key's parameters, e.g. "page:2" or "movieId:550".
+const describeCacheKey = (key) => {
+  const [, params = ""] = String(key).split("::");
+  return params.replace(/\|/g, " · ") || "(no parameters)";
+};
+
+const createDiagnosticsTable = (headings, rows) => {
+  const table = createEl("table", "diagnostics-table");
+  const head = createEl("thead");
+  const headRow = createEl("tr");
+  headings.forEach((heading) => headRow.appendChild(createEl("th", "", heading)));
+  head.appendChild(headRow);
+  const body = createEl("tbody");
+  rows.forEach((cells) => {
+    const row = createEl("tr");
+    cells.forEach((cell) => {
+      const td = createEl("td");
+      if (cell instanceof Node) {
+        td.appendChild(cell);
+      } else {
+        td.textContent = cell;
+      }
+      row.appendChild(td);
+    });
+    body.appendChild(row);
+  });
+  table.append(head, body);
+  return table;
+};
+
+// Cache inspector: storage totals, cached entries per namespace with purge
+// controls, and recent API request timings. `loadDiagnostics` resolves to
+// { usage, namespaces, estimate, localStorageBytes, requests } and is called
+// again after every purge.
+export const openDiagnosticsModal = ({
+  loadDiagnostics,
+  onPurgeNamespace,
+  onPurgeAll,
+  onClearHistory,
+} = {}) => {
+  const content = createEl("div", "diagnostics-content");
+  content.setAttribute("aria-live", "polite");
+
+  const renderStorage = ({ usage, estimate, localStorageBytes }) => {
+    const section = createEl("section", "modal-section");
+    section.appendChild(createEl("h4", "modal-section-title", "Storage"));
+    const stats = createEl("div", "diagnostics-stats");
+    [
+      createStatCard(
+        "fa-database",
+        "Response cache",
+        `${formatBytes(usage.bytes)} of ${formatBytes(usage.budget)}`
+      ),
+      createStatCard("fa-layer-group", "Cached responses", formatNumber(usage.count)),
+      createStatCard(
+        "fa-hard-drive",
+        "Browser storage",
+        estimate
+          ? `${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)}`
+          : "Unavailable"
+      ),
+      createStatCard("fa-box-archive", "Saved lists & settings", formatBytes(localStorageBytes)),
+    ].forEach(({ card }) => stats.appendChild(card));
+    section.appendChild(stats);
+    if (usage.backend !== "indexeddb") {
+      section.appendChild(
+        createEl(
+          "p",
+          "modal-section-note",
+          "IndexedDB is unavailable, so responses are only cached for this session."
+        )
+      );
+    }
+    return section;
+  };
+
+  const renderNamespaces = (namespaces) => {
+    const section = createEl("section", "modal-section");
+    section.appendChild(createEl("h4", "modal-section-title", "Cached responses"));
+    if (!namespaces.length) {
+      section.appendChild(createEl("p", "modal-section-note", "The cache is empty."));
+      return section;
+    }
+    namespaces.forEach((group) => {
+      const details = createEl("details", "diagnostics-namespace");
+      const summary = createEl("summary", "diagnostics-namespace-summary");
+      const label = createEl("span", "diagnostics-namespace-name", group.namespace);
+      const meta = createEl(
+        "span",
+        "diagnostics-namespace-meta",
+        `${group.entries.length} entr${group.entries.length === 1 ? "y" : "ies"} · ${formatBytes(group.bytes)}`
+      );
+      const purgeBtn = createEl("button", "ghost-button diagnostics-purge", "Purge");
+      purgeBtn.type = "button";
+      purgeBtn.setAttribute("aria-label", `Purge cached ${group.namespace} responses`);
+      purgeBtn.addEventListener("click", async (event) => {
+        event.preventDefault();
+        purgeBtn.disabled = true;
+        if (typeof onPurgeNamespace === "function") {
+          await onPurgeNamespace(group.namespace);
+        }
+        refresh();
+      });
+      summary.append(label, meta, purgeBtn);
+      details.append(
+        summary,
+        createDiagnosticsTable(
+          ["Entry", "Size", "Age", "TTL", ""],
+          group.entries
+            .slice()
+            .sort((a, b) => a.age - b.age)
+            .map((entry) => [
+              describeCacheKey(entry.key),
+              formatBytes(entry.size),
+              formatDuration(entry.age),
+              entry.ttl > 0 ? formatDuration(entry.ttl) : "Off",
+              entry.stale ? createEl("span", "diagnostics-badge", "Stale") : "",
+            ])
+        )
+      );
+      section.appendChild(details);
+    });
+    return section;
+  };
+
+  const renderRequests = (requests) => {
+    const section = createEl("section", "modal-section");
+    const heading = createEl("div", "diagnostics-section-heading");
+    heading.appendChild(createEl("h4", "modal-section-title", "Recent requests"));
+    if (requests.length && typeof onClearHistory === "function") {
+      const clearBtn = createEl("button", "ghost-button", "Clear history");
+      clearBtn.type = "button";
+      clearBtn.addEventListener("click", () => {
+        onClearHistory();
+        refresh();
+      });
+      heading.appendChild(clearBtn);
+    }
+    section.appendChild(heading);
+    if (!requests.length) {
+      section.appendChild(
+        createEl("p", "modal-section-note", "No API requests recorded this session.")
+      );
+      return section;
+    }
+    section.appendChild(
+      createDiagnosticsTable(
+        ["When", "Namespace", "Source", "Result", "Time"],
+        requests.map((request) => [
+          new Date(request.at).toLocaleTimeString(),
+          request.namespace,
+          request.source,
+          request.status ? `${request.outcome} (${request.status})` : request.outcome,
+          `${request.duration} ms${request.attempts > 1 ? ` · ${request.attempts} tries` : ""}`,
+        ])
+      )
+    );
+    return section;
+  };
+
+  const refresh = async () => {
+    if (typeof loadDiagnostics !== "function") return;
+    try {
+      const data = await loadDiagnostics();
+      content.replaceChildren(
+        renderStorage(data),
+        renderNamespaces(data.namespaces),
+        renderRequests(data.requests || [])
+      );
+    } catch (error) {
+      console.error("Unable to load diagnostics", error);
+      content.replaceChildren(
+        createEl("p", "modal-section-note", "Diagnostics are unavailable right now.")
+      );
+    }
+  };
+
+  const footer = createEl("div", "modal-actions");
+  const refreshBtn = createEl("button", "ghost-button");
+  refreshBtn.type = "button";
+  refreshBtn.innerHTML = '<i class="fa-solid fa-rotate"></i> Refresh';
+  refreshBtn.addEventListener("click", () => refresh());
+  const purgeAllBtn = createEl("button", "secondary-button");
+  purgeAllBtn.type = "button";
+  purgeAllBtn.innerHTML = '<i class="fa-solid fa-trash"></i> Purge all';
+  purgeAllBtn.addEventListener("click", async () => {
+    purgeAllBtn.disabled = true;
+    if (typeof onPurgeAll === "function") {
+      await onPurgeAll();
+    }
+    purgeAllBtn.disabled = false;
+    refresh();
+  });
+  footer.append(refreshBtn, purgeAllBtn);
+
+  content.appendChild(createEl("p", "modal-section-note", "Loading diagnostics…"));
+  openModal("Cache & diagnostics", content, footer, "diagnostics-modal");
+  refresh();
+};
+
+export const openCollectionModal = (
+  collection,
+  { onQueueMovie, onSelectMovie, onBulkQueue, onAddToList } = {}
+) => {
+  if (!collection) return;
+  const content = createEl("div", "collection-modal-content");
+
+  const header = createEl("div", "collection-modal-header");
+  const title = createEl(
+    "h3",
+    "collection-modal-title",
+    collection.name || "Collection"
+  );
+  header.appendChild(title);
+
+  if (collection.overview) {
+    const overview = createEl(
+      "p",
+      "collection-modal-overview",
+      collection.overview
+    );
+    header.appendChild(overview);
+  }
+
+  const actions = createEl("div", "collection-modal-actions");
+  const queueAllBtn = createEl(
+    "button",
+    "primary-button",
     "Queue Entire Collection"
   );
   queueAllBtn.type = "button";
@@ -1677,6 +4341,17 @@ export const openCollectionModal = (
       });
 
       controls.append(openBtn, queueBtn);
+      if (typeof onAddToList === "function") {
+        const listBtn = createEl("button", "collection-item-button", "");
+        listBtn.type = "button";
+        listBtn.innerHTML = '<i class="fa-regular fa-bookmark"></i>';
+        listBtn.title = "Add to list";
+        listBtn.addEventListener("click", (event) => {
+          event.stopPropagation();
+          onAddToList(movie);
+        });
+        controls.appendChild(listBtn);
+      }
 
       item.append(thumb, info, controls);
 
@@ -1711,8 +4386,12 @@ export const openCastFilmographyModal = (
   {
     favorites = [],
     watched = [],
+    ratings = {},
+    customLists = [],
+    tags = {},
     onFavoriteToggle,
     onWatchedToggle,
+    onAddToList,
     onMovieSelect,
   } = {}
 ) => {
@@ -1721,8 +4400,13 @@ export const openCastFilmographyModal = (
   header.innerHTML = `<h3>${person.name}'s Films</h3>`;
   container.appendChild(header);
 
-  const favoriteIds = new Set(favorites.map((item) => Number(item.id)));
-  const watchedIds = new Set(watched.map((item) => Number(item.id)));
+  const favoriteKeys = new Set(
+    favorites.map((item) => buildMediaKey(item.id, getMediaType(item)))
+  );
+  const watchedKeys = new Set(
+    watched.map((item) => buildMediaKey(item.id, getMediaType(item)))
+  );
+  const listedKeys = collectListedKeys(customLists);
 
   if (!movies.length) {
     container.appendChild(
@@ -1735,6 +4419,7 @@ export const openCastFilmographyModal = (
   } else {
     const track = createEl("div", "filmography-track");
     movies.forEach((movie) => {
+      const key = buildMediaKey(movie.id, getMediaType(movie));
       const card = createMovieCard(movie, {
         variant: "compact",
         onCardClick: (selected) => {
@@ -1745,8 +4430,12 @@ export const openCastFilmographyModal = (
         },
         onFavoriteToggle,
         onWatchedToggle,
-        isFavorite: favoriteIds.has(Number(movie.id)),
-        isWatched: watchedIds.has(Number(movie.id)),
+        onAddToList,
+        isFavorite: favoriteKeys.has(key),
+        isWatched: watchedKeys.has(key),
+        isListed: listedKeys.has(key),
+        personal: ratings[key],
+        tags: tags[key]?.tags,
       });
       track.appendChild(card);
     });
@@ -1784,6 +4473,40 @@ export const closeActiveModal = () => {
   closeTopModal();
 };
 
+// Close every open modal without notifying the dismiss handler (router-driven).
+export const closeAllModals = () => {
+  while (modalStack.length) {
+    closeTopModal();
+  }
+};
+
+export const getOpenModalCount = () => modalStack.length;
+
+// Label the top modal with the route hash it shows, for revealModalRoute.
+export const setTopModalRoute = (hash) => {
+  const top = modalStack[modalStack.length - 1];
+  if (top) {
+    top.route = hash;
+  }
+};
+
+// Close whatever sits above the modal labelled `hash` (router-driven, no
+// dismiss callback). Returns false, closing nothing, when no modal has it.
+export const revealModalRoute = (hash) => {
+  const index = modalStack.map((entry) => entry.route).lastIndexOf(hash);
+  if (index === -1) return false;
+  while (modalStack.length > index + 1) {
+    closeTopModal();
+  }
+  return true;
+};
+
+// Register a callback fired after the user dismisses a modal; receives the
+// number of modals still open.
+export const setModalDismissHandler = (handler) => {
+  modalDismissHandler = typeof handler === "function" ? handler : null;
+};
+
 const ensureLoader = () => {
   // Lottie-based loader removed intentionally. This function remains as a
   // compatibility shim so callers (showLoader/hideLoader) can keep working
@@ -1849,11 +4572,31 @@ const renderDrawer = () => {
       label: "Watched History",
       icon: "fa-eye",
     },
+    {
+      id: DRAWER_ACTIONS.LISTS,
+      label: "My Lists",
+      icon: "fa-bookmark",
+    },
+    {
+      id: DRAWER_ACTIONS.TAGS,
+      label: "Manage Tags",
+      icon: "fa-tags",
+    },
     {
       id: DRAWER_ACTIONS.THEME,
       label: "Toggle Theme",
       icon: "fa-moon",
     },
+    {
+      id: DRAWER_ACTIONS.SETTINGS,
+      label: "Settings",
+      icon: "fa-sliders",
+    },
+    {
+      id: DRAWER_ACTIONS.BACKUP,
+      label: "Backup & Restore",
+      icon: "fa-box-archive",
+    },
   ];
 
   const actionSection = createEl("div", "drawer-section");
@@ -0,0 +1,161 @@
+// Service worker for MovieVault.
+//
+// Registered from app.js as `sw.js?v=<APP_VERSION>`, so bumping APP_VERSION
+// in constants.js installs a fresh app-shell cache; the page then offers a
+// reload instead of swapping versions underneath the user.
+//
+// The shell is served cache-first, so installed clients only see changes to
+// a file listed in APP_SHELL once APP_VERSION moves: bump it in every change
+// that touches one of those files, or clients keep running the old scripts
+// against storage the new ones may already have migrated.
+//
+//   app shell (same-origin)  cache-first from the versioned shell cache
+//   navigations              network-first, falling back to the cached shell
+//   TMDB images              cache-first runtime cache, trimmed to a limit
+//   fonts / icon CDN         stale-while-revalidate runtime cache
+//   TMDB API                 untouched (the app keeps its own IndexedDB cache)
+
+const VERSION = new URL(self.location.href).searchParams.get("v") || "dev";
+const CACHE_PREFIX = "movievault-";
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${VERSION}`;
+const IMAGE_CACHE = `${CACHE_PREFIX}images`;
+const STATIC_CACHE = `${CACHE_PREFIX}static`;
+const IMAGE_CACHE_LIMIT = 300;
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "manifest.webmanifest",
+  "assets/logo.svg",
+  "assets/placeholders/poster-fallback.png",
+  "styles/core.css",
+  "styles/layout.css",
+  "styles/components.css",
+  "styles/overlays.css",
+  "styles/animations.css",
+  "styles/responsive.css",
+  "scripts/app.js",
+  "scripts/api.js",
+  "scripts/backup.js",
+  "scripts/cache-store.js",
+  "scripts/calendar-export.js",
+  "scripts/config.js",
+  "scripts/constants.js",
+  "scripts/csv.js",
+  "scripts/fixture-provider.js",
+  "scripts/helpers.js",
+  "scripts/history-export.js",
+  "scripts/history-import.js",
+  "scripts/plan-share.js",
+  "scripts/planner-schedule.js",
+  "scripts/providers.js",
+  "scripts/router.js",
+  "scripts/storage-schema.js",
+  "scripts/ui.js",
+  "fixtures/collections.json",
+  "fixtures/feeds.json",
+  "fixtures/genres.json",
+  "fixtures/movies.json",
+  "fixtures/people.json",
+  "fixtures/series.json",
+];
+
+const STATIC_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com", "cdnjs.cloudflare.com"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(APP_SHELL)));
+});
+
+// Drop shell caches from previous versions; runtime caches are shared.
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(`${CACHE_PREFIX}shell-`) && key !== SHELL_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page posts SKIP_WAITING once the user accepts the update prompt.
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+const trimCache = async (cacheName, limit) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map((key) => cache.delete(key)));
+};
+
+const networkFirstNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch {
+    const cache = await caches.open(SHELL_CACHE);
+    return (await cache.match("index.html")) || Response.error();
+  }
+};
+
+const cacheFirstShell = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  // getAssetUrl() appends ?v=…, so match shell files regardless of query.
+  const cached = await cache.match(request, { ignoreSearch: true });
+  return cached || fetch(request);
+};
+
+const cacheFirstImage = async (request) => {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Poster <img> requests are no-cors, so opaque responses are cached too.
+  if (response.ok || response.type === "opaque") {
+    await cache.put(request, response.clone());
+    trimCache(IMAGE_CACHE, IMAGE_CACHE_LIMIT);
+  }
+  return response;
+};
+
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(STATIC_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === "opaque") {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || refresh;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirstNavigation(request));
+    return;
+  }
+  if (url.hostname === "image.tmdb.org") {
+    event.respondWith(cacheFirstImage(request));
+    return;
+  }
+  if (STATIC_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+    return;
+  }
+  if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirstShell(request));
+  }
+});